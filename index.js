@@ -1,9 +1,74 @@
 // time-auction-server/index.js
+// Socket.IO 轉接層：遊戲規則都在 lib/engine.js，這裡負責連線、房間頻道、各觀看者的視角、斷線保留座位與狀態保存
 
 const express = require('express');
 const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
 const socketIo = require('socket.io');
 const cors = require('cors');
+const { resolveRules } = require('./lib/rules');
+const { buildPlayerView, buildPlayersView, buildRevealedPlayersView, buildRoundHistoryView, redactIdentifiers } = require('./lib/views');
+const { createApiRouter } = require('./lib/api');
+const { createAdminRouter } = require('./lib/admin');
+const { createLogger } = require('./lib/logger');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { createGameStore } = require('./lib/gameStore');
+const { createAccountStore } = require('./lib/accountStore');
+const { createAccountService, INITIAL_RATING } = require('./lib/accounts');
+const { createMatchmaker, resolveMatchPreferences } = require('./lib/matchmaking');
+const { createMessage, failure, resolveLocale, formatMessage, formatFinalWinner, localizeResult } = require('./lib/messages');
+const { REACTIONS, createWordFilter, createChatRoom } = require('./lib/chat');
+const { createRateLimiter } = require('./lib/rateLimiter');
+const { validateEventArgs, expectsCallback } = require('./lib/validation');
+const {
+    generateRoomId,
+    createRoomAccess,
+    hashRoomPassword,
+    updateRoomAccess,
+    setAccessLists,
+    createInvite,
+    revokeInvite,
+    checkRoomAccess,
+    redeemInvite,
+    buildAccessView,
+} = require('./lib/roomAccess');
+const {
+    PROTOCOL_VERSION,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    negotiateProtocol,
+    buildRoomState,
+    createStateTracker,
+} = require('./lib/stateSync');
+const {
+    resolveTournamentOptions,
+    createTournament,
+    registerPlayer,
+    withdrawPlayer,
+    startTournament,
+    recordMatchResult,
+    buildTournamentView,
+    pruneTournaments,
+} = require('./lib/tournament');
+const {
+    createGameEngine,
+    createSystemClock,
+    validateInitialTime,
+    validateMaxRounds,
+    buildRematchVoteStatus,
+} = require('./lib/engine');
+const { buildTeamsView } = require('./lib/teams');
+const { createRoomReaper } = require('./lib/roomReaper');
+const {
+    createReplay,
+    recordReplayEntry,
+    closeReplay,
+    checkReplayAccess,
+    selectReplayEntries,
+    validateReplaySpeed,
+    createReplayPlayer,
+    pruneReplays,
+} = require('./lib/replay');
 
 const app = express();
 app.use(cors({
@@ -20,664 +85,1770 @@ const io = socketIo(server, {
 });
 
 const PORT = process.env.PORT || 3000;
+// 斷線後保留座位的寬限時間 (毫秒)
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 30000;
+// 房間閒置多久後關閉 (毫秒)；遊戲已結束的房間保留時間較短，關閉前 ROOM_CLOSE_WARNING_MS 先預告
+const ROOM_IDLE_TIMEOUT_MS = Number(process.env.ROOM_IDLE_TIMEOUT_MS) || 30 * 60000;
+const FINISHED_ROOM_TTL_MS = Number(process.env.FINISHED_ROOM_TTL_MS) || 10 * 60000;
+const ROOM_CLOSE_WARNING_MS = Number(process.env.ROOM_CLOSE_WARNING_MS) || 60000;
+const ROOM_REAP_INTERVAL_MS = Number(process.env.ROOM_REAP_INTERVAL_MS) || 15000;
+// 房間關閉後保留回放紀錄的時間 (毫秒)
+const REPLAY_RETENTION_MS = Number(process.env.REPLAY_RETENTION_MS) || 60 * 60000;
+// 錦標賽結束後保留多久，以及報名中的錦標賽放著多久沒開始就移除 (毫秒)
+const TOURNAMENT_RETENTION_MS = Number(process.env.TOURNAMENT_RETENTION_MS) || 60 * 60000;
+const TOURNAMENT_REGISTRATION_TTL_MS = Number(process.env.TOURNAMENT_REGISTRATION_TTL_MS) || 60 * 60000;
+// 訪客帳號多久沒有登入也沒有對戰就移除 (毫秒)
+const GUEST_ACCOUNT_TTL_MS = Number(process.env.GUEST_ACCOUNT_TTL_MS) || 30 * 24 * 60 * 60000;
+// 推進遊戲引擎 (倒數、時間用盡、電腦玩家) 的頻率 (毫秒)；按住時間本身以時間戳計算，不依賴此頻率
+const ROUND_TICK_MS = 100;
+
+// JSON 格式的日誌，LOG_LEVEL 可設為 debug / info / warn / error
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+// 房間狀態在每次流程轉換時保存，伺服器重啟後還原 (GAME_STORE=memory 則不寫入磁碟)
+const gameStore = createGameStore(process.env.GAME_STORE || 'file', {
+    directory: process.env.GAME_STORE_DIR || path.join(__dirname, 'data', 'rooms'),
+    logger: logger,
+});
+
+// 帳號、對戰紀錄與積分；未指定 ACCOUNT_STORE 時與房間狀態使用相同類型的儲存
+const accounts = createAccountService(createAccountStore(process.env.ACCOUNT_STORE || process.env.GAME_STORE || 'file', {
+    directory: process.env.ACCOUNT_STORE_DIR || path.join(__dirname, 'data', 'accounts'),
+}), { logger });
 
+const clock = createSystemClock();
+// roomId -> 房間狀態 (即引擎的 state)，給 views 與 HTTP API 讀取
 const games = {};
+// roomId -> 遊戲引擎
+const engines = {};
+// tournamentId -> 錦標賽；不保存，伺服器重啟後進行中的錦標賽會消失
+const tournaments = {};
+// roomId -> 回放紀錄 (見 lib/replay.js)；房間關閉後保留 REPLAY_RETENTION_MS，伺服器重啟後消失
+const replays = {};
+
+// GET /metrics 輸出的指標
+const metrics = createMetricsRegistry();
+metrics.gauge('time_auction_active_rooms', 'Rooms by game status.', () => {
+    const counts = {};
+    Object.values(games).forEach(game => {
+        counts[game.status] = (counts[game.status] || 0) + 1;
+    });
+    return Object.keys(counts).map(status => ({ labels: { status }, value: counts[status] }));
+});
+metrics.gauge('time_auction_connected_sockets', 'Connected Socket.IO clients.', () => io.engine.clientsCount);
+const gamesStartedCounter = metrics.counter('time_auction_games_started_total', 'Games started, including rematches.');
+const gamesFinishedCounter = metrics.counter('time_auction_games_finished_total', 'Games finished, by reason.', { labelled: true });
+const disconnectEndingsCounter = metrics.counter('time_auction_games_ended_by_disconnect_total', 'Games that ended because a disconnected player was removed.');
+const roomsReapedCounter = metrics.counter('time_auction_rooms_reaped_total', 'Idle or finished rooms closed by the reaper, by reason.', { labelled: true });
+const roundDurationHistogram = metrics.histogram('time_auction_round_duration_seconds', 'Duration of bidding rounds.', [1, 2, 5, 10, 20, 30, 60, 120, 300]);
+
+app.use(createApiRouter({ games, io, accounts, tournaments, metrics, replays }));
+// 管理 API，需要 ADMIN_TOKEN
+app.use('/admin', createAdminRouter({ games, engines, token: process.env.ADMIN_TOKEN, logger, broadcastNotice }));
+// sessionToken -> { roomId, playerId, graceTimeoutId }，讓斷線的玩家能以新 socket 取回座位
+const sessions = {};
+
+// roomId -> 聊天室；聊天紀錄不保存，伺服器重啟後清空
+const chatRooms = {};
+// 禁用詞以逗號分隔設定在 CHAT_BANNED_WORDS
+const chatFilter = createWordFilter((process.env.CHAT_BANNED_WORDS || '').split(','));
+// 每個 socket 在 10 秒內的聊天與表情次數上限
+const chatLimiter = createRateLimiter({ limit: Number(process.env.CHAT_RATE_LIMIT) || 5, windowMs: 10000 });
+const reactionLimiter = createRateLimiter({ limit: Number(process.env.REACTION_RATE_LIMIT) || 10, windowMs: 10000 });
+
+// 所有事件在 10 秒內的次數上限：每個 socket、每個 IP (同一 IP 的所有連線合計)，按住與放開另外計算
+const socketEventLimiter = createRateLimiter({ limit: Number(process.env.SOCKET_EVENT_LIMIT) || 100, windowMs: 10000 });
+const ipEventLimiter = createRateLimiter({ limit: Number(process.env.IP_EVENT_LIMIT) || 300, windowMs: 10000 });
+const holdEventLimiter = createRateLimiter({ limit: Number(process.env.HOLD_EVENT_LIMIT) || 20, windowMs: 10000 });
+// 每個連線最多能建立的房間數，避免單一連線反覆建立與離開房間
+const MAX_ROOMS_PER_CONNECTION = Number(process.env.MAX_ROOMS_PER_CONNECTION) || 5;
+// 每個連線同時最多能主辦的錦標賽數 (尚未結束的)
+const MAX_TOURNAMENTS_PER_CONNECTION = Number(process.env.MAX_TOURNAMENTS_PER_CONNECTION) || 2;
+// 每個 IP 在 1 分鐘內密碼或邀請錯誤的次數上限，避免暴力猜測房間密碼
+const roomAccessLimiter = createRateLimiter({ limit: Number(process.env.ROOM_ACCESS_ATTEMPT_LIMIT) || 10, windowMs: 60000 });
+
+// 房間最後一次有動靜的時間，用來關閉閒置與已結束的房間
+const roomReaper = createRoomReaper({
+    idleTimeoutMs: ROOM_IDLE_TIMEOUT_MS,
+    finishedTtlMs: FINISHED_ROOM_TTL_MS,
+    warningMs: ROOM_CLOSE_WARNING_MS,
+});
+
+// 協定版本 2 的房間狀態 revision 與每位觀看者最後收到的狀態
+const stateTracker = createStateTracker();
+// 使用差異協定的 socket 都加入此頻道，舊版專用的廣播以 except 排除
+const DELTA_PROTOCOL_CHANNEL = `protocol:${PROTOCOL_VERSION}`;
 
 // --- 幫助函數 ---
-function generateRoomId() {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
+
+// 附在計時廣播上的伺服器時間，讓前端可以平滑地內插顯示
+function buildRoundTimerSync(game) {
+    return {
+        serverTime: Date.now(),
+        startedAt: game.roundStartedAtWallClock,
+        elapsedMs: Math.round(clock.now() - game.roundStartedAt),
+    };
 }
 
-function clearGameIntervals(game) {
-    if (game.preRoundIntervalId) {
-        clearInterval(game.preRoundIntervalId);
-        game.preRoundIntervalId = null;
-    }
-    if (game.roundTimerIntervalId) {
-        clearInterval(game.roundTimerIntervalId);
-        game.roundTimerIntervalId = null;
+function buildCountdownSync(game) {
+    return {
+        serverTime: Date.now(),
+        endsAt: game.preRoundEndsAtWallClock,
+    };
+}
+
+// 觀戰者加入的獨立頻道，與玩家所在的房間分開
+function spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+}
+
+// 房間內的玩家與觀戰者都會收到的公開廣播
+function emitToRoom(roomId, eventName, ...args) {
+    io.to(roomId).to(spectatorChannel(roomId)).emit(eventName, ...args);
+}
+
+// 只給使用舊版協定的 socket (差異協定的用戶端由狀態推算，不需要這些廣播)
+function emitToLegacyClients(roomId, eventName, ...args) {
+    io.to(roomId).to(spectatorChannel(roomId)).except(DELTA_PROTOCOL_CHANNEL).emit(eventName, ...args);
+}
+
+function usesDeltaProtocol(socket) {
+    return socket.protocolVersion === PROTOCOL_VERSION;
+}
+
+function usesLegacyProtocol(socket) {
+    return !usesDeltaProtocol(socket);
+}
+
+// 含有文字的廣播依每個 socket 選擇的語言產生內容 (同一種語言只產生一次)；targets 為頻道或 socket id，
+// 可以用 filter(socket) 只送給部分 socket
+function emitLocalized(targets, eventName, buildArgs, filter = () => true) {
+    const socketIds = new Set();
+    [].concat(targets).forEach(target => {
+        const members = io.sockets.adapter.rooms.get(target);
+        if (members) {
+            members.forEach(id => socketIds.add(id));
+        }
+    });
+    const argsByLocale = {};
+    socketIds.forEach(id => {
+        const socket = io.sockets.sockets.get(id);
+        if (!socket || !filter(socket)) return;
+        if (!argsByLocale[socket.locale]) {
+            argsByLocale[socket.locale] = buildArgs(socket.locale);
+        }
+        socket.emit(eventName, ...argsByLocale[socket.locale]);
+    });
+}
+
+// 對房間內每位玩家分別送出以其視角產生的資料 (隱藏資訊模式下每人看到的內容不同)；觀戰者以非玩家視角接收
+function emitPlayerViews(game, eventName, buildPayload, filter) {
+    game.players.forEach(p => {
+        if (!p.isBot) {
+            emitLocalized(p.id, eventName, locale => [buildPayload(p.id, locale)], filter);
+        }
+    });
+    if (game.spectators.length > 0) {
+        emitLocalized(spectatorChannel(game.id), eventName, locale => [buildPayload(null, locale)], filter);
     }
 }
 
+function buildPlayerStatusPayload(game, viewerId) {
+    return {
+        players: buildPlayersView(game, viewerId),
+        teams: buildTeamsView(game),
+        specialRounds: game.specialRounds,
+        currentRound: game.currentRound,
+        maxRounds: game.maxRounds,
+        initialTime: game.initialTime,
+        rules: game.rules,
+        hostId: game.hostId,
+        spectatorCount: game.spectators.length,
+        gameStatus: game.status,
+        readyEndsAt: game.status === 'waiting' ? game.readyEndsAtWallClock : null,
+        serverTime: Date.now()
+    };
+}
+
+// 舊版協定送出完整的玩家狀態，差異協定只送出有變化的部分
 function broadcastPlayerStatusUpdate(roomId) {
     const game = games[roomId];
     if (game) {
-        io.to(roomId).emit('playerStatusUpdate', {
-            players: game.players,
-            currentRound: game.currentRound,
-            maxRounds: game.maxRounds,
-            gameStatus: game.status
-        });
+        emitPlayerViews(game, 'playerStatusUpdate', viewerId => buildPlayerStatusPayload(game, viewerId), usesLegacyProtocol);
+        publishRoomState(roomId);
     }
 }
 
-function broadcastMessage(roomId, messageText) {
-    io.to(roomId).emit('message', messageText);
+// 房間內使用差異協定的玩家與觀戰者
+function getDeltaViewers(game) {
+    const viewers = [];
+    game.players.concat(game.spectators).forEach(p => {
+        const socket = io.sockets.sockets.get(p.id);
+        if (socket && usesDeltaProtocol(socket)) {
+            viewers.push({ socket, viewerId: socket.roomId === game.id ? socket.id : null });
+        }
+    });
+    return viewers;
 }
 
-// --- 遊戲流程函數 (由後端控制主要遊戲邏輯) ---
-
-// 開始新回合的準備階段
-function startNewRound(roomId) {
+// 依各觀看者的視角比較狀態，有變化時送出 stateDelta；完整的 stateSnapshot 只在加入房間、切換協定或 requestSnapshot 時送出
+function publishRoomState(roomId) {
     const game = games[roomId];
     if (!game) return;
+    const states = getDeltaViewers(game).map(({ socket, viewerId }) => ({ socketId: socket.id, state: buildRoomState(game, viewerId) }));
+    const serverTime = Date.now();
+    stateTracker.publish(roomId, states).forEach(({ socketId, payload }) => {
+        io.to(socketId).emit('stateDelta', { ...payload, serverTime });
+    });
+}
 
-    console.log(`[GAME_FLOW] Starting new round for room ${roomId}. Current round: ${game.currentRound}, Max rounds: ${game.maxRounds}`);
+function sendStateSnapshot(socket, game) {
+    const viewerId = socket.roomId === game.id ? socket.id : null;
+    const snapshot = stateTracker.snapshot(game.id, socket.id, buildRoomState(game, viewerId));
+    socket.emit('stateSnapshot', { ...snapshot, serverTime: Date.now() });
+    return snapshot;
+}
 
-    // 過濾出未淘汰的玩家
-    const alivePlayers = game.players.filter(p => !p.isEliminated);
+// 'message' 事件送出 (該語言的文字, { code, params })
+function broadcastMessage(roomId, message) {
+    emitLocalized([roomId, spectatorChannel(roomId)], 'message', locale => [formatMessage(locale, message), message]);
+}
 
-    // **新增判斷：如果只剩一個玩家未淘汰，則遊戲結束**
-    if (alivePlayers.length <= 1 && game.currentRound > 0) { // 如果只剩一人或無人，且已不是第0回合
-        console.log(`[GAME_FLOW] Room ${roomId}: Only ${alivePlayers.length} player(s) left. Ending game.`);
-        gameEnded(roomId, alivePlayers.length === 1 ? `${alivePlayers[0].name} 是唯一倖存者！遊戲結束。` : '所有玩家都被淘汰，遊戲結束。');
-        return;
+// 管理員的公告 (不翻譯)；roomId 為 null 時送給所有連線
+function broadcastNotice(notice, roomId) {
+    if (roomId) {
+        emitToRoom(roomId, 'serverNotice', notice);
+    } else {
+        io.emit('serverNotice', notice);
     }
+}
 
-    // **重要修改**：先檢查是否達到最大回合數來判斷遊戲結束
-    if (game.currentRound >= game.maxRounds) {
-        console.log(`[GAME_FLOW] Room ${roomId}: Reached max rounds (${game.maxRounds}). Ending game.`);
-        gameEnded(roomId, '所有回合已結束。'); // 觸發遊戲結束，並提供原因
-        return;
+function buildGameOverPayload(game, locale) {
+    const reason = game.gameOverReason;
+    return {
+        reason: formatMessage(locale, reason),
+        reasonCode: reason.code,
+        reasonParams: reason.params,
+        finalPlayers: buildRevealedPlayersView(game), // 發送所有玩家（包括已淘汰的）的最終數據
+        finalWinner: formatFinalWinner(locale, game.finalWinner),
+        history: game.roundHistory,
+        standings: game.standings,
+        teamStandings: game.teamStandings,
+        gameNumber: game.gameNumber,
+    };
+}
+
+function createSession(roomId, playerId) {
+    const sessionToken = crypto.randomBytes(24).toString('hex');
+    sessions[sessionToken] = { roomId, playerId, graceTimeoutId: null };
+    return sessionToken;
+}
+
+// 未指定 playerId 時刪除整個房間的所有連線階段
+function deleteSessions(roomId, playerId) {
+    Object.keys(sessions).forEach(token => {
+        const session = sessions[token];
+        if (session.roomId === roomId && (playerId === undefined || session.playerId === playerId)) {
+            if (session.graceTimeoutId) {
+                clearTimeout(session.graceTimeoutId);
+            }
+            delete sessions[token];
+        }
+    });
+}
+
+// 將目前房間狀態 (倒數、回合計時、遊戲結果、聊天紀錄) 補送給單一 socket，用於中途加入或重新連線
+function sendRoomStateToSocket(socketId, game) {
+    const socket = io.sockets.sockets.get(socketId);
+    const isDeltaClient = Boolean(socket) && usesDeltaProtocol(socket);
+    if (isDeltaClient) {
+        sendStateSnapshot(socket, game);
     }
 
-    game.currentRound++; // 遞增回合數
+    const chatRoom = chatRooms[game.id];
+    if (chatRoom) {
+        const isSpectator = !game.players.some(p => p.id === socketId);
+        io.to(socketId).emit('chatHistory', { roomId: game.id, messages: chatRoom.getHistory(isSpectator) });
+    }
 
-    game.preRoundCountdown = 0;
-    game.roundElapsedTime = 0;
-    game.status = 'waiting';
+    if (game.status === 'lobby') {
+        broadcastMessage(socketId, createMessage('WAITING_FOR_HOST'));
+    } else if (game.status === 'preCountdown') {
+        if (!isDeltaClient) {
+            io.to(socketId).emit('preRoundCountdownUpdate', game.preRoundCountdown, buildCountdownSync(game));
+        }
+        broadcastMessage(socketId, createMessage('COUNTDOWN_STARTED', { seconds: game.preRoundCountdown }));
+    } else if (game.status === 'inRound') {
+        io.to(socketId).emit('roundStarting', buildRoundTimerSync(game));
+        if (!isDeltaClient) {
+            io.to(socketId).emit('roundTimerUpdate', game.roundElapsedTime, buildRoundTimerSync(game));
+        }
+        broadcastMessage(socketId, createMessage('ROUND_STARTED'));
+    } else if (game.status === 'roundEnded' || game.status === 'waiting' || game.status === 'gameOver') { // 如果遊戲結束，新玩家也可以看到分數
+        broadcastMessage(socketId, createMessage('ROUND_READY', { round: game.currentRound }));
+        // 如果遊戲已結束，還要同步 finalPlayers 和 finalWinner
+        if (game.status === 'gameOver') {
+            emitLocalized(socketId, 'gameOver', locale => [buildGameOverPayload(game, locale)]);
+            io.to(socketId).emit('rematchVoteUpdate', buildRematchVoteStatus(game));
+        }
+    }
+}
 
-    game.players.forEach(p => {
-        p.isHoldingButton = false;
-        p.hasOptedOut = false;
-        p.roundHoldDuration = 0;
+// --- 遊戲引擎 ---
+
+// 把引擎事件轉成 Socket.IO 廣播；需要依觀看者產生不同內容的事件在這裡補上視角
+function attachEngine(engine) {
+    const game = engine.state;
+    const roomId = game.id;
+    games[roomId] = game;
+    engines[roomId] = engine;
+    chatRooms[roomId] = createChatRoom({ filter: chatFilter });
+
+    engine.on('playerStatusUpdate', () => broadcastPlayerStatusUpdate(roomId));
+    engine.on('message', (message, playerId) => broadcastMessage(playerId || roomId, message));
+    engine.on('preRoundCountdownUpdate', seconds => emitToLegacyClients(roomId, 'preRoundCountdownUpdate', seconds, buildCountdownSync(game)));
+    engine.on('roundStarting', () => emitToRoom(roomId, 'roundStarting', buildRoundTimerSync(game)));
+    engine.on('roundTimerUpdate', elapsedSeconds => emitToLegacyClients(roomId, 'roundTimerUpdate', elapsedSeconds, buildRoundTimerSync(game)));
+    // 差異協定的 roundEnded 只有訊息，玩家資料已經包含在狀態中
+    engine.on('roundEnded', message => {
+        emitPlayerViews(game, 'roundEnded', (viewerId, locale) => ({
+            message: formatMessage(locale, message),
+            code: message.code,
+            params: message.params,
+            updatedPlayers: buildPlayersView(game, viewerId),
+            currentRound: game.currentRound,
+            maxRounds: game.maxRounds,
+        }), usesLegacyProtocol);
+        emitLocalized([roomId, spectatorChannel(roomId)], 'roundEnded', locale => [{
+            message: formatMessage(locale, message),
+            code: message.code,
+            params: message.params,
+        }], usesDeltaProtocol);
     });
+    // 沒有伴隨 playerStatusUpdate 的流程轉換 (例如倒數開始、競標開始) 也要更新狀態；內容沒有變化時不會送出
+    ['preRoundCountdownUpdate', 'roundStarting', 'roundEnded', 'gameOver', 'hostChanged', 'rematchStarting'].forEach(eventName => {
+        engine.on(eventName, () => publishRoomState(roomId));
+    });
+    engine.on('showRoundStatsModal', () => emitPlayerViews(game, 'showRoundStatsModal', viewerId => ({
+        round: game.currentRound,
+        history: buildRoundHistoryView(game, viewerId),
+    })));
+    engine.on('roundWinnerAnnounced', payload => {
+        const record = game.roundHistory[game.roundHistory.length - 1];
+        roundDurationHistogram.observe((record.endedAt - record.startedAt) / 1000);
+        emitLocalized([roomId, spectatorChannel(roomId)], 'roundWinnerAnnounced', locale => [{
+            ...payload,
+            message: formatMessage(locale, payload.message),
+            code: payload.message.code,
+            params: payload.message.params,
+        }]);
+    });
+    engine.on('gameStarted', () => gamesStartedCounter.inc());
+    engine.on('gameOver', () => {
+        gamesFinishedCounter.inc({ reason: game.gameOverReason.code });
+        emitLocalized([roomId, spectatorChannel(roomId)], 'gameOver', locale => [buildGameOverPayload(game, locale)]);
+        accounts.recordMatch(game);
+        recordTournamentRoom(roomId, game.standings.map(s => ({ name: s.name, placement: s.placement })));
+    });
+    engine.on('hostChanged', payload => emitToRoom(roomId, 'hostChanged', payload));
+    engine.on('rematchVoteUpdate', status => emitToRoom(roomId, 'rematchVoteUpdate', status));
+    engine.on('rematchStarting', payload => emitToRoom(roomId, 'rematchStarting', payload));
+    // 掛機的玩家移到觀眾席：座位與重新連線用的 session 一併移除，連線改為觀戰
+    engine.on('playerMovedToSpectators', ({ id, name, roomEmpty }) => {
+        deleteSessions(roomId, id);
+        const socket = io.sockets.sockets.get(id);
+        if (socket && socket.roomId === roomId) {
+            delete socket.roomId;
+            delete socket.sessionToken;
+            socket.leave(roomId);
+            stateTracker.forget(socket.id);
+            game.spectators.push({ id: socket.id, name: name });
+            socket.join(spectatorChannel(roomId));
+            socket.spectatingRoomId = roomId;
+            sendRoomStateToSocket(socket.id, game);
+        }
+        if (roomEmpty) {
+            closeRoom(roomId);
+        }
+    });
+    engine.on('checkpoint', () => {
+        roomReaper.touch(roomId);
+        persistGame(game);
+    });
+    recordReplay(engine);
+    return engine;
+}
 
-    broadcastPlayerStatusUpdate(roomId);
-    broadcastMessage(roomId, `第 ${game.currentRound} 回合：請所有玩家按住準備！`);
-
-    io.to(roomId).emit('roundEnded', {
-        message: `第 ${game.currentRound} 回合：請所有玩家按住準備！`,
-        updatedPlayers: game.players,
-        currentRound: game.currentRound,
-        maxRounds: game.maxRounds,
+// 回放紀錄：直播事件以所有玩家的完整資料記錄 (只在對局之間提供，見 lib/replay.js)，訊息保留 { code, params }；
+// 倒數與計時只記錄秒數，播放時的節奏由播放器控制。還原的房間從還原時開始重新記錄
+function recordReplay(engine) {
+    const game = engine.state;
+    const replay = replays[game.id] = createReplay(game.id);
+    const record = (kind, event, ...args) => recordReplayEntry(replay, kind, event, args, game.gameNumber);
+
+    engine.on('action', action => record('action', action.type, action));
+    engine.on('playerStatusUpdate', () => record('event', 'playerStatusUpdate', {
+        ...buildPlayerStatusPayload(game, null),
+        players: buildRevealedPlayersView(game),
+    }));
+    engine.on('message', (message, playerId) => {
+        if (!playerId) {
+            record('event', 'message', message);
+        }
     });
-    console.log(`[GAME_FLOW] Round ${game.currentRound} for room ${roomId} started. Status: ${game.status}`);
+    engine.on('preRoundCountdownUpdate', seconds => record('event', 'preRoundCountdownUpdate', seconds));
+    engine.on('roundStarting', () => record('event', 'roundStarting'));
+    engine.on('roundTimerUpdate', elapsedSeconds => record('event', 'roundTimerUpdate', elapsedSeconds));
+    engine.on('roundEnded', message => record('event', 'roundEnded', message));
+    engine.on('roundWinnerAnnounced', payload => record('event', 'roundWinnerAnnounced', payload));
+    engine.on('gameOver', () => record('event', 'gameOver', {
+        gameOverReason: game.gameOverReason,
+        players: buildRevealedPlayersView(game),
+        finalWinner: game.finalWinner,
+        roundHistory: game.roundHistory,
+        standings: game.standings,
+        teamStandings: game.teamStandings,
+        gameNumber: game.gameNumber,
+    }));
+    engine.on('hostChanged', payload => record('event', 'hostChanged', payload));
+    engine.on('rematchStarting', payload => record('event', 'rematchStarting', payload));
+}
 
-    if (game.currentRound > 0 && game.currentRound % 3 === 0 && game.currentRound !== game.maxRounds) {
-        io.to(roomId).emit('showRoundStatsModal');
-        console.log(`[GAME_FLOW] Room ${roomId}: Triggered Round Stats Modal for Round ${game.currentRound}`);
+// 回放的一筆事件依觀看者的語言轉成直播時送出的參數
+function buildReplayEventArgs(entry, locale) {
+    const [payload] = entry.args;
+    switch (entry.event) {
+        case 'message':
+            return [formatMessage(locale, payload), payload];
+        case 'roundEnded':
+            return [{ message: formatMessage(locale, payload), code: payload.code, params: payload.params }];
+        case 'roundWinnerAnnounced':
+            return [{ ...payload, message: formatMessage(locale, payload.message), code: payload.message.code, params: payload.message.params }];
+        case 'gameOver': // 記錄的是結束當下的房間狀態，與直播時以同樣方式產生內容
+            return [buildGameOverPayload(payload, locale)];
+        default:
+            return entry.args;
     }
 }
 
+function stopReplayForSocket(socket, stopped) {
+    if (socket.replay) {
+        socket.replay.player.stop();
+        socket.emit('replayEnded', { roomId: socket.replay.roomId, stopped: stopped });
+        delete socket.replay;
+    }
+}
 
-function startPreRoundCountdown(roomId) {
-    const game = games[roomId];
-    console.log(`[START_COUNTDOWN_FN] Attempting to start countdown for room ${roomId}. Current status: ${game ? game.status : 'N/A'}`);
-    if (!game || game.status === 'preCountdown' || game.status === 'inRound') {
-        console.log(`[START_COUNTDOWN_FN] Aborting: Game not found or already in countdown/round. Status: ${game ? game.status : 'N/A'}`);
-        return;
+// 所有房間共用一個計時器推進引擎
+setInterval(() => {
+    Object.values(engines).forEach(engine => engine.tick());
+}, ROUND_TICK_MS);
+
+// 定時關閉閒置與已結束的房間，關閉前先預告房間內的玩家與觀眾
+setInterval(() => {
+    pruneReplays(replays, REPLAY_RETENTION_MS);
+    accounts.pruneGuests(GUEST_ACCOUNT_TTL_MS);
+    pruneTournaments(tournaments, { finishedTtlMs: TOURNAMENT_RETENTION_MS, registrationTtlMs: TOURNAMENT_REGISTRATION_TTL_MS }).forEach(tournament => {
+        logger.info('TOURNAMENT', 'Tournament removed', { tournamentId: tournament.id, status: tournament.status });
+        io.in(tournamentChannel(tournament.id)).socketsLeave(tournamentChannel(tournament.id));
+    });
+    const { warn, close } = roomReaper.sweep(games);
+    warn.forEach(({ roomId, reason, closesAt }) => {
+        const message = createMessage(reason === 'finished' ? 'ROOM_CLOSING_FINISHED' : 'ROOM_CLOSING_IDLE', {
+            seconds: Math.max(0, Math.round((closesAt - Date.now()) / 1000)),
+        });
+        emitLocalized([roomId, spectatorChannel(roomId)], 'roomClosing', locale => [{
+            roomId: roomId,
+            closesAt: closesAt,
+            code: message.code,
+            params: message.params,
+            message: formatMessage(locale, message),
+        }]);
+    });
+    close.forEach(({ roomId, reason }) => {
+        logger.info('REAPER', 'Closing an inactive room', { roomId: roomId, reason: reason, status: games[roomId].status });
+        roomsReapedCounter.inc({ reason });
+        closeRoom(roomId, createMessage(reason === 'finished' ? 'ROOM_CLOSED_FINISHED' : 'ROOM_CLOSED_IDLE'));
+    });
+}, ROOM_REAP_INTERVAL_MS);
+
+// 清掉已斷線 IP 的事件紀錄
+setInterval(() => {
+    ipEventLimiter.prune();
+    roomAccessLimiter.prune();
+}, 60000);
+
+// --- 房主 ---
+
+// 取得 socket 所在房間的引擎，且該 socket 必須是房主；否則直接回覆錯誤並回傳 null
+function getEngineAsHost(socket, callback) {
+    const engine = engines[socket.roomId];
+    if (!engine) {
+        callback(failure('NOT_IN_ROOM'));
+        return null;
+    }
+    const error = checkHostAction(engine.state, socket);
+    if (error) {
+        callback(error);
+        return null;
     }
+    return engine;
+}
 
-    // 只考慮未淘汰的玩家來判斷是否所有人都按住了
-    const alivePlayers = game.players.filter(p => !p.isEliminated);
-    const playerCount = alivePlayers.length;
-    const allPlayersHolding = alivePlayers.every(p => p.isHoldingButton);
+// 快速配對與錦標賽的房間由伺服器安排，房主只是第一個入座的玩家，不能使用房主操作
+function checkHostAction(game, socket) {
+    if (game.hostId !== socket.id) {
+        return failure('HOST_ONLY');
+    }
+    if (game.managedBy) {
+        return failure('MANAGED_ROOM_HOST_LOCKED');
+    }
+    return null;
+}
 
-    console.log(`[START_COUNTDOWN_FN] Inside conditions check: Alive Players: ${playerCount}, All Holding: ${allPlayersHolding}`);
+// --- 聊天 ---
 
-    let shouldStartCountdown = false;
-    // 單人測試模式: 如果是單人且未被淘汰，只要他按住就啟動
-    if (playerCount === 1) {
-        if (allPlayersHolding) {
-            shouldStartCountdown = true;
-        }
-    } else { // 正常多人遊戲模式: 至少2人未淘汰且所有未淘汰玩家都按住
-        if (playerCount >= 2 && allPlayersHolding) {
-            shouldStartCountdown = true;
-        }
+function emitChatEntry(roomId, entry) {
+    if (entry.audience === 'all') {
+        emitToRoom(roomId, 'chatMessage', entry);
+    } else {
+        io.to(entry.audience === 'players' ? roomId : spectatorChannel(roomId)).emit('chatMessage', entry);
     }
+}
 
-    if (!shouldStartCountdown) {
-        console.log(`[START_COUNTDOWN_FN] Conditions ultimately not met. Should Start Countdown: ${shouldStartCountdown}. Aborting countdown.`);
+// 房主禁言或解除禁言；電腦玩家與房主自己不能被禁言
+function setPlayerMuted(socket, playerId, muted, callback) {
+    const engine = getEngineAsHost(socket, callback);
+    if (!engine) return;
+    const target = engine.state.players.find(p => p.id === playerId && !p.isBot);
+    if (!target || target.id === socket.id) {
+        callback(failure('MUTE_TARGET_NOT_FOUND'));
         return;
     }
 
-    console.log(`[START_COUNTDOWN_FN] Countdown conditions MET for room ${roomId}. Starting countdown!`);
-
-    game.status = 'preCountdown';
-    game.preRoundCountdown = 5;
-    game.players.forEach(p => { // 重置所有玩家，包括淘汰的
-        p.hasOptedOut = false;
-        p.roundHoldDuration = 0;
-    });
-
-    broadcastPlayerStatusUpdate(roomId);
-    io.to(roomId).emit('preRoundCountdownUpdate', game.preRoundCountdown);
-    broadcastMessage(roomId, `所有玩家已按住！倒數：${game.preRoundCountdown} 秒`);
+    chatRooms[engine.id].setMuted(target.name, muted);
+    logger.info('CHAT', muted ? 'Host muted a player' : 'Host unmuted a player', { roomId: engine.id, playerId: target.id, playerName: target.name });
+    broadcastMessage(engine.id, createMessage(muted ? 'PLAYER_MUTED' : 'PLAYER_UNMUTED', { name: target.name }));
+    callback({ success: true, playerId: target.id, muted: muted });
+}
 
-    game.preRoundIntervalId = setInterval(() => {
-        game.preRoundCountdown--;
-        io.to(roomId).emit('preRoundCountdownUpdate', game.preRoundCountdown);
-        console.log(`[COUNTDOWN] Room ${roomId} countdown: ${game.preRoundCountdown}`);
+// --- 觀戰者 ---
 
-        if (game.preRoundCountdown <= 0) {
-            clearInterval(game.preRoundIntervalId);
-            game.preRoundIntervalId = null;
-            console.log(`[COUNTDOWN] Room ${roomId} countdown finished.`);
-            handlePreRoundEndOnServer(roomId);
-        }
-    }, 1000);
-}
+function removeSpectator(socket) {
+    const roomId = socket.spectatingRoomId;
+    delete socket.spectatingRoomId;
+    socket.leave(spectatorChannel(roomId));
 
-function handlePreRoundEndOnServer(roomId) {
     const game = games[roomId];
     if (!game) return;
+    game.spectators = game.spectators.filter(s => s.id !== socket.id);
+    stateTracker.forget(socket.id);
+    logger.info('SPECTATE', 'Spectator left', { roomId: roomId, socketId: socket.id, spectators: game.spectators.length });
+    broadcastPlayerStatusUpdate(roomId);
+}
 
-    console.log(`[HANDLE_PRE_ROUND_END] Room ${roomId}: Pre-round countdown ended. Status: ${game.status}`);
+// --- 狀態保存與還原 ---
 
-    game.players.forEach(p => {
-        // 如果玩家時間用盡，且沒有明確選擇退出，則標記為退出和淘汰
-        if (p.time <= 0 && !p.hasOptedOut && !p.isEliminated) { // **新增：檢查是否已被淘汰**
-            p.hasOptedOut = true;
-            p.isEliminated = true; // **重要：標記為永久淘汰**
-            broadcastMessage(roomId, `${p.name} 時間已用盡，已被淘汰！`);
-            console.log(`[HANDLE_PRE_ROUND_END] Player ${p.name} time ran out and eliminated.`);
-        }
-        // 如果玩家在倒數結束時沒有按住按鈕，且未被淘汰，則標記為退出
-        else if (!p.isHoldingButton && !p.hasOptedOut && !p.isEliminated) { // **新增：檢查是否已被淘汰**
-            p.hasOptedOut = true;
-            console.log(`[HANDLE_PRE_ROUND_END] Player ${p.name} opted out (not holding after countdown).`);
+// 本回合參與者與觀戰者不保存 (還原時進行中的回合會重新開始)
+const TRANSIENT_GAME_FIELDS = ['activePlayersInRound', 'spectators'];
+
+function snapshotGame(game) {
+    const savedGame = {};
+    Object.keys(game).forEach(key => {
+        if (!TRANSIENT_GAME_FIELDS.includes(key)) {
+            savedGame[key] = game[key];
         }
     });
+    return {
+        savedAt: Date.now(),
+        game: savedGame,
+        sessions: Object.keys(sessions)
+            .filter(token => sessions[token].roomId === game.id)
+            .map(token => ({ token, playerId: sessions[token].playerId })),
+    };
+}
 
-    // 過濾出本回合真正參與競標的玩家 (按住按鈕且未被淘汰和未放棄的)
-    game.activePlayersInRound = game.players.filter(p => p.isHoldingButton && !p.hasOptedOut && !p.isEliminated);
-    console.log(`[HANDLE_PRE_ROUND_END] Active players for this round: ${game.activePlayersInRound.map(p => p.name).join(', ')}`);
+function persistGame(game) {
+    gameStore.save(game.id, snapshotGame(game)).catch(err => {
+        logger.error('GAME_STORE', 'Failed to save room', { roomId: game.id, error: err });
+    });
+}
 
-    // **新增判斷：如果 activePlayersInRound 不足 1 人，則直接結束本輪，進入新回合準備**
-    if (game.activePlayersInRound.length < 1) {
-        broadcastMessage(roomId, '倒數結束，無人堅持競標。本回合無人獲勝。');
-        console.log(`[HANDLE_PRE_ROUND_END] No active players after countdown for room ${roomId}.`);
-        setTimeout(() => startNewRound(roomId), 2000);
-        return;
+function forgetGame(roomId) {
+    gameStore.remove(roomId).catch(err => {
+        logger.error('GAME_STORE', 'Failed to remove room', { roomId: roomId, error: err });
+    });
+}
+
+// 還原後所有真人玩家都視為斷線，保留座位等待以原本的 sessionToken 重新連線
+function restoreGame(snapshot) {
+    const engine = attachEngine(createGameEngine({ state: snapshot.game, clock, logger }));
+    const roomId = engine.id;
+    if (!engine.state.access) { // 加入存取控制之前保存的房間視為公開
+        engine.state.access = createRoomAccess().access;
     }
 
-    game.status = 'inRound';
-    game.roundElapsedTime = 0;
-
-    broadcastMessage(roomId, '競標開始！堅持住！');
-    io.to(roomId).emit('roundStarting');
-    console.log(`[HANDLE_PRE_ROUND_END] Round for room ${roomId} is starting!`);
-
-    game.roundTimerIntervalId = setInterval(() => {
-        game.roundElapsedTime++;
-
-        let somePlayerStatusChanged = false; // 用於檢查是否有玩家狀態變化需要廣播
-        game.players.forEach(p => {
-            // 只有未淘汰且正在按住的玩家才增加 roundHoldDuration
-            if (p.isHoldingButton && !p.hasOptedOut && !p.isEliminated) { // **新增：檢查未淘汰**
-                p.roundHoldDuration++;
-                // 檢查玩家時間是否用盡
-                if (p.time - p.roundHoldDuration <= 0) {
-                    p.isHoldingButton = false;
-                    p.roundHoldDuration = p.time;
-                    p.hasOptedOut = true;
-                    p.isEliminated = true; // **重要：標記為永久淘汰**
-                    broadcastMessage(roomId, `${p.name} 的時間用盡了！已被淘汰！`);
-                    console.log(`[IN_ROUND] Player ${p.name} time ran out and eliminated.`);
-                    somePlayerStatusChanged = true;
-                }
+    snapshot.sessions.forEach(({ token, playerId }) => {
+        const session = { roomId: roomId, playerId: playerId, graceTimeoutId: null };
+        sessions[token] = session;
+        startSeatGraceTimer(roomId, playerId, session);
+    });
+
+    const { interrupted } = engine.recover();
+    logger.info('GAME_STORE', 'Restored room', { roomId: roomId, status: engine.state.status, round: engine.state.currentRound, interrupted: interrupted });
+}
+
+function restoreGames() {
+    return gameStore.loadAll().then(snapshots => {
+        snapshots.forEach(snapshot => {
+            try {
+                restoreGame(snapshot);
+            } catch (err) {
+                logger.error('GAME_STORE', 'Failed to restore a room snapshot', { error: err });
             }
         });
-        if (somePlayerStatusChanged) {
-            broadcastPlayerStatusUpdate(roomId);
-        }
+        logger.info('GAME_STORE', 'Restored saved rooms', { rooms: snapshots.length, store: gameStore.type });
+    }).catch(err => {
+        logger.error('GAME_STORE', 'Failed to load saved rooms', { error: err });
+    });
+}
 
-        io.to(roomId).emit('roundTimerUpdate', game.roundElapsedTime);
+// --- 玩家離開與斷線處理 ---
 
-        checkAllReleasedOnServer(roomId);
+// 斷線時先保留座位：標記為斷線，若正在按住則視為放手，寬限時間過後才真正移除
+function holdSeatForDisconnectedPlayer(roomId, playerId, sessionToken) {
+    const engine = engines[roomId];
+    const session = sessions[sessionToken];
+    const player = engine ? engine.state.players.find(p => p.id === playerId) : null;
+    if (!player || !session) return;
 
-    }, 1000);
+    logger.info('DISCONNECT', 'Holding the seat of a disconnected player', { roomId: roomId, playerId: playerId, playerName: player.name, graceMs: RECONNECT_GRACE_MS });
+    engine.markDisconnected(playerId);
+    startSeatGraceTimer(roomId, playerId, session);
 }
 
-function checkAllReleasedOnServer(roomId) {
-    const game = games[roomId];
-    if (!game || game.status !== 'inRound') return;
+function startSeatGraceTimer(roomId, playerId, session) {
+    session.graceTimeoutId = setTimeout(() => {
+        session.graceTimeoutId = null;
+        if (!engines[roomId] || session.playerId !== playerId) return;
+        logger.info('DISCONNECT', 'Grace period expired', { roomId: roomId, playerId: playerId });
+        removePlayerFromRoom(roomId, playerId, 'DISCONNECT');
+    }, RECONNECT_GRACE_MS);
+}
 
-    // 檢查所有「活躍」玩家 (進入競標且未被淘汰) 是否都已放手或已放棄
-    const allActiveReleased = game.activePlayersInRound.every(p => {
-        const currentPlayerState = game.players.find(gp => gp.id === p.id);
-        // 如果玩家不存在、或玩家已放手、或玩家已因為時間耗盡而放棄、或玩家已被淘汰
-        return !currentPlayerState || (!currentPlayerState.isHoldingButton || currentPlayerState.hasOptedOut || currentPlayerState.isEliminated);
-    });
+function removePlayerFromRoom(roomId, playerId, logTag) {
+    const engine = engines[roomId];
+    if (!engine) return;
 
-    if (allActiveReleased) {
-        console.log(`[CHECK_RELEASED] All active players in room ${roomId} have released.`);
-        clearGameIntervals(game);
-        endRoundOnServer(roomId);
+    deleteSessions(roomId, playerId);
+    const wasPlaying = engine.state.status !== 'lobby' && engine.state.status !== 'gameOver';
+    const { roomEmpty } = engine.leave(playerId, logTag);
+    if (logTag === 'DISCONNECT' && wasPlaying && engine.state.status === 'gameOver') {
+        disconnectEndingsCounter.inc();
+    }
+    if (roomEmpty) {
+        closeRoom(roomId);
     }
 }
 
-function endRoundOnServer(roomId) {
+// 移除房間並通知還在房間中的玩家與觀眾；reason 為關閉原因 { code, params } (房間變空時不需要)
+function closeRoom(roomId, reason = null) {
     const game = games[roomId];
-    if (!game) return;
-
-    game.status = 'roundEnded';
-
-    let winner = null;
-    let maxHoldDuration = 0;
-    let winningPlayers = [];
-
-    // 找出 activePlayersInRound 中，roundHoldDuration 最高的玩家。
-    game.activePlayersInRound.forEach(p => {
-        // 只考慮未淘汰且未放棄的玩家
-        if (!p.isEliminated && !p.hasOptedOut) {
-            if (p.roundHoldDuration > maxHoldDuration) {
-                maxHoldDuration = p.roundHoldDuration;
-                winningPlayers = [p];
-            } else if (p.roundHoldDuration === maxHoldDuration) {
-                winningPlayers.push(p);
-            }
+    emitLocalized([roomId, spectatorChannel(roomId)], 'roomClosed', locale => [reason
+        ? { roomId: roomId, code: reason.code, params: reason.params, message: formatMessage(locale, reason) }
+        : { roomId: roomId }]);
+    game.players.forEach(p => {
+        const socket = io.sockets.sockets.get(p.id);
+        if (socket && socket.roomId === roomId) {
+            delete socket.roomId;
+            delete socket.sessionToken;
         }
     });
-    console.log(`[END_ROUND] Room ${roomId}: Max hold duration: ${maxHoldDuration}, Winning Players count: ${winningPlayers.length}`);
+    game.spectators.forEach(s => {
+        const socket = io.sockets.sockets.get(s.id);
+        if (socket && socket.spectatingRoomId === roomId) {
+            delete socket.spectatingRoomId;
+        }
+    });
+    io.in(roomId).socketsLeave(roomId);
+    io.in(spectatorChannel(roomId)).socketsLeave(spectatorChannel(roomId));
+
+    engines[roomId].dispose();
+    deleteSessions(roomId);
+    delete games[roomId];
+    delete engines[roomId];
+    delete chatRooms[roomId];
+    stateTracker.removeRoom(roomId);
+    roomReaper.forget(roomId);
+    closeReplay(replays[roomId], game.access.visibility);
+    forgetGame(roomId);
+    recordTournamentRoom(roomId, []);
+}
 
-    let winnerAnnouncementMessage = '';
 
-    if (maxHoldDuration === 0 || winningPlayers.length === 0) {
-        winnerAnnouncementMessage = '本回合無人參與。';
-        broadcastMessage(roomId, winnerAnnouncementMessage);
-        console.log(`[END_ROUND] Room ${roomId}: No winner.`);
-    } else {
-        if (winningPlayers.length === 1) {
-            winner = winningPlayers[0];
-            winner.tokens += 1;
-            winner.time -= maxHoldDuration; // 贏家扣除時間
-            winnerAnnouncementMessage = `${winner.name} 贏得了本回合！`; // 移除「堅持了X秒」
-            broadcastMessage(roomId, winnerAnnouncementMessage);
-            console.log(`[END_ROUND] Room ${roomId}: Winner: ${winner.name}`);
-        } else {
-            const winnerNames = winningPlayers.map(p => p.name).join(' 和 ');
-            winningPlayers.forEach(p => {
-                p.tokens += 1;
-                p.time -= maxHoldDuration; // 平手贏家也扣除時間
-            });
-            winnerAnnouncementMessage = `本回合平手！贏家有 ${winnerNames}！`; // 移除「堅持了X秒」
-            broadcastMessage(roomId, winnerAnnouncementMessage);
-            console.log(`[END_ROUND] Room ${roomId}: Tie winners: ${winnerNames}`);
-        }
+// --- 建立與加入房間 ---
+
+// createRoom 與快速配對共用；passwordHash 由 hashRoomPassword() 事先算好。回傳給 callback 的結果
+function createRoomForSocket(socket, data, passwordHash = null) {
+    const { initialTime, maxRounds } = data;
+    const account = accounts.getAccount(socket.accountId);
+    const playerName = account ? account.name : data.playerName;
+    if (!playerName) {
+        return failure('NAME_REQUIRED');
     }
 
-    io.to(roomId).emit('roundWinnerAnnounced', {
-        message: winnerAnnouncementMessage,
-        winners: winningPlayers.map(p => ({ id: p.id, name: p.name })),
-        duration: maxHoldDuration,
-        isTie: winningPlayers.length > 1
+    const settingsError = validateInitialTime(initialTime) || validateMaxRounds(maxRounds);
+    if (settingsError) {
+        return { success: false, ...settingsError };
+    }
+    const { error: rulesError, rules } = resolveRules(data.rules);
+    if (rulesError) {
+        return { success: false, ...rulesError };
+    }
+    const { error: accessError, access } = createRoomAccess({ visibility: data.visibility, passwordHash: passwordHash });
+    if (accessError) {
+        return { success: false, ...accessError };
+    }
+
+    leaveMatchQueue(socket.id);
+    const roomId = generateRoomId(id => Boolean(games[id] || replays[id])); // 也不重用還保留著回放的房間代碼
+    // 房間先進入大廳，由房主 (創建者) 決定何時開始第一回合
+    const engine = attachEngine(createGameEngine({
+        id: roomId,
+        hostId: socket.id,
+        initialTime: initialTime,
+        maxRounds: maxRounds,
+        rules: rules,
+        clock: clock,
+        logger: logger,
+    }));
+    engine.state.access = access;
+    engine.state.managedBy = null; // 由快速配對或錦標賽建立的房間會改為 matchmaking / tournament
+    socket.join(roomId);
+    socket.roomId = roomId;
+    socket.sessionToken = createSession(roomId, socket.id);
+    const { player: newPlayer } = engine.join(socket.id, playerName, account ? account.id : null);
+
+    logger.info('CREATE_ROOM', 'Room created', { roomId: roomId, playerId: socket.id, playerName: playerName, initialTime: initialTime, maxRounds: maxRounds, preset: rules.preset, visibility: access.visibility, hasPassword: access.passwordHash !== null });
+    return { success: true, roomId: roomId, player: newPlayer, sessionToken: socket.sessionToken };
+}
+
+// joinRoom 與 spectateRoom 的存取檢查 (快速配對與錦標賽由伺服器安排座位，不經過這裡)。
+// 回傳 Promise<{ error, invite }>；密碼或邀請錯誤太多次時回覆 RATE_LIMITED
+async function checkSocketRoomAccess(socket, game, name, credentials) {
+    const address = socket.handshake.address;
+    const { password, inviteToken } = credentials || {};
+    const account = accounts.getAccount(socket.accountId);
+    const result = await checkRoomAccess(game.access, {
+        name: account ? account.name : name || null,
+        accountId: account ? account.id : null,
+        password: password,
+        inviteToken: inviteToken,
     });
+    if (result.error && (password || inviteToken) && !roomAccessLimiter.allow(address)) {
+        logger.warn('RATE_LIMIT', 'Too many failed room access attempts', { socketId: socket.id, address: address, roomId: game.id });
+        return { error: createMessage('RATE_LIMITED'), invite: null };
+    }
+    if (result.error) {
+        logger.info('ROOM_ACCESS', 'Room access rejected', { roomId: game.id, socketId: socket.id, code: result.error.code });
+    }
+    return result;
+}
 
-    game.players.forEach(p => {
-        p.isHoldingButton = false;
-        p.hasOptedOut = false;
-        // p.roundHoldDuration = 0; // 不在這裡重置，在 startNewRound 統一重置
+// joinRoom 與快速配對共用；回傳給 callback 的結果
+function joinRoomForSocket(socket, roomId, requestedName) {
+    const account = accounts.getAccount(socket.accountId);
+    const playerName = account ? account.name : requestedName;
+    if (!playerName) {
+        return failure('NAME_REQUIRED');
+    }
+    const engine = engines[roomId];
+    if (!engine) {
+        logger.info('JOIN_ROOM', 'Join failed', { roomId: roomId, playerId: socket.id, playerName: playerName, code: 'ROOM_NOT_FOUND' });
+        return failure('ROOM_NOT_FOUND');
+    }
+
+    // 先加入頻道並建立連線階段，引擎廣播與保存的狀態才會包含這位玩家
+    socket.join(roomId);
+    const sessionToken = createSession(roomId, socket.id);
+    const result = engine.join(socket.id, playerName, account ? account.id : null);
+    if (!result.success) {
+        socket.leave(roomId);
+        delete sessions[sessionToken];
+        logger.info('JOIN_ROOM', 'Join failed', { roomId: roomId, playerId: socket.id, playerName: playerName, code: result.code });
+        return result;
+    }
+
+    leaveMatchQueue(socket.id);
+    if (socket.spectatingRoomId) { // 觀戰者轉為玩家
+        removeSpectator(socket);
+    }
+    socket.roomId = roomId;
+    socket.sessionToken = sessionToken;
+    return { success: true, roomId: roomId, player: result.player, sessionToken: sessionToken };
+}
+
+// --- 快速配對 ---
+
+const matchmaker = createMatchmaker();
+
+// 通知佇列中每位玩家目前的排隊位置
+function emitQueueStatus(key) {
+    matchmaker.getQueue(key).forEach(entry => {
+        io.to(entry.id).emit('matchmakingUpdate', matchmaker.getStatus(entry.id));
     });
+}
 
-    broadcastPlayerStatusUpdate(roomId);
+// 回傳原本所在的佇列，不在佇列中則回傳 null
+function leaveMatchQueue(socketId) {
+    const key = matchmaker.cancel(socketId);
+    if (key) {
+        emitQueueStatus(key);
+    }
+    return key;
+}
 
-    // 遊戲結束判斷現在只在 startNewRound 開頭 和 玩家不足時進行
-    setTimeout(() => {
-        startNewRound(roomId); // 無論如何都嘗試開始新回合，由 startNewRound 內部判斷是否該結束遊戲
-    }, 3000);
+// 以第一位成員為房主建立房間，其他人依序加入，到齊後直接開始遊戲 (快速配對與錦標賽共用)。
+// 房間設為私人，不會出現在公開房間列表上
+// members: [{ socket, name }]；回傳每位成員的結果，與 createRoom / joinRoom 的 callback 相同
+// managedBy 為 matchmaking 或 tournament
+function startRoomForGroup(members, settings, managedBy) {
+    const [host, ...others] = members;
+    const created = createRoomForSocket(host.socket, { ...settings, visibility: 'private', playerName: host.name });
+    if (!created.success) {
+        return members.map(() => created);
+    }
+
+    const engine = engines[created.roomId];
+    engine.state.managedBy = managedBy;
+    const results = [created, ...others.map(member => joinRoomForSocket(member.socket, created.roomId, member.name))];
+    if (engine.state.players.length >= 2) {
+        engine.start();
+    }
+    engine.state.players.forEach(p => sendRoomStateToSocket(p.id, engine.state));
+    return results;
 }
 
-function gameEnded(roomId, reason) {
-    const game = games[roomId];
-    if (!game) return;
+// 湊成一組後以最早排隊的玩家為房主建立房間
+function startMatchedRoom(group) {
+    const { initialTime, maxRounds, playerCount, preset } = group[0].preferences;
+    const members = group.map(entry => ({ socket: io.sockets.sockets.get(entry.id), name: entry.name }));
+    const results = startRoomForGroup(members, {
+        initialTime: initialTime,
+        maxRounds: maxRounds,
+        rules: { preset: preset, maxPlayers: playerCount },
+    }, 'matchmaking');
+    members.forEach((member, i) => member.socket.emit('matchFound', localizeResult(member.socket.locale, results[i])));
+    logger.info('MATCHMAKING', 'Players matched', { roomId: results[0].roomId, players: group.map(e => e.name) });
+}
 
-    game.status = 'gameOver';
-    clearGameIntervals(game);
+// --- 錦標賽 ---
 
-    let finalWinner = null;
-    const alivePlayers = game.players.filter(p => !p.isEliminated); // 只考慮未淘汰的玩家來排序
+// roomId -> { tournamentId, matchId }，遊戲結束時據此記錄對局結果
+const tournamentRooms = {};
+// 一輪結束後等待多久開始下一輪，讓玩家有時間看結果 (毫秒)
+const TOURNAMENT_STAGE_DELAY_MS = Number(process.env.TOURNAMENT_STAGE_DELAY_MS) || 10000;
 
-    // 最終優勝者判斷邏輯
-    if (alivePlayers.length > 0) {
-        const sortedPlayers = [...alivePlayers].sort((a, b) => {
-            if (b.tokens !== a.tokens) {
-                return b.tokens - a.tokens;
-            }
-            return b.time - a.time;
-        });
+function tournamentChannel(tournamentId) {
+    return `tournament:${tournamentId}`;
+}
 
-        const topPlayer = sortedPlayers[0];
-        const coWinners = sortedPlayers.filter(p => p.tokens === topPlayer.tokens && p.time === topPlayer.time);
+function broadcastTournamentUpdate(tournament) {
+    io.to(tournamentChannel(tournament.id)).emit('tournamentUpdate', buildTournamentView(tournament));
+}
 
-        if (coWinners.length > 1) {
-            finalWinner = {
-                isTie: true,
-                names: coWinners.map(p => p.name).join(' 和 '),
-                players: coWinners.map(p => ({ id: p.id, name: p.name, tokens: p.tokens, time: p.time }))
-            };
-        } else {
-            finalWinner = {
-                isTie: false,
-                name: topPlayer.name,
-                id: topPlayer.id,
-                tokens: topPlayer.tokens,
-                time: topPlayer.time
-            };
+// 把對局的玩家從原本的房間移出後開新房間；不在線上的玩家棄權，不足兩人時直接記錄結果
+function startTournamentMatch(tournament, match) {
+    const members = match.playerNames
+        .map(name => tournament.players.find(p => p.name === name))
+        .map(player => ({ socket: io.sockets.sockets.get(player.socketId), name: player.name }))
+        .filter(member => member.socket);
+
+    members.forEach(({ socket }) => {
+        if (socket.spectatingRoomId) {
+            removeSpectator(socket);
         }
-    } else {
-        // 如果所有玩家都被淘汰，則沒有最終優勝者
-        finalWinner = { isTie: false, name: '無人', id: null, tokens: 0, time: 0 };
-        reason = reason || '所有玩家都被淘汰，遊戲結束。';
+        const previousRoomId = socket.roomId;
+        if (previousRoomId && engines[previousRoomId]) {
+            delete socket.roomId;
+            delete socket.sessionToken;
+            socket.leave(previousRoomId);
+            stateTracker.forget(socket.id);
+            removePlayerFromRoom(previousRoomId, socket.id, 'TOURNAMENT');
+        }
+    });
+
+    if (members.length < 2) {
+        logger.info('TOURNAMENT', 'Recording a walkover', { tournamentId: tournament.id, matchId: match.id, onlinePlayers: members.length });
+        recordTournamentMatch(tournament, match.id, members.map(member => ({ name: member.name, placement: 1 })));
+        return;
+    }
+
+    const results = startRoomForGroup(members, {
+        initialTime: tournament.initialTime,
+        maxRounds: tournament.maxRounds,
+        rules: { preset: tournament.preset, maxPlayers: members.length },
+    }, 'tournament');
+    match.roomId = results[0].roomId;
+    match.status = 'playing';
+    tournamentRooms[match.roomId] = { tournamentId: tournament.id, matchId: match.id };
+    members.forEach((member, i) => member.socket.emit('tournamentMatch', localizeResult(member.socket.locale, {
+        ...results[i],
+        tournamentId: tournament.id,
+        matchId: match.id,
+        stage: tournament.stages.length,
+    })));
+    logger.info('TOURNAMENT', 'Match started', { tournamentId: tournament.id, matchId: match.id, roomId: match.roomId, players: match.playerNames });
+}
+
+function startTournamentStage(tournament, stage) {
+    logger.info('TOURNAMENT', 'Stage started', { tournamentId: tournament.id, stage: stage.number, matches: stage.matches.length });
+    stage.matches.forEach(match => startTournamentMatch(tournament, match));
+    broadcastTournamentUpdate(tournament);
+}
+
+// standings: [{ name, placement }]
+function recordTournamentMatch(tournament, matchId, standings) {
+    const outcome = recordMatchResult(tournament, matchId, standings);
+    if (!outcome) return;
+
+    if (tournament.status === 'finished') {
+        logger.info('TOURNAMENT', 'Tournament finished', { tournamentId: tournament.id, champion: tournament.champion });
+    } else if (outcome.nextStage) {
+        const nextStage = outcome.nextStage;
+        setTimeout(() => startTournamentStage(tournament, nextStage), TOURNAMENT_STAGE_DELAY_MS);
+    }
+    broadcastTournamentUpdate(tournament);
+}
+
+// 錦標賽房間的遊戲結束 (或房間在結束前解散) 時記錄對局結果
+function recordTournamentRoom(roomId, standings) {
+    const ref = tournamentRooms[roomId];
+    if (!ref) return;
+    delete tournamentRooms[roomId];
+    if (tournaments[ref.tournamentId]) {
+        recordTournamentMatch(tournaments[ref.tournamentId], ref.matchId, standings);
     }
+}
 
+// 以原本的連線階段重新連線後，錦標賽改用新的 socket 找到這位玩家
+function relinkTournamentPlayer(oldSocketId, socket) {
+    Object.values(tournaments).forEach(tournament => {
+        const player = tournament.players.find(p => p.socketId === oldSocketId);
+        if (player) {
+            player.socketId = socket.id;
+            socket.join(tournamentChannel(tournament.id));
+        }
+    });
+}
 
-    io.to(roomId).emit('gameOver', {
-        reason: reason,
-        finalPlayers: game.players, // 發送所有玩家（包括已淘汰的）的最終數據
-        finalWinner: finalWinner
+// 斷線時退出還在報名中的錦標賽；已開始的錦標賽保留名額，等待重新連線
+function withdrawDisconnectedPlayer(socketId) {
+    Object.values(tournaments).forEach(tournament => {
+        const player = tournament.players.find(p => p.socketId === socketId);
+        if (player && withdrawPlayer(tournament, player.name)) {
+            logger.info('TOURNAMENT', 'Disconnected player withdrawn', { tournamentId: tournament.id, playerName: player.name });
+            broadcastTournamentUpdate(tournament);
+        }
     });
-    console.log(`[GAME_OVER] Room ${roomId} game ended: ${reason}`);
-    console.log(`[GAME_OVER] Final Players:`, game.players.map(p => `${p.name} (Tokens: ${p.tokens}, Time: ${p.time}, Eliminated: ${p.isEliminated})`));
-    console.log(`[GAME_OVER] Final Winner:`, finalWinner);
 }
 
+function getTournamentAsOrganizer(socket, tournamentId, callback) {
+    const tournament = tournaments[tournamentId];
+    if (!tournament) {
+        callback(failure('TOURNAMENT_NOT_FOUND'));
+        return null;
+    }
+    if (tournament.organizerId !== socket.id) {
+        callback(failure('TOURNAMENT_ORGANIZER_ONLY'));
+        return null;
+    }
+    return tournament;
+}
+
+// --- 協定版本 ---
+
+// 連線時在 auth 或 query 宣告 protocolVersion；不支援的版本在連線階段就拒絕 (用戶端收到 connect_error，data 為錯誤訊息)
+io.use((socket, next) => {
+    const { auth, query, headers } = socket.handshake;
+    const requested = auth && auth.protocolVersion !== undefined ? auth.protocolVersion : query.protocolVersion;
+    const { error, version } = negotiateProtocol(requested);
+    if (error) {
+        const locale = resolveLocale((auth && auth.locale) || query.locale || headers['accept-language']);
+        const err = new Error(error.code);
+        err.data = localizeResult(locale, { success: false, ...error });
+        logger.warn('PROTOCOL', 'Rejected a connection with an unsupported protocol version', { socketId: socket.id, protocolVersion: requested });
+        next(err);
+        return;
+    }
+    setProtocolVersion(socket, version);
+    next();
+});
+
+function setProtocolVersion(socket, version) {
+    socket.protocolVersion = version;
+    if (version === PROTOCOL_VERSION) {
+        socket.join(DELTA_PROTOCOL_CHANNEL);
+    } else {
+        socket.leave(DELTA_PROTOCOL_CHANNEL);
+        stateTracker.forget(socket.id);
+    }
+}
 
 // --- Socket.IO 連接事件處理 ---
 io.on('connection', (socket) => {
-    console.log(`[CONNECT] 一位用戶連接了！Socket ID: ${socket.id}`);
+    logger.info('CONNECT', 'Socket connected', { socketId: socket.id, address: socket.handshake.address, protocolVersion: socket.protocolVersion });
+
+    // --- 語言 ---
 
-    socket.on('createRoom', (data, callback) => {
-        const { playerName, initialTime, maxRounds } = data;
+    // 連線時可在 auth 或 query 指定 locale，否則依瀏覽器的 Accept-Language；之後可以用 setLocale 切換
+    const { auth, query, headers } = socket.handshake;
+    const acceptLanguage = (headers['accept-language'] || '').split(',')[0].split(';')[0].trim();
+    socket.locale = resolveLocale((auth && auth.locale) || query.locale || acceptLanguage);
+
+    // 帶有 code 的 callback 結果依此 socket 的語言補上 message 文字
+    socket.use((packet, next) => {
+        const last = packet.length - 1;
+        if (typeof packet[last] === 'function') {
+            const callback = packet[last];
+            packet[last] = result => callback(localizeResult(socket.locale, result));
+        }
+        next();
+    });
 
-        if (typeof initialTime !== 'number' || initialTime < 10 || initialTime > 600 || isNaN(initialTime)) {
-            callback({ success: false, message: '無效的起始時間 (10-600 秒)。' });
+    // 每個事件先檢查次數限制與參數格式，處理函數收到的是整理過的參數；
+    // 需要回覆的事件一定會帶著 callback (用戶端沒有傳時補上空函數)，不需要的則移除
+    const clientAddress = socket.handshake.address;
+    socket.use((packet, next) => {
+        const [eventName, ...args] = packet;
+        const callback = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+        const reject = error => callback({ success: false, ...error });
+
+        const isHoldEvent = eventName === 'playerHolding' || eventName === 'playerReleased';
+        if (!socketEventLimiter.allow(socket.id) || !ipEventLimiter.allow(clientAddress) ||
+            (isHoldEvent && !holdEventLimiter.allow(socket.id))) {
+            logger.warn('RATE_LIMIT', 'Event limit exceeded', { socketId: socket.id, address: clientAddress, event: eventName });
+            reject(createMessage('RATE_LIMITED'));
             return;
         }
-        if (typeof maxRounds !== 'number' || maxRounds < 1 || maxRounds > 50 || isNaN(maxRounds)) {
-            callback({ success: false, message: '無效的遊戲回合數 (1-50 回合)。' });
+
+        const { error, args: validated } = validateEventArgs(eventName, args);
+        if (error) {
+            logger.warn('VALIDATION', 'Rejected an invalid event', { socketId: socket.id, event: eventName, code: error.code, params: error.params });
+            reject(error);
             return;
         }
+        if (socket.roomId) {
+            roomReaper.touch(socket.roomId);
+        }
+        packet.length = 0;
+        packet.push(eventName, ...validated);
+        if (expectsCallback(eventName)) {
+            packet.push(callback);
+        }
+        next();
+    });
 
-        const roomId = generateRoomId();
-        const newPlayer = {
-            id: socket.id,
-            name: playerName,
-            time: initialTime,
-            tokens: 0,
-            isHoldingButton: false,
-            hasOptedOut: false,
-            roundHoldDuration: 0,
-            isEliminated: false, // **新增：初始狀態未被淘汰**
-        };
-
-        games[roomId] = {
-            id: roomId,
-            players: [newPlayer],
-            status: 'waiting',
-            currentRound: 0,
-            maxRounds: maxRounds,
-            preRoundCountdown: 0,
-            preRoundIntervalId: null,
-            roundElapsedTime: 0,
-            roundTimerIntervalId: null,
-            activePlayersInRound: [],
-        };
-        socket.join(roomId);
-        socket.roomId = roomId;
+    socket.on('setLocale', (locale, callback) => {
+        socket.locale = resolveLocale(locale);
+        callback({ success: true, locale: socket.locale });
+    });
+
+    // --- 協定版本與狀態同步 ---
+
+    // 連線後才宣告或切換協定版本；已在房間中時依新的版本補送目前狀態
+    socket.on('hello', (data, callback) => {
+        const { error, version } = negotiateProtocol(data.protocolVersion);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        setProtocolVersion(socket, version);
+        callback({ success: true, protocolVersion: version, serverProtocolVersion: PROTOCOL_VERSION, supportedVersions: SUPPORTED_PROTOCOL_VERSIONS });
+
+        const game = games[socket.roomId || socket.spectatingRoomId];
+        if (game && usesDeltaProtocol(socket)) {
+            sendStateSnapshot(socket, game);
+        } else if (game) {
+            socket.emit('playerStatusUpdate', buildPlayerStatusPayload(game, socket.roomId ? socket.id : null));
+        }
+    });
+
+    // 發現 revision 不連續時重新取得完整狀態 (以 stateSnapshot 事件送出)
+    socket.on('requestSnapshot', (callback) => {
+        const game = games[socket.roomId || socket.spectatingRoomId];
+        if (!game) {
+            callback(failure('NOT_IN_ROOM'));
+            return;
+        }
+        const { revision } = sendStateSnapshot(socket, game);
+        callback({ success: true, revision: revision });
+    });
 
-        console.log(`[CREATE_ROOM] 玩家 ${playerName} 創建了房間：${roomId} (起始時間: ${initialTime}, 回合數: ${maxRounds})`);
-        callback({ success: true, roomId: roomId, player: newPlayer });
+    // --- 帳號 ---
 
-        startNewRound(roomId);
+    // 登入後建立或加入房間時使用帳號名稱，並在遊戲結束時記錄對戰與更新積分
+    socket.on('login', async (credentials, callback) => {
+        const { name, secret } = credentials || {};
+        const result = await accounts.login(name, secret);
+        if (result.success) {
+            socket.accountId = result.account.id;
+            logger.info('ACCOUNTS', 'Socket logged in', { socketId: socket.id, accountId: result.account.id });
+        }
+        callback(result);
     });
 
-    socket.on('joinRoom', (roomId, playerName, callback) => {
+    socket.on('loginAsGuest', (guestToken, callback) => {
+        const result = accounts.loginAsGuest(guestToken, socket.locale, socket.accountId);
+        socket.accountId = result.account.id;
+        logger.info('ACCOUNTS', 'Socket logged in as a guest', { socketId: socket.id, accountId: result.account.id });
+        callback(result);
+    });
+
+    socket.on('createRoom', async (data, callback) => {
+        if (socket.roomId) {
+            callback(failure('ALREADY_IN_ROOM'));
+            return;
+        }
+        if ((socket.createdRoomCount || 0) >= MAX_ROOMS_PER_CONNECTION) {
+            callback(failure('TOO_MANY_ROOMS', { max: MAX_ROOMS_PER_CONNECTION }));
+            return;
+        }
+        const { error: passwordError, passwordHash } = await hashRoomPassword(data.password);
+        if (passwordError) {
+            callback({ success: false, ...passwordError });
+            return;
+        }
+        // 計算雜湊期間可能已經加入了其他房間或斷線
+        if (socket.roomId || !socket.connected) {
+            callback(failure('ALREADY_IN_ROOM'));
+            return;
+        }
+        const result = createRoomForSocket(socket, data, passwordHash);
+        callback(result);
+        if (result.success) {
+            socket.createdRoomCount = (socket.createdRoomCount || 0) + 1;
+            sendRoomStateToSocket(socket.id, games[result.roomId]);
+        }
+    });
+
+    // credentials: { password?, inviteToken? }
+    socket.on('joinRoom', async (roomId, requestedName, credentials, callback) => {
+        if (socket.roomId) {
+            callback(failure('ALREADY_IN_ROOM'));
+            return;
+        }
         const game = games[roomId];
         if (!game) {
-            callback({ success: false, message: '房間不存在！' });
-            console.log(`[JOIN_ROOM] 玩家 ${playerName} 嘗試加入房間 ${roomId} 失敗: 房間不存在。`);
+            callback(failure('ROOM_NOT_FOUND'));
             return;
         }
-        if (game.status !== 'waiting' && game.status !== 'roundEnded' && game.status !== 'gameOver') {
-            callback({ success: false, message: '遊戲已開始或無法加入！' });
-            console.log(`[JOIN_ROOM] 玩家 ${playerName} 嘗試加入房間 ${roomId} 失敗: 遊戲狀態為 ${game.status}。`);
+        const { error, invite } = await checkSocketRoomAccess(socket, game, requestedName, credentials);
+        if (error) {
+            callback({ success: false, ...error });
             return;
         }
-        if (game.players.length >= 4) {
-            callback({ success: false, message: '房間已滿！' });
-            console.log(`[JOIN_ROOM] 玩家 ${playerName} 嘗試加入房間 ${roomId} 失敗: 房間已滿。`);
+        // 檢查密碼期間房間可能已經關閉，或這個連線已經加入其他房間
+        if (games[roomId] !== game) {
+            callback(failure('ROOM_NOT_FOUND'));
             return;
         }
-        if (game.players.some(p => p.name === playerName)) {
-            callback({ success: false, message: '此名稱已被使用！' });
-            console.log(`[JOIN_ROOM] 玩家 ${playerName} 嘗試加入房間 ${roomId} 失敗: 名稱重複。`);
+        if (socket.roomId || !socket.connected) {
+            callback(failure('ALREADY_IN_ROOM'));
             return;
         }
+        const result = joinRoomForSocket(socket, roomId, requestedName);
+        callback(result);
+        if (result.success) {
+            redeemInvite(game.access, invite);
+            persistGame(game);
+            sendRoomStateToSocket(socket.id, game);
+        }
+    });
 
-        const newPlayer = {
+    // --- 快速配對 ---
+
+    socket.on('findMatch', (preferences, callback) => {
+        if (socket.roomId) {
+            callback(failure('ALREADY_IN_ROOM'));
+            return;
+        }
+        const { error, preferences: resolved } = resolveMatchPreferences(preferences);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        const account = accounts.getAccount(socket.accountId);
+        const playerName = account ? account.name : preferences && preferences.playerName;
+        if (!playerName) {
+            callback(failure('NAME_REQUIRED'));
+            return;
+        }
+
+        const { key, previousKey, groups } = matchmaker.enqueue({
             id: socket.id,
             name: playerName,
-            time: game.players[0].time,
-            tokens: 0,
-            isHoldingButton: false,
-            hasOptedOut: false,
-            roundHoldDuration: 0,
-            isEliminated: false, // **新增：初始狀態未被淘汰**
-        };
-        game.players.push(newPlayer);
-        socket.join(roomId);
-        socket.roomId = roomId;
+            accountId: account ? account.id : null,
+            rating: account ? Math.round(account.rating) : INITIAL_RATING,
+            preferences: resolved,
+            enqueuedAt: Date.now(),
+        });
+        logger.info('MATCHMAKING', 'Player joined the queue', { socketId: socket.id, playerName: playerName, queue: key });
+        // 立刻湊成一組時 status 為 null，接著會收到 matchFound
+        callback({ success: true, status: matchmaker.getStatus(socket.id) });
 
-        console.log(`[JOIN_ROOM] 玩家 ${playerName} 加入了房間：${roomId}`);
-        callback({ success: true, roomId: roomId, player: newPlayer });
+        if (previousKey && previousKey !== key) {
+            emitQueueStatus(previousKey);
+        }
+        groups.forEach(startMatchedRoom);
+        emitQueueStatus(key);
+    });
 
-        broadcastPlayerStatusUpdate(roomId);
-        if (game.status === 'preCountdown') {
-            io.to(socket.id).emit('preRoundCountdownUpdate', game.preRoundCountdown);
-            broadcastMessage(socket.id, `所有玩家已按住！倒數：${game.preRoundCountdown} 秒`);
-        } else if (game.status === 'inRound') {
-            io.to(socket.id).emit('roundStarting');
-            io.to(socket.id).emit('roundTimerUpdate', game.roundElapsedTime);
-            broadcastMessage(socket.id, '競標開始！堅持住！');
-        } else if (game.status === 'roundEnded' || game.status === 'waiting' || game.status === 'gameOver') { // 如果遊戲結束，新玩家也可以看到分數
-            broadcastMessage(socket.id, `第 ${game.currentRound} 回合：請所有玩家按住準備！`);
-            // 如果遊戲已結束，還要同步 finalPlayers 和 finalWinner
-            if (game.status === 'gameOver') {
-                io.to(socket.id).emit('gameOver', {
-                    reason: game.gameOverReason, // 假設在 gameEnded 中會儲存 reason
-                    finalPlayers: game.players,
-                    finalWinner: game.finalWinner,
-                });
-            }
+    socket.on('cancelMatch', (callback) => {
+        const key = leaveMatchQueue(socket.id);
+        if (!key) {
+            callback(failure('NOT_IN_MATCH_QUEUE'));
+            return;
         }
+        logger.info('MATCHMAKING', 'Player left the queue', { socketId: socket.id, queue: key });
+        callback({ success: true });
     });
 
-    socket.on('leaveRoom', () => {
-        const roomId = socket.roomId;
-        if (roomId && games[roomId]) {
-            const game = games[roomId];
-            const disconnectedPlayer = game.players.find(p => p.id === socket.id);
-            game.players = game.players.filter(p => p.id !== socket.id);
-            delete socket.roomId;
+    // --- 錦標賽 ---
 
-            if (game.players.length === 0) {
-                console.log(`[LEAVE_ROOM] 房間 ${roomId} 已清空，正在移除。`);
-                clearGameIntervals(game);
-                delete games[roomId];
-            } else {
-                console.log(`[LEAVE_ROOM] 玩家 ${disconnectedPlayer ? disconnectedPlayer.name : socket.id} 離開了房間：${roomId}. Remaining players: ${game.players.length}`);
-
-                const alivePlayersCount = game.players.filter(p => !p.isEliminated).length;
-
-                if ((game.status === 'preCountdown' || game.status === 'inRound') && alivePlayersCount < 2) { // 只有未淘汰玩家不足2個才結束遊戲
-                    console.log(`[LEAVE_ROOM] Not enough ALIVE players left in room ${roomId}. Ending game.`);
-                    gameEnded(roomId, '玩家不足，遊戲結束！');
-                } else if (game.status === 'preCountdown' && disconnectedPlayer && disconnectedPlayer.isHoldingButton && game.preRoundIntervalId) {
-                    clearInterval(game.preRoundIntervalId);
-                    game.preRoundIntervalId = null;
-                    game.status = 'waiting';
-                    broadcastMessage(roomId, '有玩家斷開連接，倒數中斷。請所有玩家重新按住準備。');
-                    const allAliveHolding = game.players.filter(p => !p.isEliminated).every(p => p.isHoldingButton);
-                    if (allAliveHolding) { // 只有未淘汰玩家都按住才重新開始倒數
-                        console.log(`[LEAVE_ROOM] Remaining ALIVE players still holding, restarting countdown.`);
-                        startPreRoundCountdown(roomId);
-                    } else {
-                        console.log(`[LEAVE_ROOM] Remaining ALIVE players not enough or not holding. Starting new round.`);
-                        setTimeout(() => startNewRound(roomId), 1000);
-                    }
-                } else if (game.status === 'inRound' && disconnectedPlayer && disconnectedPlayer.isHoldingButton) {
-                    checkAllReleasedOnServer(roomId);
-                }
-                broadcastPlayerStatusUpdate(roomId);
-            }
-        } else {
-            console.log(`[LEAVE_ROOM] Socket ${socket.id} tried to leave, but not associated with a room or room does not exist.`);
+    socket.on('createTournament', (options, callback) => {
+        const openCount = Object.values(tournaments).filter(t => t.organizerId === socket.id && t.status !== 'finished').length;
+        if (openCount >= MAX_TOURNAMENTS_PER_CONNECTION) {
+            callback(failure('TOO_MANY_TOURNAMENTS', { max: MAX_TOURNAMENTS_PER_CONNECTION }));
+            return;
         }
+        const { error, options: resolved } = resolveTournamentOptions(options);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        const tournament = createTournament(resolved, socket.id);
+        tournaments[tournament.id] = tournament;
+        socket.join(tournamentChannel(tournament.id));
+        logger.info('TOURNAMENT', 'Tournament created', { tournamentId: tournament.id, socketId: socket.id, format: tournament.format, maxPlayers: tournament.maxPlayers });
+        callback({ success: true, tournament: buildTournamentView(tournament) });
     });
 
-    socket.on('playerHolding', () => {
-        const roomId = socket.roomId;
-        if (!roomId || !games[roomId]) {
-            console.log(`[HOLD] Error: Player ${socket.id} not in a valid room or room does not exist.`);
+    socket.on('registerTournament', (tournamentId, requestedName, callback) => {
+        const tournament = tournaments[tournamentId];
+        if (!tournament) {
+            callback(failure('TOURNAMENT_NOT_FOUND'));
+            return;
+        }
+        const account = accounts.getAccount(socket.accountId);
+        const playerName = account ? account.name : requestedName;
+        if (!playerName) {
+            callback(failure('NAME_REQUIRED'));
+            return;
+        }
+        const error = registerPlayer(tournament, {
+            name: playerName,
+            socketId: socket.id,
+            accountId: account ? account.id : null,
+            rating: account ? Math.round(account.rating) : INITIAL_RATING,
+        });
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        socket.join(tournamentChannel(tournament.id));
+        logger.info('TOURNAMENT', 'Player registered', { tournamentId: tournament.id, playerName: playerName, players: tournament.players.length });
+        callback({ success: true, tournament: buildTournamentView(tournament) });
+        broadcastTournamentUpdate(tournament);
+    });
+
+    socket.on('withdrawTournament', (tournamentId, callback) => {
+        const tournament = tournaments[tournamentId];
+        const player = tournament ? tournament.players.find(p => p.socketId === socket.id) : null;
+        if (!player) {
+            callback(failure('NOT_REGISTERED'));
+            return;
+        }
+        if (!withdrawPlayer(tournament, player.name)) {
+            callback(failure('TOURNAMENT_ALREADY_STARTED'));
+            return;
+        }
+        logger.info('TOURNAMENT', 'Player withdrew', { tournamentId: tournament.id, playerName: player.name });
+        callback({ success: true });
+        broadcastTournamentUpdate(tournament);
+    });
+
+    socket.on('startTournament', (tournamentId, callback) => {
+        const tournament = getTournamentAsOrganizer(socket, tournamentId, callback);
+        if (!tournament) return;
+        const { error, stage } = startTournament(tournament);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        callback({ success: true });
+        startTournamentStage(tournament, stage);
+    });
+
+    // 回傳目前的賽程，並在之後每次變化時收到 tournamentUpdate
+    socket.on('getTournament', (tournamentId, callback) => {
+        const tournament = tournaments[tournamentId];
+        if (!tournament) {
+            callback(failure('TOURNAMENT_NOT_FOUND'));
+            return;
+        }
+        socket.join(tournamentChannel(tournament.id));
+        callback({ success: true, tournament: buildTournamentView(tournament) });
+    });
+
+    // --- 大廳：房主操作 ---
+
+    socket.on('updateRoomSettings', (settings, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        callback(engine.updateSettings(settings));
+    });
+
+    socket.on('kickPlayer', (playerId, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        const game = engine.state;
+        // 對局中踢人會讓對手直接出局，只能在大廳踢人
+        if (game.status !== 'lobby') {
+            callback(failure('KICK_ONLY_IN_LOBBY'));
+            return;
+        }
+        const target = game.players.find(p => p.id === playerId);
+        if (!target || target.id === socket.id) {
+            callback(failure('KICK_TARGET_NOT_FOUND'));
+            return;
+        }
+
+        const targetSocket = io.sockets.sockets.get(target.id);
+        if (targetSocket) {
+            targetSocket.emit('kicked', { roomId: game.id });
+            targetSocket.leave(game.id);
+            stateTracker.forget(targetSocket.id);
+            delete targetSocket.roomId;
+            delete targetSocket.sessionToken;
+        }
+
+        logger.info('LOBBY', 'Host kicked a player', { roomId: game.id, playerId: target.id, playerName: target.name });
+        callback({ success: true });
+        broadcastMessage(game.id, createMessage('PLAYER_KICKED', { name: target.name }));
+        removePlayerFromRoom(game.id, target.id, 'KICK');
+    });
+
+    socket.on('transferHost', (playerId, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        callback(engine.transferHost(playerId));
+    });
+
+    // --- 組隊 ---
+
+    socket.on('chooseTeam', (teamId, callback) => {
+        const engine = engines[socket.roomId];
+        if (!engine) {
+            callback(failure('NOT_IN_ROOM'));
+            return;
+        }
+        callback(engine.setTeam(socket.id, teamId));
+    });
+
+    // 房主把任何玩家 (包含電腦玩家) 移到指定的隊伍
+    socket.on('assignTeam', (playerId, teamId, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        callback(engine.setTeam(playerId, teamId));
+    });
+
+    // --- 道具與特殊回合 ---
+
+    // request: { item, targetId? }；peek 的結果只在 callback 回覆
+    socket.on('useItem', (request, callback) => {
+        const engine = engines[socket.roomId];
+        if (!engine) {
+            callback(failure('NOT_IN_ROOM'));
+            return;
+        }
+        callback(engine.useItem(socket.id, request.item, request.targetId));
+    });
+
+    // request: { round, type }；type 為 null 時取消該回合的特殊設定
+    socket.on('scheduleSpecialRound', (request, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        callback(engine.scheduleSpecialRound(request.round, request.type === undefined ? null : request.type));
+    });
+
+    // --- 房間存取 (房主) ---
+
+    socket.on('getRoomAccess', callback => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        callback({ success: true, access: buildAccessView(engine.state.access) });
+    });
+
+    // settings: { visibility?, password?, removePassword? }
+    socket.on('updateRoomAccess', async (settings, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        const error = await updateRoomAccess(engine.state.access, settings);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        persistGame(engine.state);
+        logger.info('ROOM_ACCESS', 'Room access updated', { roomId: engine.id, visibility: engine.state.access.visibility, hasPassword: engine.state.access.passwordHash !== null });
+        callback({ success: true, access: buildAccessView(engine.state.access) });
+    });
+
+    // lists: { allow?, deny? }，每份名單為 { names?, accountIds? }；名單不影響已在房間內的玩家
+    socket.on('setAccessLists', (lists, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        const error = setAccessLists(engine.state.access, lists);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        persistGame(engine.state);
+        logger.info('ROOM_ACCESS', 'Access lists updated', { roomId: engine.id, allow: engine.state.access.allow, deny: engine.state.access.deny });
+        callback({ success: true, access: buildAccessView(engine.state.access) });
+    });
+
+    // options: { ttlSeconds?, maxUses? }；回傳的 token 交給受邀者，以 joinRoom / spectateRoom 的 inviteToken 使用
+    socket.on('createInvite', (options, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        const { error, invite } = createInvite(engine.state.access, options);
+        if (error) {
+            callback({ success: false, ...error });
             return;
         }
+        persistGame(engine.state);
+        logger.info('ROOM_ACCESS', 'Invite created', { roomId: engine.id, inviteId: invite.id, expiresAt: invite.expiresAt, maxUses: invite.maxUses });
+        callback({ success: true, roomId: engine.id, invite: invite });
+    });
+
+    socket.on('revokeInvite', (inviteId, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        if (!revokeInvite(engine.state.access, inviteId)) {
+            callback(failure('INVITE_NOT_FOUND'));
+            return;
+        }
+        persistGame(engine.state);
+        logger.info('ROOM_ACCESS', 'Invite revoked', { roomId: engine.id, inviteId: inviteId });
+        callback({ success: true });
+    });
+
+    socket.on('addBot', (options, callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        callback(engine.addBot((options && options.strategy) || 'random', socket.locale));
+    });
 
+    socket.on('startGame', (callback) => {
+        const engine = getEngineAsHost(socket, callback);
+        if (!engine) return;
+        callback(engine.start());
+    });
+
+    socket.on('mutePlayer', (playerId, callback) => setPlayerMuted(socket, playerId, true, callback));
+
+    socket.on('unmutePlayer', (playerId, callback) => setPlayerMuted(socket, playerId, false, callback));
+
+    // --- 回放 ---
+
+    // options: { speed?, gameNumber? }；事件名稱與直播相同，開始與結束時另外送出 replayStarted / replayEnded。
+    // 私人房間的回放只給房間內的玩家與觀眾；不在房間內的連線與 HTTP 下載一樣看不到玩家的 id
+    socket.on('playReplay', (roomId, options, callback) => {
+        const { speed = 1, gameNumber } = options || {};
+        const isMember = socket.roomId === roomId || socket.spectatingRoomId === roomId;
+        const error = checkReplayAccess(replays[roomId], games[roomId], { isMember }) || validateReplaySpeed(speed);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        const entries = selectReplayEntries(replays[roomId], gameNumber);
+        stopReplayForSocket(socket, true);
+
+        const player = createReplayPlayer(entries, {
+            speed: speed,
+            send: entry => {
+                const args = buildReplayEventArgs(entry, socket.locale);
+                socket.emit(entry.event, ...(isMember ? args : redactIdentifiers(args)));
+            },
+            onEnd: () => {
+                delete socket.replay;
+                socket.emit('replayEnded', { roomId: roomId, stopped: false });
+            },
+        });
+        socket.replay = { roomId, player };
+        logger.info('REPLAY', 'Replay started', { socketId: socket.id, roomId: roomId, speed: speed, events: player.eventCount });
+        socket.emit('replayStarted', { roomId: roomId, speed: speed, gameNumber: gameNumber === undefined ? null : gameNumber, eventCount: player.eventCount });
+        callback({ success: true, eventCount: player.eventCount });
+    });
+
+    socket.on('setReplaySpeed', (speed, callback) => {
+        if (!socket.replay) {
+            callback(failure('NO_REPLAY_PLAYING'));
+            return;
+        }
+        const error = validateReplaySpeed(speed);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        socket.replay.player.setSpeed(speed);
+        callback({ success: true, speed: speed });
+    });
+
+    socket.on('stopReplay', (callback) => {
+        if (!socket.replay) {
+            callback(failure('NO_REPLAY_PLAYING'));
+            return;
+        }
+        stopReplayForSocket(socket, true);
+        callback({ success: true });
+    });
+
+    // --- 聊天與表情 ---
+
+    // data: { text, toSpectators }；玩家的訊息加上 toSpectators 才會讓觀戰者看到，觀戰者的訊息只給其他觀戰者
+    socket.on('chatMessage', (data, callback) => {
+        const roomId = socket.roomId || socket.spectatingRoomId;
         const game = games[roomId];
-        const player = game.players.find(p => p.id === socket.id);
+        if (!game) {
+            callback(failure('NOT_IN_ROOM'));
+            return;
+        }
+        if (!chatLimiter.allow(socket.id)) {
+            callback(failure('CHAT_RATE_LIMITED'));
+            return;
+        }
 
-        if (player) {
-            if (player.time <= 0 || player.isEliminated) { // **新增：已淘汰玩家無法按住**
-                broadcastMessage(socket.id, `你已淘汰或時間用盡，無法按住！`);
-                console.log(`[HOLD] Player ${player.name} is eliminated or time ran out, cannot hold.`);
-                return;
-            }
+        const isSpectator = !socket.roomId;
+        const sender = (isSpectator ? game.spectators : game.players).find(p => p.id === socket.id);
+        const audience = isSpectator ? 'spectators' : (data && data.toSpectators ? 'all' : 'players');
+        const { error, entry } = chatRooms[roomId].post({ id: socket.id, name: sender.name, isSpectator: isSpectator }, data && data.text, audience);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        emitChatEntry(roomId, entry);
+        callback({ success: true, entry: entry });
+    });
 
-            if (!player.isHoldingButton) {
-                player.isHoldingButton = true;
-                broadcastPlayerStatusUpdate(roomId);
-                console.log(`[HOLD] 玩家 ${player.name} 在房間 ${roomId} 按住了按鈕。`);
-
-                console.log(`[HOLD_CHECK_COUNTDOWN] Room Status: ${game.status}`);
-                const alivePlayers = game.players.filter(p => !p.isEliminated); // 只考慮未淘汰的玩家
-                const playerCount = alivePlayers.length;
-                const allPlayersHolding = alivePlayers.every(p => p.isHoldingButton); // 檢查所有未淘汰玩家是否按住
-
-                console.log(`[HOLD_CHECK_COUNTDOWN] Alive Players in room: ${playerCount}`);
-                console.log(`[HOLD_CHECK_COUNTDOWN] All ALIVE players holding? : ${allPlayersHolding}`);
-                console.log(`[HOLD_CHECK_COUNTDOWN] Pre-round interval ID: ${game.preRoundIntervalId}`);
-
-                if (game.status === 'waiting' || game.status === 'roundEnded') {
-                    const isSinglePlayerTest = playerCount === 1; // 判斷是否為單人測試模式 (未淘汰玩家)
-
-                    if (isSinglePlayerTest) {
-                        if (allPlayersHolding && !game.preRoundIntervalId) {
-                            console.log(`[HOLD_CHECK_COUNTDOWN] Single ALIVE player mode: All holding (${allPlayersHolding}), No current countdown. Attempting to start countdown.`);
-                            startPreRoundCountdown(roomId);
-                        } else {
-                            console.log(`[HOLD_CHECK_COUNTDOWN] Single ALIVE player mode: Conditions not met. All Holding: ${allPlayersHolding}, Pre-round interval ID: ${game.preRoundIntervalId}`);
-                        }
-                    } else {
-                        if (playerCount >= 2 && allPlayersHolding && !game.preRoundIntervalId) {
-                            console.log(`[HOLD_CHECK_COUNTDOWN] Multi-player mode: Player Count >= 2 (${playerCount >= 2}), All Holding (${allPlayersHolding}), No current countdown. Attempting to start countdown.`);
-                            startPreRoundCountdown(roomId);
-                        } else {
-                            console.log(`[HOLD_CHECK_COUNTDOWN] Multi-player mode: Conditions not met. Player Count: ${playerCount}, All Holding: ${allPlayersHolding}, Pre-round interval ID: ${game.preRoundIntervalId}`);
-                        }
-                    }
-                } else {
-                    console.log(`[HOLD_CHECK_COUNTDOWN] Game status (${game.status}) not 'waiting' or 'roundEnded'. Not attempting to start countdown.`);
-                }
-            } else {
-                console.log(`[HOLD] 玩家 ${player.name} 已經按住了按鈕。`);
-            }
-        } else {
-            console.log(`[HOLD] 玩家 ${socket.id} 在房間 ${roomId} 中未找到。`);
+    // 快速表情不受回合狀態限制，競標中也可以送出
+    socket.on('reaction', (emoji, callback) => {
+        const engine = engines[socket.roomId];
+        const player = engine ? engine.state.players.find(p => p.id === socket.id) : null;
+        if (!player) {
+            callback(failure('NOT_IN_ROOM'));
+            return;
+        }
+        if (!REACTIONS.includes(emoji)) {
+            callback(failure('INVALID_REACTION', { options: REACTIONS.join(' ') }));
+            return;
+        }
+        if (chatRooms[engine.id].isMuted(player.name)) {
+            callback(failure('CHAT_MUTED'));
+            return;
         }
+        if (!reactionLimiter.allow(socket.id)) {
+            callback(failure('CHAT_RATE_LIMITED'));
+            return;
+        }
+        emitToRoom(engine.id, 'reaction', { playerId: player.id, name: player.name, emoji: emoji, sentAt: Date.now() });
+        callback({ success: true });
     });
 
-    socket.on('playerReleased', () => {
-        const roomId = socket.roomId;
-        if (!roomId || !games[roomId]) {
-            console.log(`[RELEASE] Error: Player ${socket.id} not in a valid room or room does not exist.`);
+    socket.on('getRoundHistory', (callback) => {
+        const game = games[socket.roomId || socket.spectatingRoomId];
+        if (!game) {
+            callback(failure('NOT_IN_ROOM'));
             return;
         }
+        const viewerId = socket.roomId ? socket.id : null;
+        callback({ success: true, currentRound: game.currentRound, history: buildRoundHistoryView(game, viewerId) });
+    });
 
+    // credentials 與 joinRoom 相同；私人或有密碼的房間也要邀請或密碼才能觀戰
+    socket.on('spectateRoom', async (roomId, spectatorName, credentials, callback) => {
         const game = games[roomId];
-        const player = game.players.find(p => p.id === socket.id);
+        if (!game) {
+            callback(failure('ROOM_NOT_FOUND'));
+            return;
+        }
+        if (socket.roomId) {
+            callback(failure('ALREADY_PLAYING'));
+            return;
+        }
+        const { error, invite } = await checkSocketRoomAccess(socket, game, spectatorName, credentials);
+        if (error) {
+            callback({ success: false, ...error });
+            return;
+        }
+        // 檢查密碼期間房間可能已經關閉，或這個連線已經成為玩家
+        if (games[roomId] !== game) {
+            callback(failure('ROOM_NOT_FOUND'));
+            return;
+        }
+        if (socket.roomId || !socket.connected) {
+            callback(failure('ALREADY_PLAYING'));
+            return;
+        }
+        redeemInvite(game.access, invite);
+        if (socket.spectatingRoomId) {
+            removeSpectator(socket);
+        }
 
-        if (player && player.isHoldingButton) {
-            player.isHoldingButton = false;
+        // 沒有提供名稱時以觀眾自己的語言命名
+        const spectator = { id: socket.id, name: spectatorName || formatMessage(socket.locale, createMessage('DEFAULT_SPECTATOR_NAME')) };
+        game.spectators.push(spectator);
+        socket.join(spectatorChannel(roomId));
+        socket.spectatingRoomId = roomId;
 
-            if (game.status === 'preCountdown' && game.preRoundIntervalId) {
-                player.hasOptedOut = true;
-                broadcastPlayerStatusUpdate(roomId);
-                broadcastMessage(socket.id, `你已放棄本回合。`);
-                console.log(`[RELEASE] Player ${player.name} opted out during countdown in room ${roomId}. Countdown continues.`);
-                return;
-            }
+        logger.info('SPECTATE', 'Spectator joined', { roomId: roomId, socketId: socket.id, name: spectator.name, spectators: game.spectators.length });
+        callback({ success: true, roomId: roomId, spectatorCount: game.spectators.length });
 
-            broadcastPlayerStatusUpdate(roomId);
+        broadcastPlayerStatusUpdate(roomId);
+        sendRoomStateToSocket(socket.id, game);
+    });
+
+    socket.on('requestRematch', (options, callback) => {
+        const engine = engines[socket.roomId];
+        const player = engine ? engine.state.players.find(p => p.id === socket.id) : null;
+        if (!player) {
+            callback(failure('NOT_IN_ROOM'));
+            return;
+        }
 
-            if (game.status === 'inRound') {
-                console.log(`[RELEASE] Player ${player.name} released during bidding round.`);
-                checkAllReleasedOnServer(roomId);
-            } else {
-                console.log(`[RELEASE] Player ${player.name} released in status ${game.status}. No special action.`);
+        // 房主可以不等其他人同意，直接開始下一局
+        if (options && options.force) {
+            const error = checkHostAction(engine.state, socket);
+            if (error) {
+                callback(error);
+                return;
             }
-        } else {
-            console.log(`[RELEASE] Player ${player.name} was not holding button or not found.`);
+            callback(engine.forceRematch());
+            return;
         }
+        callback(engine.voteRematch(socket.id));
     });
 
-    socket.on('disconnect', () => {
-        console.log(`[DISCONNECT] 用戶斷開連接。Socket ID: ${socket.id}`);
+    socket.on('leaveRoom', () => {
         const roomId = socket.roomId;
-        if (roomId && games[roomId]) {
-            const game = games[roomId];
-            const disconnectedPlayer = game.players.find(p => p.id === socket.id);
-            game.players = game.players.filter(p => p.id !== socket.id);
+        if (socket.spectatingRoomId) {
+            removeSpectator(socket);
+        }
+        if (roomId && engines[roomId]) {
             delete socket.roomId;
+            delete socket.sessionToken;
+            socket.leave(roomId);
+            stateTracker.forget(socket.id);
+            removePlayerFromRoom(roomId, socket.id, 'LEAVE_ROOM');
+        } else {
+            logger.debug('LEAVE_ROOM', 'Socket is not in a room', { socketId: socket.id });
+        }
+    });
 
-            if (game.players.length === 0) {
-                console.log(`[DISCONNECT] 房間 ${roomId} 已清空，正在移除。`);
-                clearGameIntervals(game);
-                delete games[roomId];
-            } else {
-                console.log(`[DISCONNECT] 玩家 ${disconnectedPlayer ? disconnectedPlayer.name : socket.id} 離開了房間：${roomId}. Remaining players: ${game.players.length}`);
-
-                const alivePlayers = game.players.filter(p => !p.isEliminated);
-                const alivePlayersCount = alivePlayers.length;
-
-                if ((game.status === 'preCountdown' || game.status === 'inRound') && alivePlayersCount < 2) {
-                    console.log(`[DISCONNECT] Not enough ALIVE players left in room ${roomId}. Ending game.`);
-                    gameEnded(roomId, '玩家不足，遊戲結束！');
-                } else if (game.status === 'preCountdown' && disconnectedPlayer && disconnectedPlayer.isHoldingButton && game.preRoundIntervalId) {
-                    clearInterval(game.preRoundIntervalId);
-                    game.preRoundIntervalId = null;
-                    game.status = 'waiting';
-                    broadcastMessage(roomId, '有玩家斷開連接，倒數中斷。請所有玩家重新按住準備。');
-                    const allAliveHolding = alivePlayers.every(p => p.isHoldingButton); // 只檢查未淘汰玩家
-                    if (allAliveHolding) {
-                        console.log(`[DISCONNECT] Remaining ALIVE players still holding, restarting countdown.`);
-                        startPreRoundCountdown(roomId);
-                    } else {
-                        console.log(`[DISCONNECT] Remaining ALIVE players not enough or not holding. Starting new round.`);
-                        setTimeout(() => startNewRound(roomId), 1000);
-                    }
-                } else if (game.status === 'inRound' && disconnectedPlayer && disconnectedPlayer.isHoldingButton) {
-                    checkAllReleasedOnServer(roomId);
-                }
-                broadcastPlayerStatusUpdate(roomId);
-            }
+    socket.on('resumeSession', (sessionToken, callback) => {
+        const session = sessions[sessionToken];
+        const engine = session ? engines[session.roomId] : null;
+        const player = engine ? engine.state.players.find(p => p.id === session.playerId) : null;
+        if (!player) {
+            callback(failure('SESSION_EXPIRED'));
+            logger.info('RESUME', 'Session not found or expired', { socketId: socket.id });
+            return;
+        }
+
+        // 已經坐在房間裡 (其他房間或同房間的其他座位) 的連線不能再接手另一個座位，否則舊座位會留下沒人管的玩家
+        if (socket.roomId && player.id !== socket.id) {
+            callback(failure('ALREADY_IN_ROOM'));
+            return;
+        }
+        if (socket.spectatingRoomId) { // 觀戰者轉為玩家
+            removeSpectator(socket);
+        }
+
+        const roomId = session.roomId;
+        if (session.graceTimeoutId) {
+            clearTimeout(session.graceTimeoutId);
+            session.graceTimeoutId = null;
+        }
+
+        // 若舊的 socket 仍然連著 (例如重新整理分頁)，讓它退出房間以免重複操作
+        const oldSocket = io.sockets.sockets.get(player.id);
+        if (oldSocket && oldSocket.id !== socket.id) {
+            oldSocket.leave(roomId);
+            stateTracker.forget(oldSocket.id);
+            delete oldSocket.roomId;
+            delete oldSocket.sessionToken;
+        }
+
+        session.playerId = socket.id;
+        socket.join(roomId);
+        socket.roomId = roomId;
+        socket.sessionToken = sessionToken;
+        relinkTournamentPlayer(player.id, socket);
+        engine.reconnect(player.id, socket.id);
+
+        logger.info('RESUME', 'Player resumed the session', { roomId: roomId, playerId: socket.id, playerName: player.name });
+        callback({ success: true, roomId: roomId, player: buildPlayerView(engine.state, player, player.id), sessionToken: sessionToken });
+        sendRoomStateToSocket(socket.id, engine.state);
+    });
+
+    socket.on('playerHolding', () => {
+        const roomId = socket.roomId;
+        if (!roomId || !engines[roomId]) {
+            logger.debug('HOLD', 'Socket is not in a room', { socketId: socket.id });
+            return;
+        }
+        engines[roomId].hold(socket.id);
+    });
+
+    socket.on('playerReleased', () => {
+        const roomId = socket.roomId;
+        if (!roomId || !engines[roomId]) {
+            logger.debug('RELEASE', 'Socket is not in a room', { socketId: socket.id });
+            return;
+        }
+        engines[roomId].release(socket.id);
+    });
+
+    socket.on('disconnect', (reason) => {
+        logger.info('DISCONNECT', 'Socket disconnected', { socketId: socket.id, reason: reason });
+        leaveMatchQueue(socket.id);
+        withdrawDisconnectedPlayer(socket.id);
+        chatLimiter.forget(socket.id);
+        reactionLimiter.forget(socket.id);
+        socketEventLimiter.forget(socket.id);
+        holdEventLimiter.forget(socket.id);
+        stateTracker.forget(socket.id);
+        if (socket.replay) {
+            socket.replay.player.stop();
+        }
+        if (socket.spectatingRoomId) {
+            removeSpectator(socket);
+        }
+        const roomId = socket.roomId;
+        const session = sessions[socket.sessionToken];
+        if (roomId && engines[roomId] && session) {
+            holdSeatForDisconnectedPlayer(roomId, socket.id, socket.sessionToken);
+        } else if (roomId && engines[roomId]) {
+            removePlayerFromRoom(roomId, socket.id, 'DISCONNECT');
         } else {
-            console.log(`[DISCONNECT] Socket ${socket.id} disconnected, but not associated with a room.`);
+            logger.debug('DISCONNECT', 'Socket was not in a room', { socketId: socket.id });
         }
     });
 });
 
-server.listen(PORT, () => {
-    console.log(`伺服器運行在 http://localhost:${PORT}`);
-});
\ No newline at end of file
+Promise.all([restoreGames(), accounts.load()]).then(() => {
+    server.listen(PORT, () => {
+        logger.info('SERVER', 'Server listening', { url: `http://localhost:${PORT}` });
+    });
+});
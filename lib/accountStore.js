@@ -0,0 +1,77 @@
+// time-auction-server/lib/accountStore.js
+// 可替換的帳號與對戰紀錄儲存。資料量不大，整份資料 { accounts, matches } 一起讀寫：
+//   load()      -> 已保存的資料，沒有資料時回傳空的帳號與紀錄
+//   save(data)  -> 寫入 (覆蓋) 整份資料
+
+const fs = require('fs');
+const path = require('path');
+
+function emptyData() {
+    return { accounts: {}, matches: [] };
+}
+
+// 預設後端：存成一個 JSON 檔，先寫入暫存檔再改名，避免寫到一半當機留下壞掉的檔案
+function createFileAccountStore(directory) {
+    const filePath = path.join(directory, 'accounts.json');
+    // 寫入依序執行，避免較舊的資料晚一步覆蓋較新的
+    let pendingWrite = Promise.resolve();
+
+    return {
+        type: 'file',
+
+        async load() {
+            try {
+                return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') {
+                    return emptyData();
+                }
+                throw err;
+            }
+        },
+
+        save(data) {
+            const json = JSON.stringify(data);
+            pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+                await fs.promises.mkdir(directory, { recursive: true });
+                const tmpPath = `${filePath}.tmp`;
+                await fs.promises.writeFile(tmpPath, json);
+                await fs.promises.rename(tmpPath, filePath);
+            });
+            return pendingWrite;
+        },
+    };
+}
+
+// 只存在記憶體中，伺服器重啟後就消失
+function createMemoryAccountStore() {
+    let saved = null;
+    return {
+        type: 'memory',
+
+        async load() {
+            return saved ? JSON.parse(saved) : emptyData();
+        },
+
+        async save(data) {
+            saved = JSON.stringify(data);
+        },
+    };
+}
+
+function createAccountStore(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return createMemoryAccountStore();
+        case 'file':
+            return createFileAccountStore(options.directory);
+        default:
+            throw new Error(`Unknown account store type: ${type}`);
+    }
+}
+
+module.exports = {
+    createAccountStore,
+    createFileAccountStore,
+    createMemoryAccountStore,
+};
@@ -0,0 +1,328 @@
+// time-auction-server/lib/accounts.js
+// 輕量的本機帳號 (名稱 + 密語，或訪客 token)、每局的對戰紀錄與 Elo 積分
+
+const crypto = require('crypto');
+const util = require('util');
+const { createMessage, failure, formatMessage } = require('./messages');
+const { createLogger } = require('./logger');
+
+const INITIAL_RATING = 1500;
+const RATING_K_FACTOR = 32;
+const DEFAULT_LEADERBOARD_LIMIT = 50;
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_LIST_LIMIT = 200;
+// 每個帳號保留的對戰紀錄數 (getHistory 最多也只列出這麼多)
+const DEFAULT_MAX_MATCHES_PER_ACCOUNT = MAX_LIST_LIMIT;
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// 密語只保存加鹽的雜湊 (房間密碼也使用同樣的格式)；scrypt 在執行緒池中計算，不會卡住其他房間
+async function hashSecret(secret, salt = crypto.randomBytes(16).toString('hex')) {
+    const key = await scrypt(secret, salt, 32);
+    return `${salt}:${key.toString('hex')}`;
+}
+
+async function verifySecret(secret, stored) {
+    const [salt, hash] = stored.split(':');
+    const key = await scrypt(secret, salt, 32);
+    return crypto.timingSafeEqual(key, Buffer.from(hash, 'hex'));
+}
+
+function hashGuestToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 回傳錯誤訊息 { code, params }，驗證通過則回傳 null
+function validateCredentials(name, secret) {
+    if (typeof name !== 'string' || name.trim().length < 1 || name.trim().length > 20) {
+        return createMessage('INVALID_ACCOUNT_NAME');
+    }
+    if (typeof secret !== 'string' || secret.length < 4 || secret.length > 64) {
+        return createMessage('INVALID_SECRET');
+    }
+    return null;
+}
+
+// 多人 Elo：每位參與者與其他每位參與者兩兩比較名次 (名次較前得 1 分、相同得 0.5 分)，
+// 變化量除以對手人數，讓人數多寡不影響單局的積分波動
+// participants: [{ accountId, rating, placement }]，回傳 accountId -> 積分變化
+function computeRatingChanges(participants) {
+    const changes = {};
+    participants.forEach(p => {
+        changes[p.accountId] = 0;
+    });
+    if (participants.length < 2) {
+        return changes;
+    }
+
+    participants.forEach(p => {
+        participants.forEach(opponent => {
+            if (opponent === p) return;
+            const expected = 1 / (1 + Math.pow(10, (opponent.rating - p.rating) / 400));
+            const score = p.placement < opponent.placement ? 1 : (p.placement === opponent.placement ? 0.5 : 0);
+            changes[p.accountId] += RATING_K_FACTOR * (score - expected) / (participants.length - 1);
+        });
+    });
+    return changes;
+}
+
+// 對外公開的帳號資料 (不含密語與訪客 token)
+function buildAccountView(account) {
+    return {
+        id: account.id,
+        name: account.name,
+        isGuest: account.isGuest,
+        rating: Math.round(account.rating),
+        gamesPlayed: account.gamesPlayed,
+        wins: account.wins,
+        createdAt: account.createdAt,
+        lastPlayedAt: account.lastPlayedAt,
+    };
+}
+
+function clampLimit(limit, defaultLimit) {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1) {
+        return defaultLimit;
+    }
+    return Math.min(value, MAX_LIST_LIMIT);
+}
+
+function createAccountService(store, { logger = createLogger(), maxMatchesPerAccount = DEFAULT_MAX_MATCHES_PER_ACCOUNT } = {}) {
+    let data = { accounts: {}, matches: [] };
+
+    function persist() {
+        store.save(data).catch(err => {
+            logger.error('ACCOUNTS', 'Failed to save accounts', { error: err });
+        });
+    }
+
+    function findAccountByName(name) {
+        const lowerName = name.toLowerCase();
+        return Object.values(data.accounts).find(a => a.name.toLowerCase() === lowerName) || null;
+    }
+
+    function createAccount(name, isGuest) {
+        const account = {
+            id: `acc-${crypto.randomBytes(6).toString('hex')}`,
+            name: name,
+            isGuest: isGuest,
+            secretHash: null,
+            guestTokenHash: null,
+            rating: INITIAL_RATING,
+            gamesPlayed: 0,
+            wins: 0,
+            createdAt: Date.now(),
+            lastPlayedAt: null,
+            lastLoginAt: Date.now(),
+        };
+        data.accounts[account.id] = account;
+        return account;
+    }
+
+    // 新的訪客 token 取代舊的，舊 token 之後無法再登入
+    function issueGuestToken(account) {
+        const guestToken = crypto.randomBytes(24).toString('hex');
+        account.guestTokenHash = hashGuestToken(guestToken);
+        account.lastLoginAt = Date.now();
+        return guestToken;
+    }
+
+    // 由新到舊保留每個帳號最近的 maxMatchesPerAccount 局；沒有任何帳號還需要的對戰 (包含帳號已移除的) 一併刪除
+    function trimMatches() {
+        const counts = {};
+        const kept = [];
+        for (let i = data.matches.length - 1; i >= 0; i--) {
+            const match = data.matches[i];
+            const accountIds = match.participants.map(p => p.accountId).filter(id => id && data.accounts[id]);
+            if (accountIds.some(id => (counts[id] || 0) < maxMatchesPerAccount)) {
+                kept.push(match);
+            }
+            accountIds.forEach(id => {
+                counts[id] = (counts[id] || 0) + 1;
+            });
+        }
+        const removed = data.matches.length - kept.length;
+        data.matches = kept.reverse();
+        return removed;
+    }
+
+    async function verifyLogin(account, secret) {
+        if (account.isGuest || !(await verifySecret(secret, account.secretHash))) {
+            return failure('INVALID_CREDENTIALS');
+        }
+        return { success: true, created: false, account: buildAccountView(account) };
+    }
+
+    return {
+        load() {
+            return store.load().then(loaded => {
+                data = loaded;
+                logger.info('ACCOUNTS', 'Loaded accounts', { accounts: Object.keys(data.accounts).length, matches: data.matches.length, store: store.type });
+            });
+        },
+
+        getAccount(accountId) {
+            return data.accounts[accountId] || null;
+        },
+
+        // 名稱不分大小寫
+        getAccountByName(name) {
+            return findAccountByName(name);
+        },
+
+        // 名稱第一次使用時建立帳號，之後需要相同的密語才能登入
+        async login(name, secret) {
+            const credentialsError = validateCredentials(name, secret);
+            if (credentialsError) {
+                return { success: false, ...credentialsError };
+            }
+            const trimmedName = name.trim();
+            const existing = findAccountByName(trimmedName);
+            if (existing) {
+                return verifyLogin(existing, secret);
+            }
+
+            const secretHash = await hashSecret(secret);
+            // 計算雜湊期間可能已有另一個連線建立了同名帳號
+            const raced = findAccountByName(trimmedName);
+            if (raced) {
+                return verifyLogin(raced, secret);
+            }
+            const account = createAccount(trimmedName, false);
+            account.secretHash = secretHash;
+            persist();
+            logger.info('ACCOUNTS', 'Created account', { accountId: account.id, name: account.name });
+            return { success: true, created: true, account: buildAccountView(account) };
+        },
+
+        // 帶著之前拿到的 guestToken 登入同一個訪客帳號；沒有或無效時，連線已登入的訪客帳號 (currentAccountId) 換發新 token 沿用，
+        // 否則以該連線的語言命名並建立新的訪客帳號
+        loginAsGuest(guestToken, locale, currentAccountId) {
+            if (typeof guestToken === 'string' && guestToken) {
+                const tokenHash = hashGuestToken(guestToken);
+                const existing = Object.values(data.accounts).find(a => a.isGuest && a.guestTokenHash === tokenHash);
+                if (existing) {
+                    existing.lastLoginAt = Date.now();
+                    persist();
+                    return { success: true, created: false, account: buildAccountView(existing), guestToken: guestToken };
+                }
+            }
+            const current = data.accounts[currentAccountId];
+            if (current && current.isGuest) {
+                const reissuedToken = issueGuestToken(current);
+                persist();
+                return { success: true, created: false, account: buildAccountView(current), guestToken: reissuedToken };
+            }
+
+            let name;
+            do {
+                name = formatMessage(locale, createMessage('GUEST_NAME', { tag: crypto.randomBytes(2).toString('hex').toUpperCase() }));
+            } while (findAccountByName(name));
+            const account = createAccount(name, true);
+            const newToken = issueGuestToken(account);
+            persist();
+            logger.info('ACCOUNTS', 'Created guest account', { accountId: account.id, name: account.name });
+            return { success: true, created: true, account: buildAccountView(account), guestToken: newToken };
+        },
+
+        // 記錄一局已結束的遊戲 (game.standings 為最終名次)，並更新有帳號玩家的積分
+        recordMatch(game) {
+            const participants = game.standings.map(s => ({
+                accountId: s.accountId,
+                name: s.name,
+                isBot: s.isBot,
+                placement: s.placement,
+                tokens: s.tokens,
+                time: s.time,
+                isEliminated: s.isEliminated,
+                eliminatedInRound: s.eliminatedInRound,
+                ratingBefore: null,
+                ratingAfter: null,
+            }));
+
+            const rated = participants.filter(p => p.accountId && data.accounts[p.accountId]);
+            const changes = computeRatingChanges(rated.map(p => ({
+                accountId: p.accountId,
+                rating: data.accounts[p.accountId].rating,
+                placement: p.placement,
+            })));
+            const endedAt = Date.now();
+            rated.forEach(p => {
+                const account = data.accounts[p.accountId];
+                p.ratingBefore = Math.round(account.rating);
+                account.rating += changes[p.accountId];
+                p.ratingAfter = Math.round(account.rating);
+                account.gamesPlayed += 1;
+                account.wins += p.placement === 1 ? 1 : 0;
+                account.lastPlayedAt = endedAt;
+            });
+
+            const match = {
+                id: `match-${crypto.randomBytes(6).toString('hex')}`,
+                roomId: game.id,
+                gameNumber: game.gameNumber,
+                endedAt: endedAt,
+                reason: game.gameOverReason,
+                rounds: game.currentRound,
+                maxRounds: game.maxRounds,
+                initialTime: game.initialTime,
+                rulesPreset: game.rules.preset,
+                rated: rated.length >= 2, // 至少兩位有帳號的玩家才會計算積分
+                participants: participants,
+            };
+            data.matches.push(match);
+            trimMatches();
+            persist();
+            logger.info('ACCOUNTS', 'Recorded match', { matchId: match.id, roomId: game.id, ratedPlayers: rated.length });
+            return match;
+        },
+
+        // 移除超過 ttlMs 沒有登入也沒有對戰的訪客帳號，以及只剩這些帳號參與的對戰紀錄；回傳移除的帳號數
+        pruneGuests(ttlMs, now = Date.now()) {
+            const expired = Object.values(data.accounts).filter(a => a.isGuest
+                && now - Math.max(a.createdAt, a.lastLoginAt || 0, a.lastPlayedAt || 0) > ttlMs);
+            if (expired.length === 0) {
+                return 0;
+            }
+            expired.forEach(account => {
+                delete data.accounts[account.id];
+            });
+            const removedMatches = trimMatches();
+            persist();
+            logger.info('ACCOUNTS', 'Removed expired guest accounts', { accounts: expired.length, matches: removedMatches });
+            return expired.length;
+        },
+
+        // 依積分排序，只列出至少玩過一局的帳號
+        getLeaderboard(limit) {
+            return Object.values(data.accounts)
+                .filter(a => a.gamesPlayed > 0)
+                .sort((a, b) => b.rating - a.rating)
+                .slice(0, clampLimit(limit, DEFAULT_LEADERBOARD_LIMIT))
+                .map((account, index) => ({ rank: index + 1, ...buildAccountView(account) }));
+        },
+
+        // 最近的對戰在前；帳號不存在時回傳 null
+        getHistory(accountId, limit) {
+            const account = data.accounts[accountId];
+            if (!account) {
+                return null;
+            }
+            const matches = data.matches
+                .filter(m => m.participants.some(p => p.accountId === accountId))
+                .slice(-clampLimit(limit, DEFAULT_HISTORY_LIMIT))
+                .reverse();
+            return { player: buildAccountView(account), matches: matches };
+        },
+    };
+}
+
+module.exports = {
+    INITIAL_RATING,
+    computeRatingChanges,
+    buildAccountView,
+    hashSecret,
+    verifySecret,
+    createAccountService,
+};
@@ -0,0 +1,104 @@
+// time-auction-server/lib/admin.js
+// 管理用 HTTP API (/admin)：列出與查看房間 (含所有玩家的完整資料)、強制結束遊戲、送出伺服器公告。
+// 每個請求都要帶 Authorization: Bearer <ADMIN_TOKEN>；沒有設定 token 時整組路由停用
+
+const crypto = require('crypto');
+const express = require('express');
+const { buildRoomSummary, buildRevealedPlayersView } = require('./views');
+const { createMessage } = require('./messages');
+const { buildAccessView } = require('./roomAccess');
+const { sendFailure, sendNotFound } = require('./api');
+
+const NOTICE_MAX_LENGTH = 500;
+
+// 比較雜湊值，讓比較時間與 token 內容無關
+function tokensMatch(provided, expected) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(provided), digest(expected));
+}
+
+function buildAdminRoomView(game) {
+    return {
+        ...buildRoomSummary(game),
+        hostId: game.hostId,
+        gameNumber: game.gameNumber,
+        access: buildAccessView(game.access),
+        players: buildRevealedPlayersView(game),
+        spectators: game.spectators,
+        history: game.roundHistory,
+        gameOverReason: game.gameOverReason,
+        finalWinner: game.finalWinner,
+        standings: game.standings,
+        rematchVotes: game.rematchVotes,
+    };
+}
+
+// broadcastNotice(notice, roomId?)：roomId 為 null 時送給所有連線
+function createAdminRouter({ games, engines, token, logger, broadcastNotice }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        if (!token) {
+            sendFailure(req, res, 403, 'ADMIN_DISABLED');
+            return;
+        }
+        const [scheme, provided] = (req.get('authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !provided || !tokensMatch(provided, token)) {
+            logger.warn('ADMIN', 'Rejected an unauthorized request', { method: req.method, path: req.originalUrl, address: req.ip });
+            sendFailure(req, res, 401, 'ADMIN_UNAUTHORIZED');
+            return;
+        }
+        next();
+    });
+    router.use(express.json({ limit: '10kb' }));
+
+    router.get('/rooms', (req, res) => {
+        res.json({ success: true, rooms: Object.values(games).map(buildAdminRoomView) });
+    });
+
+    router.get('/rooms/:id', (req, res) => {
+        const game = games[req.params.id];
+        if (!game) {
+            sendNotFound(req, res, 'ROOM_NOT_FOUND');
+            return;
+        }
+        res.json({ success: true, room: buildAdminRoomView(game) });
+    });
+
+    // 以 gameEnded 結束進行中的遊戲，之後的流程 (結果廣播、對戰紀錄、錦標賽) 與正常結束相同
+    router.post('/rooms/:id/end', (req, res) => {
+        const engine = engines[req.params.id];
+        if (!engine) {
+            sendNotFound(req, res, 'ROOM_NOT_FOUND');
+            return;
+        }
+        if (engine.state.status === 'lobby' || engine.state.status === 'gameOver') {
+            sendFailure(req, res, 409, 'GAME_NOT_IN_PROGRESS');
+            return;
+        }
+        engine.end(createMessage('GAME_OVER_ADMIN'));
+        logger.info('ADMIN', 'Game ended by an administrator', { roomId: engine.id });
+        res.json({ success: true, room: buildAdminRoomView(engine.state) });
+    });
+
+    // body: { text, roomId? }
+    router.post('/notice', (req, res) => {
+        const { text, roomId } = req.body || {};
+        if (typeof text !== 'string' || text.trim().length === 0 || text.trim().length > NOTICE_MAX_LENGTH) {
+            sendFailure(req, res, 400, 'INVALID_NOTICE', { max: NOTICE_MAX_LENGTH });
+            return;
+        }
+        if (roomId !== undefined && roomId !== null && !games[roomId]) {
+            sendNotFound(req, res, 'ROOM_NOT_FOUND');
+            return;
+        }
+        const notice = { text: text.trim(), roomId: roomId || null, sentAt: Date.now() };
+        broadcastNotice(notice, notice.roomId);
+        logger.info('ADMIN', 'Server notice sent', { roomId: notice.roomId, text: notice.text });
+        res.json({ success: true, notice: notice });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
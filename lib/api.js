@@ -0,0 +1,103 @@
+// time-auction-server/lib/api.js
+// 唯讀的 HTTP API：公開房間列表與房間狀態 (私人房間只能以邀請加入，這裡當作不存在)、對局回放的下載、
+// 健康檢查、Prometheus 指標、排行榜、玩家對戰紀錄與錦標賽賽程
+
+const express = require('express');
+const { buildRoomSummary, buildRoomDetail, redactIdentifiers } = require('./views');
+const { SUPPORTED_LOCALES, failure, localizeResult } = require('./messages');
+const { buildTournamentSummary, buildTournamentView } = require('./tournament');
+const { checkReplayAccess, selectReplayEntries, buildReplayLines } = require('./replay');
+
+// 錯誤回應的文字依 Accept-Language 選擇語言
+function sendFailure(req, res, status, code, params) {
+    res.status(status).json(localizeResult(req.acceptsLanguages(...SUPPORTED_LOCALES), failure(code, params)));
+}
+
+function sendNotFound(req, res, code) {
+    sendFailure(req, res, 404, code);
+}
+
+function isPublicRoom(game) {
+    return game.access.visibility === 'public';
+}
+
+function createApiRouter({ games, io, accounts, tournaments, metrics, replays }) {
+    const router = express.Router();
+
+    router.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            uptime: process.uptime(),
+            rooms: Object.keys(games).length,
+            connections: io.engine.clientsCount,
+        });
+    });
+
+    router.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.render());
+    });
+
+    router.get('/rooms', (req, res) => {
+        const rooms = Object.values(games).filter(isPublicRoom).map(buildRoomSummary);
+        res.json({ success: true, rooms: rooms });
+    });
+
+    router.get('/rooms/:id', (req, res) => {
+        const game = games[req.params.id];
+        if (!game || !isPublicRoom(game)) {
+            sendNotFound(req, res, 'ROOM_NOT_FOUND');
+            return;
+        }
+        res.json({ success: true, room: buildRoomDetail(game, req.acceptsLanguages(...SUPPORTED_LOCALES)) });
+    });
+
+    // JSON Lines 格式的回放紀錄；?game=N 只取第 N 局。房間關閉後仍可在保留期間內下載，與房間狀態一樣去掉玩家的 id
+    router.get('/rooms/:id/replay', (req, res) => {
+        const replay = replays[req.params.id];
+        const error = checkReplayAccess(replay, games[req.params.id]);
+        if (error) {
+            sendFailure(req, res, error.code === 'REPLAY_NOT_READY' ? 409 : 404, error.code, error.params);
+            return;
+        }
+        const gameNumber = req.query.game !== undefined ? Number(req.query.game) : undefined;
+        if (gameNumber !== undefined && !Number.isInteger(gameNumber)) {
+            sendFailure(req, res, 400, 'INVALID_REPLAY_GAME');
+            return;
+        }
+        res.attachment(`replay-${replay.roomId}.jsonl`);
+        res.type('application/x-ndjson');
+        res.send(buildReplayLines(replay, redactIdentifiers(selectReplayEntries(replay, gameNumber))));
+    });
+
+    // 排行榜與對戰紀錄和房間狀態一樣不公開帳號 id，對戰紀錄改以帳號名稱查詢
+    router.get('/leaderboard', (req, res) => {
+        res.json({ success: true, players: redactIdentifiers(accounts.getLeaderboard(req.query.limit)) });
+    });
+
+    router.get('/players/:name/history', (req, res) => {
+        const account = accounts.getAccountByName(req.params.name);
+        const history = account ? accounts.getHistory(account.id, req.query.limit) : null;
+        if (!history) {
+            sendNotFound(req, res, 'PLAYER_NOT_FOUND');
+            return;
+        }
+        res.json({ success: true, player: redactIdentifiers(history.player), matches: redactIdentifiers(history.matches) });
+    });
+
+    router.get('/tournaments', (req, res) => {
+        res.json({ success: true, tournaments: Object.values(tournaments).map(buildTournamentSummary) });
+    });
+
+    router.get('/tournaments/:id', (req, res) => {
+        const tournament = tournaments[req.params.id];
+        if (!tournament) {
+            sendNotFound(req, res, 'TOURNAMENT_NOT_FOUND');
+            return;
+        }
+        res.json({ success: true, tournament: buildTournamentView(tournament) });
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter, sendFailure, sendNotFound };
@@ -0,0 +1,71 @@
+// time-auction-server/lib/bots.js
+// 電腦玩家的出價策略；只負責決定「要不要參加、要按多久」，實際操作由遊戲流程以一般玩家的方式執行
+
+const BOT_STRATEGIES = ['random', 'conservative', 'aggressive', 'adaptive'];
+
+// 至少保留的秒數，避免電腦玩家自己把時間按到用盡而被淘汰
+const SAFETY_MARGIN_SECONDS = 0.5;
+
+function randomBetween(random, min, max) {
+    return min + random() * (max - min);
+}
+
+// 從觀看者視角估計對手剩餘時間：看得到就用實際值，區間取中間值，完全隱藏則假設與自己相同
+function estimateOpponentTime(opponent, myTime) {
+    if (typeof opponent.time === 'number') {
+        return opponent.time;
+    }
+    if (opponent.timeBucket) {
+        return (opponent.timeBucket.min + opponent.timeBucket.max) / 2;
+    }
+    return myTime;
+}
+
+// context: { myTime, roundsLeft, opponents: 以電腦玩家視角產生的對手資料 }
+// 回傳 { participate, holdSeconds }
+function decideBid(strategy, context, random = Math.random) {
+    const { myTime, opponents } = context;
+    const roundsLeft = Math.max(1, context.roundsLeft);
+    const budgetPerRound = myTime / roundsLeft;
+    let participate = true;
+    let holdSeconds = 0;
+
+    switch (strategy) {
+        case 'conservative':
+            participate = random() < 0.6;
+            holdSeconds = budgetPerRound * randomBetween(random, 0.4, 0.9);
+            break;
+        case 'aggressive':
+            holdSeconds = Math.min(budgetPerRound * randomBetween(random, 1.5, 2.5), myTime * 0.6);
+            break;
+        case 'adaptive': {
+            // 估計對手每回合最多能投入的時間，比最有錢的對手多出一點；負擔不起就保留時間
+            const opponentBudgets = opponents
+                .filter(p => !p.isEliminated)
+                .map(p => estimateOpponentTime(p, myTime) / roundsLeft);
+            const strongestOpponent = opponentBudgets.length > 0 ? Math.max(...opponentBudgets) : 0;
+            holdSeconds = strongestOpponent * randomBetween(random, 1.05, 1.25) + randomBetween(random, 0.2, 1);
+            if (holdSeconds > myTime * 0.5) {
+                participate = random() < 0.3;
+                holdSeconds = budgetPerRound * randomBetween(random, 0.3, 0.6);
+            }
+            break;
+        }
+        case 'random':
+        default:
+            participate = random() < 0.8;
+            holdSeconds = randomBetween(random, 0, Math.min(myTime, budgetPerRound * 2));
+            break;
+    }
+
+    holdSeconds = Math.min(holdSeconds, myTime - SAFETY_MARGIN_SECONDS);
+    if (holdSeconds <= 0) {
+        return { participate: false, holdSeconds: 0 };
+    }
+    return { participate, holdSeconds: Math.round(holdSeconds * 1000) / 1000 };
+}
+
+module.exports = {
+    BOT_STRATEGIES,
+    decideBid,
+};
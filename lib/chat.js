@@ -0,0 +1,111 @@
+// time-auction-server/lib/chat.js
+// 房間聊天與快速表情：長度限制、禁用詞過濾、房主禁言，並保留最近的聊天紀錄給之後加入的人 (發言頻率由 lib/rateLimiter.js 限制)。
+// 玩家的訊息預設只給房間內的玩家，可選擇同時給觀戰者；觀戰者的訊息只給其他觀戰者，避免場外透露隱藏資訊
+
+const crypto = require('crypto');
+const { createMessage } = require('./messages');
+
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY_LIMIT = 50;
+const REACTIONS = ['👍', '👏', '😂', '😮', '😱', '😭', '🔥', '🤝'];
+
+// 訊息的觀看範圍
+const AUDIENCES = {
+    players: { players: true, spectators: false },
+    all: { players: true, spectators: true },
+    spectators: { players: false, spectators: true },
+};
+
+// words 中的詞 (不分大小寫) 換成等長的 *
+function createWordFilter(words = []) {
+    const escaped = words
+        .map(w => w.trim())
+        .filter(w => w.length > 0)
+        .map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (escaped.length === 0) {
+        return text => text;
+    }
+    const pattern = new RegExp(escaped.join('|'), 'gi');
+    return text => text.replace(pattern, match => '*'.repeat(match.length));
+}
+
+// 回傳錯誤訊息 { code, params }，通過則回傳 null
+function validateChatText(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+        return createMessage('CHAT_EMPTY');
+    }
+    if (text.trim().length > CHAT_MAX_LENGTH) {
+        return createMessage('CHAT_TOO_LONG', { max: CHAT_MAX_LENGTH });
+    }
+    return null;
+}
+
+// 每個房間一份；禁言以玩家名稱記錄 (同一房間內名稱不重複，重新連線後 id 會改變)
+function createChatRoom({ filter = text => text, historyLimit = CHAT_HISTORY_LIMIT } = {}) {
+    const history = [];
+    const mutedNames = new Set();
+    // 連線 id -> 房間內的匿名代號；訊息只帶代號，不把連線 id 送給其他人
+    const senderHandles = new Map();
+
+    function getSenderHandle(senderId) {
+        if (!senderHandles.has(senderId)) {
+            senderHandles.set(senderId, crypto.randomBytes(6).toString('hex'));
+        }
+        return senderHandles.get(senderId);
+    }
+
+    return {
+        // sender: { id, name, isSpectator }；回傳 { error, entry }，entry.senderHandle 是發言者在這個房間的代號
+        post(sender, text, audience) {
+            const textError = validateChatText(text);
+            if (textError) {
+                return { error: textError, entry: null };
+            }
+            if (!sender.isSpectator && mutedNames.has(sender.name)) {
+                return { error: createMessage('CHAT_MUTED'), entry: null };
+            }
+            const entry = {
+                id: crypto.randomBytes(6).toString('hex'),
+                senderHandle: getSenderHandle(sender.id),
+                name: sender.name,
+                isSpectator: sender.isSpectator,
+                audience: audience,
+                text: filter(text.trim()),
+                sentAt: Date.now(),
+            };
+            history.push(entry);
+            if (history.length > historyLimit) {
+                history.shift();
+            }
+            return { error: null, entry };
+        },
+
+        // 玩家或觀戰者看得到的聊天紀錄
+        getHistory(isSpectator) {
+            const key = isSpectator ? 'spectators' : 'players';
+            return history.filter(entry => AUDIENCES[entry.audience][key]);
+        },
+
+        setMuted(name, muted) {
+            if (muted) {
+                mutedNames.add(name);
+            } else {
+                mutedNames.delete(name);
+            }
+        },
+
+        isMuted(name) {
+            return mutedNames.has(name);
+        },
+    };
+}
+
+module.exports = {
+    CHAT_MAX_LENGTH,
+    CHAT_HISTORY_LIMIT,
+    REACTIONS,
+    AUDIENCES,
+    createWordFilter,
+    validateChatText,
+    createChatRoom,
+};
@@ -0,0 +1,1535 @@
+// time-auction-server/lib/engine.js
+// 不依賴 Socket.IO 與真實計時器的遊戲引擎：每個房間一個引擎，接收指令 (join / hold / release / leave / tick …)
+// 並以事件通知外部。所有時間都取自注入的時鐘，倒數、回合計時、下一回合與電腦玩家的操作都是「到期時間」，
+// 由 tick() 依時間先後處理；伺服器以固定頻率呼叫 tick()，模擬程式則直接把時鐘推進到下一個到期時間。
+//
+// 引擎發出的事件 (名稱與前端事件相同者，由轉接層補上各觀看者的視角資料後送出)：
+//   playerStatusUpdate ()                   玩家狀態有變化
+//   message (message, playerId?)           系統訊息 { code, params } (見 lib/messages.js)；有 playerId 時只給該玩家
+//   preRoundCountdownUpdate (seconds)      準備倒數
+//   gameStarted ({ gameNumber })           一局開始 (房主開始遊戲或再來一局)
+//   roundStarting ()                       競標開始
+//   roundTimerUpdate (elapsedSeconds)      競標經過秒數 (每秒一次)
+//   roundEnded (message)                   進入新回合的準備階段，message 為 { code, params }
+//   showRoundStatsModal ()                 顯示回合統計
+//   roundWinnerAnnounced (payload)         回合結果
+//   gameOver ({ reason, finalWinner, standings, teamStandings }) 遊戲結束，reason 為 { code, params }，standings 為所有玩家的最終名次，
+//                                          teamStandings 為組隊模式的隊伍名次 (非組隊為 null)；finalWinner 不含任何語言的文字，
+//                                          由 formatFinalWinner (見 lib/messages.js) 依語言顯示
+//   hostChanged ({ hostId, name })         房主變更
+//   rematchVoteUpdate (status)             再來一局的投票狀態
+//   rematchStarting (payload)              再來一局開始
+//   playerMovedToSpectators ({ id, name, roomEmpty }) 掛機的玩家被移出房間，由轉接層讓該連線改為觀戰；
+//                                          roomEmpty 與 leave() 的回傳值相同
+//   checkpoint ()                          流程轉換點，適合在此保存房間狀態
+//   action ({ type, playerId, name })      玩家 (包含電腦玩家) 的操作 join / hold / release / leave，給回放紀錄使用
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const { resolveRules, compareByRanking } = require('./rules');
+const { buildPlayersView } = require('./views');
+const { BOT_STRATEGIES, decideBid } = require('./bots');
+const { DEFAULT_LOCALE, createMessage, failure, formatMessage } = require('./messages');
+const { createLogger } = require('./logger');
+const {
+    isTeamGame,
+    getTeamIds,
+    getAliveTeamIds,
+    pickTeamForNewPlayer,
+    rebalanceTeams,
+    selectTeamBidders,
+    syncSharedTime,
+    buildTeamStandings,
+} = require('./teams');
+const {
+    ITEMS,
+    REFUND_RATIO,
+    SHIELD_SECONDS,
+    getSpecialRound,
+    getTokenMultiplier,
+    getRefundSeconds,
+    validateItemUse,
+    validateSpecialRound,
+} = require('./items');
+
+// 時鐘：now() 為單調遞增的毫秒數，用來量測按住時間；wallNow() 為實際時間 (epoch 毫秒)，用於紀錄與前端同步
+function createSystemClock() {
+    return {
+        now: () => performance.now(),
+        wallNow: () => Date.now(),
+    };
+}
+
+// 手動推進的時鐘，給模擬與腳本使用
+function createManualClock(startWallTime = 0) {
+    let current = 0;
+    return {
+        now: () => current,
+        wallNow: () => startWallTime + current,
+        advance(ms) {
+            current += ms;
+        },
+        advanceTo(ms) {
+            current = Math.max(current, ms);
+        },
+    };
+}
+
+function createPlayer(id, name, time, accountId = null) {
+    return {
+        id: id,
+        name: name,
+        accountId: accountId, // 登入玩家的帳號 id，未登入或電腦玩家為 null
+        time: time,
+        tokens: 0,
+        isHoldingButton: false,
+        hasOptedOut: false,
+        roundHoldDuration: 0,
+        isEliminated: false, // **新增：初始狀態未被淘汰**
+        isDisconnected: false,
+        seriesWins: 0, // 同一房間連續對戰 (再來一局) 累計的勝場
+        isBot: false,
+        teamId: null, // 組隊模式下所屬的隊伍
+        hasShield: false, // 道具：下次被淘汰時改為留在遊戲中
+        missedRounds: 0, // 連續在準備期限內沒有按住的次數
+        isAfk: false, // 掛機：準備階段不再等待此玩家，按住即恢復
+    };
+}
+
+// 回傳錯誤訊息 { code, params }，驗證通過則回傳 null
+function validateInitialTime(initialTime) {
+    if (typeof initialTime !== 'number' || initialTime < 10 || initialTime > 600 || isNaN(initialTime)) {
+        return createMessage('INVALID_INITIAL_TIME');
+    }
+    return null;
+}
+
+function validateMaxRounds(maxRounds) {
+    if (typeof maxRounds !== 'number' || maxRounds < 1 || maxRounds > 50 || isNaN(maxRounds)) {
+        return createMessage('INVALID_MAX_ROUNDS');
+    }
+    return null;
+}
+
+// 時間以秒為單位，保留到毫秒
+function roundToMs(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+function playerRef(player) {
+    return { id: player.id, name: player.name };
+}
+
+// 名次比較：未淘汰的玩家依房間規則排名，淘汰的玩家排在後面 (越晚淘汰名次越前)
+function compareStandings(game, eliminatedRound, a, b) {
+    if (a.isEliminated !== b.isEliminated) {
+        return a.isEliminated ? 1 : -1;
+    }
+    if (a.isEliminated && eliminatedRound[a.name] !== eliminatedRound[b.name]) {
+        return (eliminatedRound[b.name] || 0) - (eliminatedRound[a.name] || 0);
+    }
+    return compareByRanking(game.rules, a, b);
+}
+
+function buildEliminatedRounds(game) {
+    const eliminatedRound = {};
+    game.roundHistory.forEach(record => {
+        record.eliminated.forEach(p => {
+            eliminatedRound[p.name] = record.round;
+        });
+    });
+    return eliminatedRound;
+}
+
+// 一局結束時所有玩家的最終名次；比較結果相同的玩家名次相同。
+// 組隊模式下隊員共享隊伍的名次，同隊之內再依個人成績排列
+function buildStandings(game) {
+    const eliminatedRound = buildEliminatedRounds(game);
+    const teamPlacement = {};
+    if (isTeamGame(game)) {
+        buildTeamStandings(game, eliminatedRound).forEach(team => {
+            teamPlacement[team.teamId] = team.placement;
+        });
+    }
+    const compare = (a, b) => (teamPlacement[a.teamId] || 0) - (teamPlacement[b.teamId] || 0)
+        || compareStandings(game, eliminatedRound, a, b);
+
+    const sortedPlayers = [...game.players].sort(compare);
+    const standings = [];
+    sortedPlayers.forEach((p, index) => {
+        const previous = sortedPlayers[index - 1];
+        let placement = previous && compare(previous, p) === 0 ? standings[index - 1].placement : index + 1;
+        if (isTeamGame(game)) {
+            placement = teamPlacement[p.teamId];
+        }
+        standings.push({
+            id: p.id,
+            name: p.name,
+            accountId: p.accountId || null,
+            isBot: p.isBot,
+            teamId: p.teamId || null,
+            placement: placement,
+            tokens: p.tokens,
+            time: p.time,
+            isEliminated: p.isEliminated,
+            eliminatedInRound: eliminatedRound[p.name] || null,
+        });
+    });
+    return standings;
+}
+
+// 需要同意的是目前在線上的玩家
+function buildRematchVoteStatus(game) {
+    const voters = game.players.filter(p => !p.isDisconnected && !p.isBot);
+    return {
+        votes: game.rematchVotes,
+        required: voters.length,
+        gameNumber: game.gameNumber,
+    };
+}
+
+// options: { id, hostId, initialTime, maxRounds, rules, clock, random, logger }
+// 傳入 options.state 則沿用既有的房間狀態 (例如從儲存的快照還原，之後再呼叫 recover())
+function createGameEngine(options) {
+    const clock = options.clock || createSystemClock();
+    const random = options.random || Math.random;
+    const emitter = new EventEmitter();
+
+    const game = options.state || {
+        id: options.id,
+        createdAt: clock.wallNow(),
+        hostId: options.hostId || null,
+        players: [],
+        status: 'lobby',
+        currentRound: 0,
+        initialTime: options.initialTime,
+        maxRounds: options.maxRounds,
+        rules: options.rules,
+        preRoundCountdown: 0,
+        preRoundEndsAt: null,
+        preRoundEndsAtWallClock: null,
+        readyEndsAt: null, // 回合準備階段的期限
+        readyEndsAtWallClock: null,
+        roundElapsedTime: 0,
+        roundStartedAt: null,
+        roundStartedAtWallClock: null,
+        nextRoundAt: null,
+        activePlayersInRound: [],
+        spectators: [],
+        roundHistory: [],
+        currentRoundRecord: null,
+        gameNumber: 1,
+        gameOverReason: null,
+        finalWinner: null,
+        rematchVotes: [], // 想再來一局的玩家名稱
+        standings: null, // 上一局結束時的最終名次
+        teamStandings: null, // 組隊模式下上一局的隊伍名次
+        specialRounds: {}, // 房主排定的特殊回合：回合 -> doubleTokens / blind
+        itemHistory: [], // 這一局使用的道具 { round, name, item, tokens, time }，tokens 與 time 為變化量
+    };
+    const roomId = game.id;
+    const logger = (options.logger || createLogger()).child({ roomId });
+
+    // 電腦玩家排定的操作 { at, botId, action } 與本回合的出價計畫 (不放在玩家物件上，以免廣播給前端)
+    let botActions = [];
+    const botPlans = {};
+
+    // tick() 處理到期事件時，「現在」是該事件的到期時間而不是時鐘的時間，讓結果與呼叫 tick() 的頻率無關
+    let eventTime = null;
+
+    function now() {
+        return eventTime !== null ? eventTime : clock.now();
+    }
+
+    function wallNow() {
+        return Math.round(clock.wallNow() - (clock.now() - now()));
+    }
+
+    function emit(eventName, ...args) {
+        emitter.emit(eventName, ...args);
+    }
+
+    function broadcastMessage(code, params, playerId) {
+        emit('message', createMessage(code, params), playerId);
+    }
+
+    function broadcastPlayerStatusUpdate() {
+        emit('playerStatusUpdate');
+    }
+
+    function emitAction(type, player) {
+        emit('action', { type, playerId: player.id, name: player.name });
+    }
+
+    function checkpoint() {
+        emit('checkpoint');
+    }
+
+    function findPlayer(playerId) {
+        return game.players.find(p => p.id === playerId);
+    }
+
+    // 本回合的出價時間：從回合開始 (或之後才按住的時間點) 到 atMs 為止
+    function getHoldDurationSeconds(player, atMs) {
+        const startedAt = Math.max(player.holdStartedAt || 0, game.roundStartedAt);
+        return roundToMs(Math.max(0, atMs - startedAt) / 1000);
+    }
+
+    function clearDeadlines() {
+        game.readyEndsAt = null;
+        game.preRoundEndsAt = null;
+        game.preRoundEndsAtWallClock = null;
+        game.nextRoundAt = null;
+    }
+
+    // 延遲開始下一回合；遊戲結束或房間移除時會一併清除
+    function scheduleNextRound(delayMs) {
+        game.nextRoundAt = now() + delayMs;
+    }
+
+    // --- 回合紀錄 ---
+
+    // 倒數結束時建立本回合紀錄，回合結束時由 finishRoundRecord 補齊並存入 roundHistory
+    function startRoundRecord() {
+        game.currentRoundRecord = {
+            round: game.currentRound,
+            participants: [],
+            optedOut: [],
+            holdDurations: [],
+            winners: [],
+            tiedWithoutWinner: [],
+            timeSpent: [],
+            eliminated: [],
+            shielded: [], // 被護盾擋下淘汰的玩家
+            specialRound: getSpecialRound(game),
+            interrupted: false,
+            startedAt: wallNow(),
+            endedAt: null,
+            spentTimes: {}, // 只用來計算 timeSpent，存入歷史前會刪除
+        };
+    }
+
+    // 從玩家的剩餘時間扣除 seconds 秒 (不低於 0)，並記在本回合的花費時間；共用時間池的隊友一起更新
+    function spendTime(player, seconds) {
+        const spent = Math.min(player.time, seconds);
+        player.time = roundToMs(player.time - spent);
+        syncSharedTime(game, player);
+        const record = game.currentRoundRecord;
+        if (record) {
+            record.spentTimes[player.name] = roundToMs((record.spentTimes[player.name] || 0) + spent);
+        }
+    }
+
+    // 即將被淘汰時，有護盾的玩家改為留在遊戲中並取回一些時間；回傳是否擋下
+    function breakShield(player) {
+        if (!player.hasShield) {
+            return false;
+        }
+        player.hasShield = false;
+        player.time = roundToMs(player.time + SHIELD_SECONDS);
+        syncSharedTime(game, player);
+        game.itemHistory.push({ round: game.currentRound, name: player.name, item: 'shieldBroken', tokens: 0, time: SHIELD_SECONDS });
+        if (game.currentRoundRecord) {
+            game.currentRoundRecord.shielded.push(playerRef(player));
+        }
+        broadcastMessage('SHIELD_BROKEN', { name: player.name, seconds: SHIELD_SECONDS });
+        logger.info('ITEM', 'Shield prevented an elimination', { playerId: player.id, playerName: player.name });
+        return true;
+    }
+
+    function recordElimination(player) {
+        if (game.currentRoundRecord) {
+            game.currentRoundRecord.eliminated.push(playerRef(player));
+        }
+    }
+
+    function finishRoundRecord(winners, tiedPlayers) {
+        const record = game.currentRoundRecord;
+        if (!record) return;
+
+        record.holdDurations = game.activePlayersInRound.map(p => ({ ...playerRef(p), duration: p.roundHoldDuration }));
+        record.winners = winners.map(playerRef);
+        record.tiedWithoutWinner = tiedPlayers.map(playerRef);
+        record.timeSpent = game.activePlayersInRound.map(p => ({ ...playerRef(p), seconds: record.spentTimes[p.name] || 0 }));
+        record.endedAt = wallNow();
+        delete record.spentTimes;
+
+        game.roundHistory.push(record);
+        game.currentRoundRecord = null;
+    }
+
+    // --- 遊戲流程 ---
+
+    // 開始新回合的準備階段
+    function startNewRound() {
+        logger.debug('GAME_FLOW', 'Preparing the next round', { currentRound: game.currentRound, maxRounds: game.maxRounds });
+
+        // 過濾出未淘汰的玩家
+        const alivePlayers = game.players.filter(p => !p.isEliminated);
+
+        // 組隊模式下只剩一隊 (或沒有隊伍) 未淘汰時遊戲結束
+        if (isTeamGame(game) && game.currentRound > 0) {
+            const aliveTeamIds = getAliveTeamIds(game);
+            if (aliveTeamIds.length <= 1) {
+                logger.info('GAME_FLOW', 'Not enough teams left, ending the game', { aliveTeams: aliveTeamIds });
+                gameEnded(aliveTeamIds.length === 1
+                    ? createMessage('GAME_OVER_TEAM_SURVIVOR', { team: aliveTeamIds[0] })
+                    : createMessage('GAME_OVER_ALL_ELIMINATED'));
+                return;
+            }
+        }
+
+        // **新增判斷：如果只剩一個玩家未淘汰，則遊戲結束**
+        if (alivePlayers.length <= 1 && game.currentRound > 0) { // 如果只剩一人或無人，且已不是第0回合
+            logger.info('GAME_FLOW', 'Not enough players left, ending the game', { alivePlayers: alivePlayers.length });
+            gameEnded(alivePlayers.length === 1
+                ? createMessage('GAME_OVER_SOLE_SURVIVOR', { name: alivePlayers[0].name })
+                : createMessage('GAME_OVER_ALL_ELIMINATED'));
+            return;
+        }
+
+        // **重要修改**：先檢查是否達到最大回合數來判斷遊戲結束
+        if (game.currentRound >= game.maxRounds) {
+            logger.info('GAME_FLOW', 'Reached the last round, ending the game', { maxRounds: game.maxRounds });
+            gameEnded(createMessage('GAME_OVER_ROUNDS_COMPLETE')); // 觸發遊戲結束，並提供原因
+            return;
+        }
+
+        game.currentRound++; // 遞增回合數
+
+        game.preRoundCountdown = 0;
+        game.preRoundEndsAt = null;
+        game.preRoundEndsAtWallClock = null;
+        game.roundElapsedTime = 0;
+        game.status = 'waiting';
+        startReadyDeadline();
+
+        game.players.forEach(p => {
+            p.isHoldingButton = false;
+            p.hasOptedOut = false;
+            p.roundHoldDuration = 0;
+        });
+
+        broadcastPlayerStatusUpdate();
+        broadcastMessage('ROUND_READY', { round: game.currentRound });
+        emit('roundEnded', createMessage('ROUND_READY', { round: game.currentRound }));
+        const specialRound = getSpecialRound(game);
+        if (specialRound) {
+            broadcastMessage(specialRound === 'blind' ? 'SPECIAL_ROUND_BLIND' : 'SPECIAL_ROUND_DOUBLE_TOKENS', { round: game.currentRound });
+        }
+        logger.info('GAME_FLOW', 'Round is waiting for players to hold', { round: game.currentRound });
+        scheduleBotsForNewRound();
+        checkpoint();
+
+        const statsInterval = game.rules.statsModalInterval;
+        if (statsInterval > 0 && game.currentRound % statsInterval === 0 && game.currentRound !== game.maxRounds && game.roundHistory.length > 0) {
+            emit('showRoundStatsModal');
+            logger.debug('GAME_FLOW', 'Showing round stats', { round: game.currentRound });
+        }
+    }
+
+    // force 為 true 時 (準備期限到期) 不等待還沒按住的玩家
+    function startPreRoundCountdown(force = false) {
+        logger.debug('COUNTDOWN', 'Trying to start the countdown', { status: game.status });
+        if (game.status !== 'waiting') {
+            logger.debug('COUNTDOWN', 'Not waiting for players, not starting the countdown', { status: game.status });
+            return;
+        }
+
+        // 只考慮未淘汰、未掛機且沒有斷線 (還在保留座位期間) 的玩家來判斷是否所有人都按住了
+        const readyPlayers = game.players.filter(p => !p.isEliminated && !p.isAfk && !p.isDisconnected);
+        const playerCount = readyPlayers.length;
+        const allPlayersHolding = readyPlayers.every(p => p.isHoldingButton);
+
+        logger.debug('COUNTDOWN', 'Checking countdown conditions', { readyPlayers: playerCount, allHolding: allPlayersHolding, force: force });
+
+        // 單人測試模式: 如果是單人且未被淘汰，只要他按住就啟動；正常多人遊戲模式: 至少2人未淘汰且所有未淘汰玩家都按住
+        const shouldStartCountdown = force || (playerCount >= 1 && allPlayersHolding);
+        if (!shouldStartCountdown) {
+            logger.debug('COUNTDOWN', 'Countdown conditions not met');
+            return;
+        }
+
+        logger.info('COUNTDOWN', 'Everyone is holding, starting the countdown', { round: game.currentRound });
+
+        game.status = 'preCountdown';
+        game.preRoundCountdown = game.rules.countdownSeconds;
+        game.preRoundEndsAt = now() + game.preRoundCountdown * 1000;
+        game.preRoundEndsAtWallClock = wallNow() + game.preRoundCountdown * 1000;
+        game.players.forEach(p => { // 重置所有玩家，包括淘汰的
+            p.hasOptedOut = false;
+            p.roundHoldDuration = 0;
+        });
+
+        broadcastPlayerStatusUpdate();
+        emit('preRoundCountdownUpdate', game.preRoundCountdown);
+        broadcastMessage('COUNTDOWN_STARTED', { seconds: game.preRoundCountdown });
+        scheduleBotsForCountdown();
+    }
+
+    // 開始 (或重新開始) 回合準備階段的期限；加入準備期限之前保存的房間規則沒有 readyTimeoutSeconds，視為不限
+    function startReadyDeadline() {
+        const readyTimeoutMs = (game.rules.readyTimeoutSeconds || 0) * 1000;
+        game.readyEndsAt = readyTimeoutMs > 0 ? now() + readyTimeoutMs : null;
+        game.readyEndsAtWallClock = readyTimeoutMs > 0 ? wallNow() + readyTimeoutMs : null;
+    }
+
+    // 倒數被打斷且剩下的玩家沒有全部按住：同一回合重新等待所有人按住。回合還沒開始競標，
+    // 不留下回合紀錄也不遞增回合數；還按著的玩家維持按住，倒數途中放手的玩家可以重新加入
+    function retryRound() {
+        game.players.forEach(p => {
+            p.hasOptedOut = false;
+            p.roundHoldDuration = 0;
+        });
+        startReadyDeadline();
+        broadcastMessage('ROUND_READY', { round: game.currentRound });
+        emit('roundEnded', createMessage('ROUND_READY', { round: game.currentRound }));
+        // 取消倒數時排定的放手，沒按住的電腦玩家重新按住
+        getAliveBots().forEach(bot => {
+            clearBotState(bot.id);
+            if (!bot.isHoldingButton) {
+                scheduleBotAction(bot, 500 + random() * 1000, () => handlePlayerHolding(bot.id));
+            }
+        });
+    }
+
+    // 準備期限到期：沒按住的玩家跳過本回合並記一次未按住，已按住的玩家直接開始倒數。
+    // 沒有人按住時不開始空的回合，而是重新計算期限繼續等待 (沒按住的次數照樣累計)
+    function handleReadyTimeout() {
+        game.readyEndsAt = null;
+        const idlePlayers = game.players.filter(p => !p.isEliminated && !p.isHoldingButton);
+        logger.info('AFK', 'Ready phase timed out', { round: game.currentRound, idlePlayers: idlePlayers.map(p => p.name) });
+        if (idlePlayers.length > 0) {
+            broadcastMessage('READY_TIMEOUT', { names: idlePlayers.map(p => p.name) });
+        }
+        for (const player of idlePlayers) {
+            if (recordMissedRound(player).roomEmpty) {
+                return;
+            }
+        }
+        if (game.players.some(p => !p.isEliminated && p.isHoldingButton)) {
+            startPreRoundCountdown(true);
+        } else {
+            startReadyDeadline();
+            broadcastPlayerStatusUpdate();
+            checkpoint();
+        }
+    }
+
+    // 連續未按住達到 afkRoundLimit 次時依 afkAction 處理；回傳 { roomEmpty }
+    function recordMissedRound(player) {
+        player.missedRounds += 1;
+        const limit = game.rules.afkRoundLimit || 0;
+        if (limit === 0 || player.missedRounds < limit || player.isAfk) {
+            return { roomEmpty: false };
+        }
+        logger.info('AFK', 'Player is away from keyboard', { playerId: player.id, playerName: player.name, missedRounds: player.missedRounds, action: game.rules.afkAction });
+        if (game.rules.afkAction === 'spectate' && !player.isBot) {
+            broadcastMessage('PLAYER_AFK_SPECTATING', { name: player.name });
+            const { roomEmpty } = removePlayer(player.id, 'AFK');
+            emit('playerMovedToSpectators', { id: player.id, name: player.name, roomEmpty });
+            return { roomEmpty };
+        }
+        player.isAfk = true;
+        broadcastMessage('PLAYER_AFK', { name: player.name });
+        return { roomEmpty: false };
+    }
+
+    function handlePreRoundEnd() {
+        logger.debug('COUNTDOWN', 'Pre-round countdown ended', { status: game.status });
+
+        startRoundRecord();
+        game.players.forEach(p => {
+            // 如果玩家時間用盡，且沒有明確選擇退出，則標記為退出和淘汰 (有護盾則只退出本回合)
+            if (p.time <= 0 && !p.hasOptedOut && !p.isEliminated && breakShield(p)) {
+                p.hasOptedOut = true;
+            } else if (p.time <= 0 && !p.hasOptedOut && !p.isEliminated) { // **新增：檢查是否已被淘汰**
+                p.hasOptedOut = true;
+                p.isEliminated = true; // **重要：標記為永久淘汰**
+                recordElimination(p);
+                broadcastMessage('PLAYER_ELIMINATED', { name: p.name });
+                logger.info('ROUND', 'Player ran out of time and was eliminated', { playerId: p.id, playerName: p.name });
+            }
+            // 如果玩家在倒數結束時沒有按住按鈕，且未被淘汰，則標記為退出
+            else if (!p.isHoldingButton && !p.hasOptedOut && !p.isEliminated) { // **新增：檢查是否已被淘汰**
+                p.hasOptedOut = true;
+                logger.debug('ROUND', 'Player opted out by not holding', { playerId: p.id, playerName: p.name });
+            }
+        });
+
+        // 過濾出本回合真正參與競標的玩家 (按住按鈕且未被淘汰和未放棄的)
+        game.activePlayersInRound = game.players.filter(p => p.isHoldingButton && !p.hasOptedOut && !p.isEliminated);
+        logger.debug('ROUND', 'Players bidding this round', { players: game.activePlayersInRound.map(p => p.name) });
+        game.currentRoundRecord.participants = game.activePlayersInRound.map(playerRef);
+        game.currentRoundRecord.optedOut = game.players.filter(p => p.hasOptedOut && !p.isEliminated).map(playerRef);
+
+        // **新增判斷：如果 activePlayersInRound 不足 1 人，則直接結束本輪，進入新回合準備**
+        if (game.activePlayersInRound.length < 1) {
+            finishRoundRecord([], []);
+            broadcastMessage('COUNTDOWN_ENDED_NO_BIDDERS');
+            logger.info('ROUND', 'Nobody is bidding after the countdown', { round: game.currentRound });
+            scheduleNextRound(2000);
+            return;
+        }
+
+        game.status = 'inRound';
+        game.roundElapsedTime = 0;
+        game.roundStartedAt = now();
+        game.roundStartedAtWallClock = wallNow();
+        game.players.forEach(p => {
+            p.releasedAt = null;
+        });
+
+        broadcastMessage('ROUND_STARTED');
+        emit('roundStarting');
+        logger.info('ROUND', 'Bidding started', { round: game.currentRound, bidders: game.activePlayersInRound.length });
+        scheduleBotsForRound();
+        checkpoint();
+    }
+
+    // 玩家按住的時間到達自己剩餘的時間；有護盾時付出所有時間後由護盾取回一些，退出本回合但不淘汰
+    function exhaustPlayer(player) {
+        player.isHoldingButton = false;
+        player.roundHoldDuration = player.time;
+        player.releasedAt = now();
+        player.hasOptedOut = true;
+        if (player.hasShield) {
+            spendTime(player, player.time);
+            breakShield(player);
+            broadcastPlayerStatusUpdate();
+            checkAllReleased();
+            return;
+        }
+        player.isEliminated = true; // **重要：標記為永久淘汰**
+        recordElimination(player);
+        broadcastMessage('PLAYER_ELIMINATED', { name: player.name });
+        logger.info('ROUND', 'Player ran out of time and was eliminated', { playerId: player.id, playerName: player.name });
+        broadcastPlayerStatusUpdate();
+        checkAllReleased();
+    }
+
+    function isBiddingInRound(player) {
+        return player.isHoldingButton && !player.hasOptedOut && !player.isEliminated;
+    }
+
+    function checkAllReleased() {
+        if (game.status !== 'inRound') return;
+
+        // 檢查所有「活躍」玩家 (進入競標且未被淘汰) 是否都已放手或已放棄
+        const allActiveReleased = game.activePlayersInRound.every(p => {
+            const currentPlayerState = findPlayer(p.id);
+            // 如果玩家不存在、或玩家已放手、或玩家已因為時間耗盡而放棄、或玩家已被淘汰
+            return !currentPlayerState || !isBiddingInRound(currentPlayerState);
+        });
+
+        if (allActiveReleased) {
+            logger.debug('ROUND', 'All bidders released');
+            clearDeadlines();
+            endRound();
+        }
+    }
+
+    function endRound() {
+        game.status = 'roundEnded';
+
+        const rules = game.rules;
+        let winner = null;
+        let maxHoldDuration = 0;
+        let winningPlayers = [];
+        let tiedPlayers = []; // tiePolicy 為 noWinner 時，平手但沒有得分的玩家
+
+        // 找出 activePlayersInRound 中，roundHoldDuration 最高的玩家；與最高者相差在容許值內的也算平手。
+        // 只考慮未淘汰、未放棄且達到最低出價時間的玩家
+        // 組隊模式下每隊只有按最久的隊員參與比較，隊友不會一起獲勝
+        let biddingPlayers = game.activePlayersInRound.filter(p => !p.isEliminated && !p.hasOptedOut && p.roundHoldDuration >= rules.minBidSeconds);
+        if (isTeamGame(game)) {
+            biddingPlayers = selectTeamBidders(biddingPlayers);
+        }
+        biddingPlayers.forEach(p => {
+            if (p.roundHoldDuration > maxHoldDuration) {
+                maxHoldDuration = p.roundHoldDuration;
+            }
+        });
+        if (maxHoldDuration > 0) {
+            winningPlayers = biddingPlayers.filter(p => (maxHoldDuration - p.roundHoldDuration) * 1000 <= rules.tieToleranceMs);
+        }
+        logger.debug('ROUND', 'Comparing hold durations', { maxHoldDuration: maxHoldDuration, leaders: winningPlayers.length });
+
+        let winnerAnnouncementMessage = null;
+        const tokenMultiplier = getTokenMultiplier(game); // 雙倍代幣回合
+
+        if (maxHoldDuration === 0 || winningPlayers.length === 0) {
+            winnerAnnouncementMessage = createMessage('ROUND_NO_PARTICIPANTS');
+            logger.info('ROUND', 'Round ended without a winner', { round: game.currentRound });
+        } else {
+            if (winningPlayers.length === 1) {
+                winner = winningPlayers[0];
+                winner.tokens += tokenMultiplier;
+                spendTime(winner, winner.roundHoldDuration); // 贏家扣除自己的按住時間
+                winnerAnnouncementMessage = createMessage('ROUND_WON', { name: winner.name }); // 移除「堅持了X秒」
+                logger.info('ROUND', 'Round won', { round: game.currentRound, winner: winner.name });
+            } else if (rules.tiePolicy === 'noWinner') {
+                const tiedNames = winningPlayers.map(p => p.name);
+                winningPlayers.forEach(p => {
+                    spendTime(p, p.roundHoldDuration); // 無人得分，但平手者仍扣除各自的按住時間
+                });
+                tiedPlayers = winningPlayers;
+                winningPlayers = [];
+                winnerAnnouncementMessage = createMessage('ROUND_TIE_NO_WINNER', { names: tiedNames });
+                logger.info('ROUND', 'Round tied without a winner', { round: game.currentRound, tied: tiedNames });
+            } else {
+                const winnerNames = winningPlayers.map(p => p.name);
+                // split：平手者平分一枚代幣 (取到小數第二位)
+                const tokenShare = (rules.tiePolicy === 'split' ? Math.round(100 / winningPlayers.length) / 100 : 1) * tokenMultiplier;
+                winningPlayers.forEach(p => {
+                    p.tokens = Math.round((p.tokens + tokenShare) * 100) / 100;
+                    spendTime(p, p.roundHoldDuration); // 平手贏家也扣除各自的按住時間
+                });
+                winnerAnnouncementMessage = createMessage(rules.tiePolicy === 'split' ? 'ROUND_TIE_SPLIT' : 'ROUND_TIE_WINNERS', { names: winnerNames }); // 移除「堅持了X秒」
+                logger.info('ROUND', 'Round tied with several winners', { round: game.currentRound, winners: winnerNames, tiePolicy: rules.tiePolicy });
+            }
+        }
+        broadcastMessage(winnerAnnouncementMessage.code, winnerAnnouncementMessage.params);
+
+        if (rules.losersPayHeldTime) {
+            // 規則選項：沒有贏得回合的參與者也扣除自己按住的時間 (護盾擋下淘汰的玩家已經付出全部時間)
+            const shielded = game.currentRoundRecord.shielded;
+            game.activePlayersInRound.forEach(p => {
+                if (!p.isEliminated && !winningPlayers.includes(p) && !tiedPlayers.includes(p) && !shielded.some(x => x.id === p.id)) {
+                    spendTime(p, p.roundHoldDuration);
+                }
+            });
+        }
+
+        finishRoundRecord(winningPlayers, tiedPlayers);
+
+        emit('roundWinnerAnnounced', {
+            message: winnerAnnouncementMessage,
+            winners: winningPlayers.map(p => ({ id: p.id, name: p.name })),
+            duration: rules.concealWinningDuration || getSpecialRound(game) === 'blind' ? null : maxHoldDuration,
+            isTie: winningPlayers.length > 1 || tiedPlayers.length > 1,
+            tiePolicy: rules.tiePolicy,
+            specialRound: getSpecialRound(game),
+        });
+
+        game.players.forEach(p => {
+            p.isHoldingButton = false;
+            p.hasOptedOut = false;
+            // p.roundHoldDuration = 0; // 不在這裡重置，在 startNewRound 統一重置
+        });
+
+        broadcastPlayerStatusUpdate();
+        checkpoint();
+
+        // 遊戲結束判斷現在只在 startNewRound 開頭 和 玩家不足時進行
+        scheduleNextRound(3000); // 無論如何都嘗試開始新回合，由 startNewRound 內部判斷是否該結束遊戲
+    }
+
+    function gameEnded(reason) {
+        game.status = 'gameOver';
+        clearDeadlines();
+        game.players.filter(p => p.isBot).forEach(p => clearBotState(p.id));
+        if (game.currentRoundRecord) { // 回合進行到一半就結束遊戲
+            game.currentRoundRecord.interrupted = true;
+            finishRoundRecord([], []);
+        }
+
+        let finalWinner = null;
+        const alivePlayers = game.players.filter(p => !p.isEliminated); // 只考慮未淘汰的玩家來排序
+        const teamStandings = isTeamGame(game) ? buildTeamStandings(game, buildEliminatedRounds(game)) : null;
+
+        // 最終優勝者判斷邏輯
+        if (teamStandings && alivePlayers.length > 0) {
+            // 組隊模式：名次第一的隊伍 (可能不只一隊) 的所有隊員共同獲勝
+            const topTeams = teamStandings.filter(team => team.placement === 1);
+            const members = game.players.filter(p => topTeams.some(team => team.teamId === p.teamId));
+            members.forEach(p => {
+                p.seriesWins += 1;
+            });
+            finalWinner = {
+                isTie: topTeams.length > 1,
+                isTeam: true,
+                teamIds: topTeams.map(team => team.teamId),
+                names: members.map(p => p.name),
+                players: members.map(p => ({ id: p.id, name: p.name, tokens: p.tokens, time: p.time })),
+            };
+        } else if (alivePlayers.length > 0) {
+            // 依房間規則的排名依據排序 (預設先比代幣，再比剩餘時間)
+            const sortedPlayers = [...alivePlayers].sort((a, b) => compareByRanking(game.rules, a, b));
+
+            const topPlayer = sortedPlayers[0];
+            const coWinners = sortedPlayers.filter(p => compareByRanking(game.rules, p, topPlayer) === 0);
+
+            coWinners.forEach(p => {
+                p.seriesWins += 1;
+            });
+
+            if (coWinners.length > 1) {
+                finalWinner = {
+                    isTie: true,
+                    names: coWinners.map(p => p.name),
+                    players: coWinners.map(p => ({ id: p.id, name: p.name, tokens: p.tokens, time: p.time }))
+                };
+            } else {
+                finalWinner = {
+                    isTie: false,
+                    name: topPlayer.name,
+                    id: topPlayer.id,
+                    tokens: topPlayer.tokens,
+                    time: topPlayer.time
+                };
+            }
+        } else {
+            // 如果所有玩家都被淘汰，則沒有最終優勝者 (名稱由 formatFinalWinner 依語言補上)
+            finalWinner = { isTie: false, code: 'noWinner', name: null, id: null, tokens: 0, time: 0 };
+            reason = reason || createMessage('GAME_OVER_ALL_ELIMINATED');
+        }
+
+        // 保存結果，讓之後加入或重新連線的玩家也能看到
+        game.gameOverReason = reason;
+        game.finalWinner = finalWinner;
+        game.standings = buildStandings(game);
+        game.teamStandings = teamStandings;
+        game.rematchVotes = [];
+
+        emit('gameOver', { reason: reason, finalWinner: finalWinner, standings: game.standings, teamStandings: teamStandings });
+        logger.info('GAME_OVER', 'Game ended', {
+            reason: reason.code,
+            gameNumber: game.gameNumber,
+            winner: finalWinner.players ? finalWinner.players.map(p => p.name) : finalWinner.name,
+            players: game.players.map(p => ({ name: p.name, tokens: p.tokens, time: p.time, isEliminated: p.isEliminated })),
+        });
+        checkpoint();
+    }
+
+    // --- 電腦玩家 ---
+
+    // 電腦玩家以加入它的房主的語言命名
+    function createBotPlayer(strategy, locale) {
+        const label = formatMessage(locale, createMessage(`BOT_STRATEGY_${strategy.toUpperCase()}`));
+        const baseName = formatMessage(locale, createMessage('BOT_NAME', { strategy: label }));
+        let name = baseName;
+        for (let n = 2; game.players.some(p => p.name === name); n++) {
+            name = `${baseName} ${n}`;
+        }
+        const bot = createPlayer(`bot-${crypto.randomBytes(4).toString('hex')}`, name, game.initialTime);
+        bot.isBot = true;
+        bot.botStrategy = strategy;
+        return bot;
+    }
+
+    // 電腦玩家的操作一律延遲執行，並透過與真人相同的 handlePlayerHolding / handlePlayerReleased 進入遊戲流程
+    function scheduleBotAction(bot, delayMs, action) {
+        botActions.push({ at: now() + delayMs, botId: bot.id, action: action });
+    }
+
+    function clearBotState(botId) {
+        botActions = botActions.filter(a => a.botId !== botId);
+        delete botPlans[botId];
+    }
+
+    function getAliveBots() {
+        return game.players.filter(p => p.isBot && !p.isEliminated);
+    }
+
+    // 準備階段：稍等一下後按住準備
+    function scheduleBotsForNewRound() {
+        getAliveBots().forEach(bot => {
+            clearBotState(bot.id);
+            scheduleBotAction(bot, 500 + random() * 1000, () => handlePlayerHolding(bot.id));
+        });
+    }
+
+    // 倒數開始：以電腦玩家自己的視角決定本回合出價，不參加的在倒數途中放手
+    function scheduleBotsForCountdown() {
+        const roundsLeft = game.maxRounds - game.currentRound + 1;
+        getAliveBots().filter(bot => bot.isHoldingButton).forEach(bot => {
+            const opponents = buildPlayersView(game, bot.id).filter(p => p.id !== bot.id && (!bot.teamId || p.teamId !== bot.teamId));
+            const plan = decideBid(bot.botStrategy, { myTime: bot.time, roundsLeft, opponents }, random);
+            botPlans[bot.id] = plan;
+            logger.debug('BOT', 'Bot planned its bid', { playerName: bot.name, strategy: bot.botStrategy, participate: plan.participate, holdSeconds: plan.holdSeconds });
+            if (!plan.participate) {
+                scheduleBotAction(bot, random() * game.preRoundCountdown * 800, () => handlePlayerReleased(bot.id));
+            }
+        });
+    }
+
+    // 競標開始：按照計畫的秒數放手
+    function scheduleBotsForRound() {
+        game.activePlayersInRound.filter(p => p.isBot).forEach(bot => {
+            const plan = botPlans[bot.id];
+            const holdSeconds = plan ? plan.holdSeconds : 0;
+            scheduleBotAction(bot, holdSeconds * 1000, () => handlePlayerReleased(bot.id));
+        });
+    }
+
+    // --- 再來一局 ---
+
+    function checkRematchVotes() {
+        if (game.status !== 'gameOver' || game.rematchVotes.length === 0) return;
+        const voters = game.players.filter(p => !p.isDisconnected && !p.isBot);
+        if (voters.length > 0 && voters.every(p => game.rematchVotes.includes(p.name))) {
+            startRematch();
+        }
+    }
+
+    // 保留同一批玩家與規則，重置代幣、時間、淘汰狀態與回合數後直接開始新的一局
+    function startRematch() {
+        clearDeadlines();
+        game.players.forEach(p => {
+            p.time = game.initialTime;
+            p.tokens = 0;
+            p.isEliminated = false;
+            p.isHoldingButton = false;
+            p.hasOptedOut = false;
+            p.roundHoldDuration = 0;
+            p.hasShield = false;
+            p.missedRounds = 0;
+            p.isAfk = false;
+        });
+        game.currentRound = 0;
+        game.roundHistory = [];
+        game.itemHistory = [];
+        game.currentRoundRecord = null;
+        game.activePlayersInRound = [];
+        game.gameOverReason = null;
+        game.finalWinner = null;
+        game.standings = null;
+        game.teamStandings = null;
+        game.rematchVotes = [];
+        game.gameNumber += 1;
+        game.status = 'waiting';
+
+        logger.info('REMATCH', 'Starting a rematch', { gameNumber: game.gameNumber, players: game.players.length });
+        emit('rematchStarting', {
+            gameNumber: game.gameNumber,
+            seriesWins: game.players.map(p => ({ id: p.id, name: p.name, seriesWins: p.seriesWins })),
+        });
+        broadcastMessage('REMATCH_STARTED', { gameNumber: game.gameNumber });
+        emit('gameStarted', { gameNumber: game.gameNumber });
+        startNewRound();
+    }
+
+    // --- 房主 ---
+
+    function setHost(player) {
+        game.hostId = player.id;
+        logger.info('HOST', 'Host changed', { playerId: player.id, playerName: player.name });
+        emit('hostChanged', { hostId: player.id, name: player.name });
+        broadcastMessage('HOST_CHANGED', { name: player.name });
+        broadcastPlayerStatusUpdate();
+        checkpoint();
+    }
+
+    // 房主離開時，優先交給仍在線上的玩家；電腦玩家不能當房主
+    function migrateHost() {
+        const humans = game.players.filter(p => !p.isBot);
+        const nextHost = humans.find(p => !p.isDisconnected) || humans[0];
+        if (nextHost) {
+            setHost(nextHost);
+        }
+    }
+
+    // --- 按住與放手 ---
+
+    function handlePlayerHolding(playerId) {
+        const player = findPlayer(playerId);
+
+        if (player) {
+            if (player.time <= 0 || player.isEliminated) { // **新增：已淘汰玩家無法按住**
+                broadcastMessage('CANNOT_HOLD_ELIMINATED', {}, player.id);
+                logger.debug('HOLD', 'Player is out of time and cannot hold', { playerId: player.id, playerName: player.name });
+                return;
+            }
+
+            if (game.status === 'lobby') { // 大廳階段還沒有回合可以準備
+                return;
+            }
+
+            if (game.status === 'inRound' && !player.isHoldingButton) { // 競標中放手後不能再按住
+                logger.debug('HOLD', 'Player already released this round, ignoring hold', { playerId: player.id, playerName: player.name });
+                return;
+            }
+
+            if (!player.isHoldingButton) {
+                player.isHoldingButton = true;
+                player.holdStartedAt = now();
+                emitAction('hold', player);
+                player.missedRounds = 0;
+                if (player.isAfk) {
+                    player.isAfk = false;
+                    broadcastMessage('PLAYER_BACK', { name: player.name });
+                }
+                broadcastPlayerStatusUpdate();
+                logger.debug('HOLD', 'Player is holding', { playerId: player.id, playerName: player.name });
+
+                // 回合結束後到下一回合開始前 (roundEnded) 按住不會開始倒數，startNewRound 會重置按住狀態
+                if (game.status === 'waiting' && game.preRoundEndsAt === null) {
+                    startPreRoundCountdown();
+                } else {
+                    logger.debug('COUNTDOWN', 'Not starting the countdown in this status', { status: game.status });
+                }
+            } else {
+                logger.debug('HOLD', 'Player is already holding', { playerId: player.id, playerName: player.name });
+            }
+        } else {
+            logger.warn('HOLD', 'Player not found in the room', { playerId: playerId });
+        }
+    }
+
+    function handlePlayerReleased(playerId) {
+        const player = findPlayer(playerId);
+
+        if (player && player.isHoldingButton) {
+            if (game.status === 'inRound' && !player.hasOptedOut && !player.isEliminated) {
+                player.releasedAt = now();
+                player.roundHoldDuration = Math.min(getHoldDurationSeconds(player, player.releasedAt), player.time);
+            }
+            player.isHoldingButton = false;
+            emitAction('release', player);
+
+            if (game.status === 'preCountdown' && game.preRoundEndsAt !== null) {
+                player.hasOptedOut = true;
+                broadcastPlayerStatusUpdate();
+                broadcastMessage('OPTED_OUT', {}, player.id);
+                logger.debug('RELEASE', 'Player opted out during the countdown', { playerId: player.id, playerName: player.name });
+                return;
+            }
+
+            broadcastPlayerStatusUpdate();
+
+            if (game.status === 'inRound') {
+                logger.debug('RELEASE', 'Player released during bidding', { playerId: player.id, playerName: player.name });
+                checkAllReleased();
+            } else {
+                logger.debug('RELEASE', 'Player released', { playerId: player.id, playerName: player.name, status: game.status });
+            }
+        } else {
+            logger.debug('RELEASE', 'Player was not holding or not found', { playerId: playerId });
+        }
+    }
+
+    // --- 到期事件 ---
+
+    // 找出最早到期 (且不晚於 limit) 的事件；limit 為 Infinity 時用來查詢下一個到期時間
+    function findNextDueEvent(limit) {
+        let next = null;
+        const consider = (at, run) => {
+            if (at !== null && at <= limit && (next === null || at < next.at)) {
+                next = { at, run };
+            }
+        };
+
+        if (game.status === 'waiting' && game.readyEndsAt !== null) {
+            consider(game.readyEndsAt, handleReadyTimeout);
+        }
+        if (game.status === 'preCountdown' && game.preRoundEndsAt !== null) {
+            consider(game.preRoundEndsAt, () => {
+                game.preRoundEndsAt = null;
+                game.preRoundCountdown = 0;
+                emit('preRoundCountdownUpdate', 0);
+                logger.debug('COUNTDOWN', 'Countdown finished');
+                handlePreRoundEnd();
+            });
+        }
+        if (game.status === 'inRound') {
+            game.players.filter(isBiddingInRound).forEach(p => {
+                const startedAt = Math.max(p.holdStartedAt || 0, game.roundStartedAt);
+                consider(startedAt + p.time * 1000, () => exhaustPlayer(p));
+            });
+        }
+        if (game.nextRoundAt !== null) {
+            consider(game.nextRoundAt, () => {
+                game.nextRoundAt = null;
+                startNewRound();
+            });
+        }
+        botActions.forEach(botAction => {
+            consider(botAction.at, () => {
+                botActions = botActions.filter(a => a !== botAction);
+                botAction.action();
+            });
+        });
+        return next;
+    }
+
+    // 依時間先後處理所有已到期的事件
+    function processDueEvents() {
+        const limit = clock.now();
+        let next = findNextDueEvent(limit);
+        while (next) {
+            eventTime = next.at;
+            try {
+                next.run();
+            } finally {
+                eventTime = null;
+            }
+            next = findNextDueEvent(limit);
+        }
+    }
+
+    // 倒數與競標計時的顯示：每秒廣播一次，前端可用附帶的伺服器時間自行內插
+    function updateTimers() {
+        const current = clock.now();
+        if (game.status === 'preCountdown' && game.preRoundEndsAt !== null) {
+            const remaining = Math.max(0, Math.ceil((game.preRoundEndsAt - current) / 1000));
+            if (remaining < game.preRoundCountdown) {
+                game.preRoundCountdown = remaining;
+                emit('preRoundCountdownUpdate', remaining);
+                logger.debug('COUNTDOWN', 'Countdown tick', { remaining: remaining });
+            }
+        } else if (game.status === 'inRound') {
+            game.players.filter(isBiddingInRound).forEach(p => {
+                p.roundHoldDuration = getHoldDurationSeconds(p, current);
+            });
+            const elapsedSeconds = Math.floor((current - game.roundStartedAt) / 1000);
+            if (elapsedSeconds !== game.roundElapsedTime) {
+                game.roundElapsedTime = elapsedSeconds;
+                emit('roundTimerUpdate', game.roundElapsedTime);
+            }
+        }
+    }
+
+    // --- 指令 ---
+
+    // 組隊模式下新玩家加入人數最少的隊伍；共用時間池的隊伍中途加入時沿用隊伍目前的時間
+    function assignTeam(player) {
+        if (!isTeamGame(game)) return;
+        player.teamId = pickTeamForNewPlayer(game);
+        const teammate = game.players.find(p => p.teamId === player.teamId);
+        if (teammate && game.rules.teamMode === 'sharedTime') {
+            player.time = teammate.time;
+        }
+    }
+
+    // accountId：已登入玩家的帳號，同一個帳號不能在房間內佔兩個座位
+    function join(playerId, playerName, accountId = null) {
+        if (game.status !== 'lobby' && game.status !== 'waiting' && game.status !== 'roundEnded' && game.status !== 'gameOver') {
+            return failure('GAME_NOT_JOINABLE');
+        }
+        if (game.players.length >= game.rules.maxPlayers) {
+            return failure('ROOM_FULL');
+        }
+        if (accountId && game.players.some(p => p.accountId === accountId)) {
+            return failure('ACCOUNT_ALREADY_IN_ROOM');
+        }
+        if (game.players.some(p => p.name === playerName)) {
+            return failure('NAME_TAKEN');
+        }
+
+        const newPlayer = createPlayer(playerId, playerName, game.initialTime, accountId);
+        assignTeam(newPlayer);
+        game.players.push(newPlayer);
+        emitAction('join', newPlayer);
+        logger.info('JOIN_ROOM', 'Player joined', { playerId: playerId, playerName: playerName, players: game.players.length });
+        broadcastPlayerStatusUpdate();
+        checkpoint();
+        return { success: true, player: newPlayer };
+    }
+
+    function addBot(strategy = 'random', locale = DEFAULT_LOCALE) {
+        if (!BOT_STRATEGIES.includes(strategy)) {
+            return failure('INVALID_BOT_STRATEGY', { options: BOT_STRATEGIES.join(' / ') });
+        }
+        if (game.status !== 'lobby' && game.status !== 'waiting' && game.status !== 'roundEnded' && game.status !== 'gameOver') {
+            return failure('GAME_NOT_JOINABLE');
+        }
+        if (game.players.length >= game.rules.maxPlayers) {
+            return failure('ROOM_FULL');
+        }
+
+        const bot = createBotPlayer(strategy, locale);
+        assignTeam(bot);
+        game.players.push(bot);
+        emitAction('join', bot);
+        logger.info('BOT', 'Bot added', { playerId: bot.id, playerName: bot.name, strategy: strategy });
+        broadcastPlayerStatusUpdate();
+        broadcastMessage('PLAYER_JOINED', { name: bot.name });
+        if (game.status === 'waiting') {
+            scheduleBotAction(bot, 500 + random() * 1000, () => handlePlayerHolding(bot.id));
+        }
+        checkpoint();
+        return { success: true, player: bot };
+    }
+
+    function updateSettings(settings) {
+        if (game.status !== 'lobby') {
+            return failure('SETTINGS_LOCKED');
+        }
+
+        const initialTime = settings.initialTime !== undefined ? settings.initialTime : game.initialTime;
+        const maxRounds = settings.maxRounds !== undefined ? settings.maxRounds : game.maxRounds;
+        const settingsError = validateInitialTime(initialTime) || validateMaxRounds(maxRounds);
+        if (settingsError) {
+            return { success: false, ...settingsError };
+        }
+        let rules = game.rules;
+        if (settings.rules !== undefined) {
+            const resolved = resolveRules(settings.rules);
+            if (resolved.error) {
+                return { success: false, ...resolved.error };
+            }
+            if (resolved.rules.maxPlayers < game.players.length) {
+                return failure('MAX_PLAYERS_BELOW_CURRENT');
+            }
+            rules = resolved.rules;
+        }
+
+        game.initialTime = initialTime;
+        game.maxRounds = maxRounds;
+        game.rules = rules;
+        game.players.forEach(p => {
+            p.time = initialTime;
+        });
+        rebalanceTeams(game);
+
+        logger.info('LOBBY', 'Settings updated', { initialTime: initialTime, maxRounds: maxRounds, preset: rules.preset });
+        broadcastPlayerStatusUpdate();
+        broadcastMessage('SETTINGS_UPDATED', { initialTime: initialTime, maxRounds: maxRounds });
+        checkpoint();
+        return { success: true, initialTime: initialTime, maxRounds: maxRounds, rules: rules };
+    }
+
+    function start() {
+        if (game.status !== 'lobby') {
+            return failure('GAME_ALREADY_STARTED');
+        }
+        if (isTeamGame(game) && getAliveTeamIds(game).length < 2) {
+            return failure('NOT_ENOUGH_TEAMS');
+        }
+        logger.info('LOBBY', 'Game started', { players: game.players.length });
+        emit('gameStarted', { gameNumber: game.gameNumber });
+        startNewRound();
+        return { success: true };
+    }
+
+    function hold(playerId) {
+        processDueEvents();
+        handlePlayerHolding(playerId);
+    }
+
+    function release(playerId) {
+        processDueEvents();
+        handlePlayerReleased(playerId);
+    }
+
+    // 玩家離開房間；回傳 { roomEmpty }，只剩電腦玩家也視為空房間，此時引擎會停止所有排程
+    function leave(playerId, logTag = 'LEAVE_ROOM') {
+        processDueEvents();
+        return removePlayer(playerId, logTag);
+    }
+
+    function removePlayer(playerId, logTag) {
+        const disconnectedPlayer = findPlayer(playerId);
+        game.players = game.players.filter(p => p.id !== playerId);
+        clearBotState(playerId);
+        if (disconnectedPlayer) {
+            emitAction('leave', disconnectedPlayer);
+        }
+
+        if (game.players.every(p => p.isBot)) {
+            logger.info(logTag, 'Room is empty and will be removed');
+            dispose();
+            return { roomEmpty: true };
+        }
+
+        logger.info(logTag, 'Player left the room', { playerId: playerId, playerName: disconnectedPlayer ? disconnectedPlayer.name : null, players: game.players.length });
+
+        if (game.hostId === playerId) {
+            migrateHost();
+        }
+
+        if (game.status === 'gameOver' && disconnectedPlayer) {
+            game.rematchVotes = game.rematchVotes.filter(name => name !== disconnectedPlayer.name);
+            emit('rematchVoteUpdate', buildRematchVoteStatus(game));
+            checkRematchVotes();
+        }
+
+        const alivePlayers = game.players.filter(p => !p.isEliminated);
+        const alivePlayersCount = alivePlayers.length;
+        // 組隊模式下以隊伍計算：未淘汰的隊伍不足兩隊就結束
+        const aliveSides = isTeamGame(game) ? getAliveTeamIds(game).length : alivePlayersCount;
+
+        if ((game.status === 'preCountdown' || game.status === 'inRound') && aliveSides < 2) { // 只有未淘汰玩家不足2個才結束遊戲
+            logger.info(logTag, 'Not enough players left in the round, ending the game', { alivePlayers: alivePlayersCount, aliveSides: aliveSides });
+            gameEnded(createMessage('GAME_OVER_NOT_ENOUGH_PLAYERS'));
+        } else if (game.status === 'preCountdown' && disconnectedPlayer && disconnectedPlayer.isHoldingButton && game.preRoundEndsAt !== null) {
+            game.preRoundEndsAt = null;
+            game.status = 'waiting';
+            broadcastMessage('COUNTDOWN_INTERRUPTED');
+            const allAliveHolding = alivePlayers.filter(p => !p.isAfk).every(p => p.isHoldingButton); // 只檢查未淘汰且未掛機的玩家
+            if (allAliveHolding) {
+                logger.debug(logTag, 'Remaining players are still holding, restarting the countdown');
+                startPreRoundCountdown();
+            } else {
+                logger.debug(logTag, 'Remaining players are not all holding, retrying the round');
+                retryRound();
+            }
+        } else if (game.status === 'inRound' && disconnectedPlayer && disconnectedPlayer.isHoldingButton) {
+            checkAllReleased();
+        } else if (game.status === 'waiting') {
+            // 離開的可能是唯一還沒按住的玩家
+            startPreRoundCountdown();
+        }
+        broadcastPlayerStatusUpdate();
+        checkpoint();
+        return { roomEmpty: false };
+    }
+
+    // 斷線時先保留座位：標記為斷線，若正在按住則視為放手
+    function markDisconnected(playerId) {
+        processDueEvents();
+        const player = findPlayer(playerId);
+        if (!player) return;
+
+        player.isDisconnected = true;
+        broadcastMessage('PLAYER_DISCONNECTED', { name: player.name });
+        if (player.isHoldingButton) {
+            handlePlayerReleased(playerId);
+        } else {
+            broadcastPlayerStatusUpdate();
+            if (game.status === 'waiting') {
+                // 斷線的玩家不必按住，其他人可能都已經在等了
+                startPreRoundCountdown();
+            }
+        }
+        checkpoint();
+    }
+
+    // 斷線的玩家以新的連線 id 取回座位
+    function reconnect(oldPlayerId, newPlayerId) {
+        const player = findPlayer(oldPlayerId);
+        if (!player) return null;
+
+        if (game.hostId === player.id) {
+            game.hostId = newPlayerId;
+        }
+        player.id = newPlayerId;
+        player.isDisconnected = false;
+
+        broadcastPlayerStatusUpdate();
+        broadcastMessage('PLAYER_RECONNECTED', { name: player.name });
+        checkpoint();
+        return player;
+    }
+
+    // 大廳或一局結束後才能換隊；回傳給 callback 的結果
+    function setTeam(playerId, teamId) {
+        const player = findPlayer(playerId);
+        if (!isTeamGame(game)) {
+            return failure('TEAM_MODE_OFF');
+        }
+        if (game.status !== 'lobby' && game.status !== 'gameOver') {
+            return failure('TEAMS_LOCKED');
+        }
+        if (!player) {
+            return failure('PLAYER_NOT_FOUND');
+        }
+        const teamIds = getTeamIds(game.rules);
+        if (!teamIds.includes(teamId)) {
+            return failure('INVALID_TEAM', { options: teamIds.join(' / ') });
+        }
+        if (player.teamId !== teamId && game.players.filter(p => p.teamId === teamId).length >= game.rules.teamSize) {
+            return failure('TEAM_FULL', { team: teamId });
+        }
+
+        player.teamId = teamId;
+        logger.info('LOBBY', 'Player changed team', { playerId: player.id, playerName: player.name, teamId: teamId });
+        broadcastPlayerStatusUpdate();
+        broadcastMessage('TEAM_CHANGED', { name: player.name, team: teamId });
+        checkpoint();
+        return { success: true, teamId: teamId };
+    }
+
+    // 回合準備階段花代幣使用道具；peek 的結果只回覆給使用者。回傳給 callback 的結果
+    function useItem(playerId, item, targetId) {
+        processDueEvents();
+        const player = findPlayer(playerId);
+        if (!player) {
+            return failure('PLAYER_NOT_FOUND');
+        }
+        const target = targetId ? findPlayer(targetId) : null;
+        const error = validateItemUse(game, player, item, target);
+        if (error) {
+            return { success: false, ...error };
+        }
+
+        const cost = ITEMS[item].cost;
+        const entry = { round: game.currentRound, name: player.name, item: item, tokens: -cost, time: 0 };
+        player.tokens = Math.round((player.tokens - cost) * 100) / 100;
+        game.itemHistory.push(entry);
+        logger.info('ITEM', 'Player used an item', { playerId: player.id, playerName: player.name, item: item, round: game.currentRound });
+
+        const result = { success: true, item: item, tokens: player.tokens };
+        switch (item) {
+            case 'peek':
+                result.target = { id: target.id, name: target.name, time: target.time };
+                break;
+            case 'refund': {
+                const seconds = getRefundSeconds(game, player);
+                entry.time = seconds;
+                player.time = roundToMs(player.time + seconds);
+                syncSharedTime(game, player);
+                result.seconds = seconds;
+                broadcastMessage('ITEM_REFUND_USED', { name: player.name, seconds: seconds, percent: REFUND_RATIO * 100 });
+                break;
+            }
+            case 'shield':
+                player.hasShield = true;
+                broadcastMessage('ITEM_SHIELD_USED', { name: player.name });
+                break;
+        }
+        broadcastPlayerStatusUpdate();
+        checkpoint();
+        return result;
+    }
+
+    // 房主排定或取消 (type 為 null) 特殊回合；回傳給 callback 的結果
+    function scheduleSpecialRound(round, type) {
+        processDueEvents();
+        const error = validateSpecialRound(game, round, type);
+        if (error) {
+            return { success: false, ...error };
+        }
+        const specialRounds = { ...game.specialRounds };
+        if (type === null) {
+            delete specialRounds[round];
+        } else {
+            specialRounds[round] = type;
+        }
+        game.specialRounds = specialRounds;
+        logger.info('LOBBY', 'Special round scheduled', { round: round, type: type });
+        broadcastPlayerStatusUpdate();
+        broadcastMessage(type === null ? 'SPECIAL_ROUND_CLEARED' : 'SPECIAL_ROUND_SCHEDULED', { round: round, type: type });
+        checkpoint();
+        return { success: true, specialRounds: game.specialRounds };
+    }
+
+    function transferHost(playerId) {
+        const target = findPlayer(playerId);
+        if (!target || target.isDisconnected) {
+            return failure('INVALID_HOST_TARGET');
+        }
+        setHost(target);
+        return { success: true, hostId: game.hostId };
+    }
+
+    function voteRematch(playerId) {
+        const player = findPlayer(playerId);
+        if (!player) {
+            return failure('NOT_IN_ROOM');
+        }
+        if (game.status !== 'gameOver') {
+            return failure('GAME_NOT_OVER');
+        }
+        if (!game.rematchVotes.includes(player.name)) {
+            game.rematchVotes.push(player.name);
+        }
+        logger.info('REMATCH', 'Player voted for a rematch', { playerName: player.name, votes: game.rematchVotes.length });
+        emit('rematchVoteUpdate', buildRematchVoteStatus(game));
+        checkRematchVotes();
+        return { success: true, started: game.status !== 'gameOver' };
+    }
+
+    // 不等其他人同意，直接開始下一局
+    function forceRematch() {
+        if (game.status !== 'gameOver') {
+            return failure('GAME_NOT_OVER');
+        }
+        startRematch();
+        return { success: true, started: true };
+    }
+
+    // 伺服器時鐘推進時呼叫：處理到期的倒數、回合、下一回合與電腦玩家的操作
+    function tick() {
+        processDueEvents();
+        updateTimers();
+    }
+
+    // 下一個排定事件的時間 (時鐘毫秒)，沒有任何排程則回傳 null；模擬時可直接把時鐘推進到這個時間
+    function nextDeadline() {
+        const next = findNextDueEvent(Infinity);
+        return next ? next.at : null;
+    }
+
+    // 從保存的快照還原後呼叫：重啟前尚未結束的回合無法接續，退回到該回合的準備階段重新開始；
+    // 真人玩家都視為斷線，等待重新連線
+    function recover() {
+        game.activePlayersInRound = [];
+        game.spectators = [];
+        clearDeadlines();
+
+        const interrupted = game.status === 'waiting' || game.status === 'preCountdown' || game.status === 'inRound';
+        if (interrupted) {
+            game.currentRound = Math.max(0, game.currentRound - 1);
+            game.currentRoundRecord = null;
+        }
+        game.players.forEach(p => {
+            p.isHoldingButton = false;
+            p.hasOptedOut = false;
+            delete p.holdStartedAt;
+            delete p.releasedAt;
+            if (interrupted) {
+                p.roundHoldDuration = 0;
+            }
+            if (!p.isBot) {
+                p.isDisconnected = true;
+            }
+        });
+
+        if (interrupted || game.status === 'roundEnded') {
+            startNewRound();
+        }
+        return { interrupted };
+    }
+
+    // 停止所有排程 (房間移除時)
+    function dispose() {
+        clearDeadlines();
+        botActions = [];
+        Object.keys(botPlans).forEach(botId => {
+            delete botPlans[botId];
+        });
+    }
+
+    return {
+        id: roomId,
+        state: game,
+        clock: clock,
+        on(eventName, listener) {
+            emitter.on(eventName, listener);
+            return this;
+        },
+        join,
+        addBot,
+        updateSettings,
+        start,
+        hold,
+        release,
+        leave,
+        markDisconnected,
+        reconnect,
+        setTeam,
+        useItem,
+        scheduleSpecialRound,
+        transferHost,
+        voteRematch,
+        forceRematch,
+        end: gameEnded,
+        tick,
+        nextDeadline,
+        recover,
+        dispose,
+    };
+}
+
+module.exports = {
+    createGameEngine,
+    createSystemClock,
+    createManualClock,
+    validateInitialTime,
+    validateMaxRounds,
+    buildStandings,
+    buildRematchVoteStatus,
+};
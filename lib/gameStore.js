@@ -0,0 +1,100 @@
+// time-auction-server/lib/gameStore.js
+// 可替換的房間狀態儲存。每個後端都提供 loadAll / save / remove 三個回傳 Promise 的方法：
+//   loadAll()                -> 所有已保存的房間快照
+//   save(roomId, snapshot)   -> 寫入 (覆蓋) 一個房間的快照
+//   remove(roomId)           -> 刪除一個房間的快照
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+// 預設後端：每個房間一個 JSON 檔，先寫入暫存檔再改名，避免寫到一半當機留下壞掉的檔案
+function createFileGameStore(directory, logger = createLogger()) {
+    // 同一個房間的寫入依序執行，避免較舊的快照晚一步覆蓋較新的
+    const pendingWrites = {};
+
+    function filePathFor(roomId) {
+        return path.join(directory, `${roomId}.json`);
+    }
+
+    function enqueue(roomId, task) {
+        const previous = pendingWrites[roomId] || Promise.resolve();
+        const next = previous.catch(() => {}).then(task);
+        pendingWrites[roomId] = next;
+        next.finally(() => {
+            if (pendingWrites[roomId] === next) {
+                delete pendingWrites[roomId];
+            }
+        }).catch(() => {});
+        return next;
+    }
+
+    return {
+        type: 'file',
+
+        async loadAll() {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const files = (await fs.promises.readdir(directory)).filter(f => f.endsWith('.json'));
+            const snapshots = [];
+            for (const file of files) {
+                try {
+                    snapshots.push(JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8')));
+                } catch (err) {
+                    logger.warn('GAME_STORE', 'Skipping an unreadable snapshot', { file: file, error: err });
+                }
+            }
+            return snapshots;
+        },
+
+        save(roomId, snapshot) {
+            const data = JSON.stringify(snapshot);
+            return enqueue(roomId, async () => {
+                await fs.promises.mkdir(directory, { recursive: true });
+                const tmpPath = `${filePathFor(roomId)}.tmp`;
+                await fs.promises.writeFile(tmpPath, data);
+                await fs.promises.rename(tmpPath, filePathFor(roomId));
+            });
+        },
+
+        remove(roomId) {
+            return enqueue(roomId, () => fs.promises.rm(filePathFor(roomId), { force: true }));
+        },
+    };
+}
+
+// 只存在記憶體中，伺服器重啟後就消失；適合測試或不需要保存的部署
+function createMemoryGameStore() {
+    const snapshots = {};
+    return {
+        type: 'memory',
+
+        async loadAll() {
+            return Object.values(snapshots).map(s => JSON.parse(s));
+        },
+
+        async save(roomId, snapshot) {
+            snapshots[roomId] = JSON.stringify(snapshot);
+        },
+
+        async remove(roomId) {
+            delete snapshots[roomId];
+        },
+    };
+}
+
+function createGameStore(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return createMemoryGameStore();
+        case 'file':
+            return createFileGameStore(options.directory, options.logger);
+        default:
+            throw new Error(`Unknown game store type: ${type}`);
+    }
+}
+
+module.exports = {
+    createGameStore,
+    createFileGameStore,
+    createMemoryGameStore,
+};
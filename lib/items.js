@@ -0,0 +1,111 @@
+// time-auction-server/lib/items.js
+// 道具與特殊回合。房間規則 items 開啟時，玩家可以在回合準備階段 (waiting) 花代幣使用道具：
+//   peek    偷看一位對手的剩餘時間 (只在隱藏資訊模式或 blind 回合有意義)，結果只回覆給使用者
+//   refund  退回上一回合花費時間的一半
+//   shield  下次被淘汰時改為留在遊戲中並取回 SHIELD_SECONDS 秒 (同時只能有一面)
+// 每種道具每回合最多使用一次。花費的代幣與增加的時間都記在 game.itemHistory，讓結算與回合紀錄對得起來。
+// 特殊回合由房主排定 (game.specialRounds：回合 -> 類型)：
+//   doubleTokens  本回合贏得的代幣加倍
+//   blind         本回合比照隱藏資訊模式，看不到對手的時間與按住狀態，也不公布贏家按住的秒數
+
+const { createMessage } = require('./messages');
+
+const ITEMS = {
+    peek: { cost: 1 },
+    refund: { cost: 1 },
+    shield: { cost: 2 },
+};
+const ITEM_NAMES = Object.keys(ITEMS);
+const REFUND_RATIO = 0.5;
+const SHIELD_SECONDS = 5;
+const SPECIAL_ROUND_TYPES = ['doubleTokens', 'blind'];
+
+// 目前或指定回合的特殊類型，一般回合回傳 null
+function getSpecialRound(game, round = game.currentRound) {
+    return (game.specialRounds && game.specialRounds[round]) || null;
+}
+
+function isBlindRound(game) {
+    return game.status !== 'gameOver' && getSpecialRound(game) === 'blind';
+}
+
+function getTokenMultiplier(game) {
+    return getSpecialRound(game) === 'doubleTokens' ? 2 : 1;
+}
+
+function hasUsedItemThisRound(game, player, item) {
+    return game.itemHistory.some(e => e.round === game.currentRound && e.name === player.name && e.item === item);
+}
+
+// 上一回合花費時間可退回的秒數
+function getRefundSeconds(game, player) {
+    const record = game.roundHistory[game.roundHistory.length - 1];
+    const entry = record ? record.timeSpent.find(e => e.name === player.name) : null;
+    return entry ? Math.round(entry.seconds * REFUND_RATIO * 1000) / 1000 : 0;
+}
+
+// 檢查玩家現在能不能使用道具；回傳錯誤訊息 { code, params }，可以使用則回傳 null
+function validateItemUse(game, player, item, target) {
+    if (!game.rules.items) {
+        return createMessage('ITEMS_DISABLED');
+    }
+    if (!Object.prototype.hasOwnProperty.call(ITEMS, item)) {
+        return createMessage('UNKNOWN_ITEM', { options: ITEM_NAMES.join(' / ') });
+    }
+    if (game.status !== 'waiting') {
+        return createMessage('ITEMS_ONLY_BETWEEN_ROUNDS');
+    }
+    if (player.isEliminated) {
+        return createMessage('ITEM_PLAYER_ELIMINATED');
+    }
+    if (hasUsedItemThisRound(game, player, item)) {
+        return createMessage('ITEM_ALREADY_USED');
+    }
+    if (player.tokens < ITEMS[item].cost) {
+        return createMessage('NOT_ENOUGH_TOKENS', { cost: ITEMS[item].cost });
+    }
+
+    switch (item) {
+        case 'peek':
+            if (game.rules.hiddenInfo === 'off' && !isBlindRound(game)) {
+                return createMessage('PEEK_NOT_NEEDED');
+            }
+            if (!target || target.id === player.id || (target.teamId && target.teamId === player.teamId)) {
+                return createMessage('INVALID_PEEK_TARGET');
+            }
+            return null;
+        case 'refund':
+            return getRefundSeconds(game, player) > 0 ? null : createMessage('NOTHING_TO_REFUND');
+        case 'shield':
+            return player.hasShield ? createMessage('SHIELD_ALREADY_ACTIVE') : null;
+        default:
+            return null;
+    }
+}
+
+// 回傳錯誤訊息或 null；round 必須是還沒開始的回合 (或正在準備中的這一回合)
+function validateSpecialRound(game, round, type) {
+    if (type !== null && !SPECIAL_ROUND_TYPES.includes(type)) {
+        return createMessage('INVALID_SPECIAL_ROUND', { options: SPECIAL_ROUND_TYPES.join(' / ') });
+    }
+    const firstOpenRound = game.status === 'lobby' || game.status === 'gameOver' ? 1
+        : game.currentRound + (game.status === 'waiting' ? 0 : 1);
+    if (!Number.isInteger(round) || round < firstOpenRound || round > game.maxRounds) {
+        return createMessage('INVALID_SPECIAL_ROUND_NUMBER', { min: firstOpenRound, max: game.maxRounds });
+    }
+    return null;
+}
+
+module.exports = {
+    ITEMS,
+    ITEM_NAMES,
+    REFUND_RATIO,
+    SHIELD_SECONDS,
+    SPECIAL_ROUND_TYPES,
+    getSpecialRound,
+    isBlindRound,
+    getTokenMultiplier,
+    getRefundSeconds,
+    validateItemUse,
+    validateSpecialRound,
+};
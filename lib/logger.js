@@ -0,0 +1,59 @@
+// time-auction-server/lib/logger.js
+// 結構化日誌：每筆紀錄輸出一行 JSON { time, level, tag, msg, ...context, ...fields }。
+// tag 為功能分類 (GAME_FLOW、ROUND、HOLD …)，context 為子 logger 固定帶上的欄位 (例如 roomId)，
+// 低於 level 的紀錄不輸出；level 為 'silent' 時完全不輸出 (模擬程式使用)
+
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity,
+};
+
+function writeLine(line) {
+    process.stdout.write(line + '\n');
+}
+
+// 錯誤物件只保留訊息，其他欄位原樣輸出
+function serializeFields(fields) {
+    const result = {};
+    Object.keys(fields).forEach(key => {
+        const value = fields[key];
+        result[key] = value instanceof Error ? value.message : value;
+    });
+    return result;
+}
+
+function createLogger({ level = 'info', context = {}, write = writeLine } = {}) {
+    const threshold = Object.prototype.hasOwnProperty.call(LOG_LEVELS, level) ? LOG_LEVELS[level] : LOG_LEVELS.info;
+
+    function log(entryLevel, tag, msg, fields = {}) {
+        if (LOG_LEVELS[entryLevel] < threshold) return;
+        write(JSON.stringify({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            tag: tag,
+            msg: msg,
+            ...context,
+            ...serializeFields(fields),
+        }));
+    }
+
+    return {
+        debug: (tag, msg, fields) => log('debug', tag, msg, fields),
+        info: (tag, msg, fields) => log('info', tag, msg, fields),
+        warn: (tag, msg, fields) => log('warn', tag, msg, fields),
+        error: (tag, msg, fields) => log('error', tag, msg, fields),
+
+        // 帶上固定欄位的子 logger，例如 logger.child({ roomId })
+        child(extraContext) {
+            return createLogger({ level, context: { ...context, ...extraContext }, write });
+        },
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    createLogger,
+};
@@ -0,0 +1,151 @@
+// time-auction-server/lib/matchmaking.js
+// 快速配對：依偏好的規則 (起始時間、回合數、人數、規則組合) 分成不同佇列，
+// 湊滿人數且彼此相容 (名稱不重複、積分在雙方可接受的範圍內) 就成為一組
+
+const { resolveRules } = require('./rules');
+const { createMessage } = require('./messages');
+const { validateInitialTime, validateMaxRounds } = require('./engine');
+
+const DEFAULT_PREFERENCES = {
+    initialTime: 60,
+    maxRounds: 5,
+    playerCount: 2,
+    preset: 'classic',
+    ratingRange: null, // 只和積分相差在此範圍內的玩家配對，null 表示不限
+};
+
+// 回傳 { error, preferences }：驗證失敗時 error 為錯誤訊息 { code, params }
+function resolveMatchPreferences(input) {
+    if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+        return { error: createMessage('INVALID_MATCH_PREFERENCES'), preferences: null };
+    }
+    const preferences = { ...DEFAULT_PREFERENCES };
+    Object.keys(DEFAULT_PREFERENCES).forEach(key => {
+        if (input && input[key] !== undefined) {
+            preferences[key] = input[key];
+        }
+    });
+
+    const settingsError = validateInitialTime(preferences.initialTime) || validateMaxRounds(preferences.maxRounds);
+    if (settingsError) {
+        return { error: settingsError, preferences: null };
+    }
+    if (!Number.isInteger(preferences.playerCount) || preferences.playerCount < 2 || preferences.playerCount > 8) {
+        return { error: createMessage('INVALID_MATCH_PLAYER_COUNT'), preferences: null };
+    }
+    // 配對房間以人數覆寫人數上限；同時檢查預設組合存在，組隊的組合也要能剛好分隊
+    const { error: rulesError } = resolveRules({ preset: preferences.preset, maxPlayers: preferences.playerCount });
+    if (rulesError) {
+        return { error: rulesError, preferences: null };
+    }
+    if (preferences.ratingRange !== null && (typeof preferences.ratingRange !== 'number' || !(preferences.ratingRange > 0))) {
+        return { error: createMessage('INVALID_RATING_RANGE'), preferences: null };
+    }
+    return { error: null, preferences };
+}
+
+// 同樣規則的玩家進入同一個佇列；積分範圍不影響佇列，而是在分組時檢查
+function buildQueueKey(preferences) {
+    return [preferences.initialTime, preferences.maxRounds, preferences.playerCount, preferences.preset].join('|');
+}
+
+function withinRange(entry, other) {
+    return entry.preferences.ratingRange === null || Math.abs(entry.rating - other.rating) <= entry.preferences.ratingRange;
+}
+
+// 同一個房間內名稱與帳號都不能重複
+function isCompatible(a, b) {
+    const sameAccount = a.accountId !== null && a.accountId === b.accountId;
+    return a.name !== b.name && !sameAccount && withinRange(a, b) && withinRange(b, a);
+}
+
+// entry: { id, name, accountId, rating, preferences, enqueuedAt }
+function createMatchmaker() {
+    // queueKey -> 依加入先後排列的 entries
+    const queues = {};
+
+    // 從最早排隊的玩家開始，依序挑出與組內所有人都相容的玩家；湊滿人數就從佇列移除並回傳該組
+    function takeGroup(key) {
+        const queue = queues[key];
+        const playerCount = queue[0].preferences.playerCount;
+        for (const first of queue) {
+            const group = [first];
+            for (const candidate of queue) {
+                if (group.length === playerCount) break;
+                if (candidate !== first && group.every(member => isCompatible(member, candidate))) {
+                    group.push(candidate);
+                }
+            }
+            if (group.length === playerCount) {
+                queues[key] = queue.filter(entry => !group.includes(entry));
+                return group;
+            }
+        }
+        return null;
+    }
+
+    function findKey(id) {
+        return Object.keys(queues).find(key => queues[key].some(entry => entry.id === id)) || null;
+    }
+
+    // 取消排隊；回傳原本所在的佇列，不在任何佇列則回傳 null
+    function cancel(id) {
+        const key = findKey(id);
+        if (key) {
+            queues[key] = queues[key].filter(entry => entry.id !== id);
+            if (queues[key].length === 0) {
+                delete queues[key];
+            }
+        }
+        return key;
+    }
+
+    return {
+        // 加入佇列 (已在其他佇列則先移出)；回傳 { key, previousKey, groups }，groups 為這次湊成的各組
+        enqueue(entry) {
+            const previousKey = cancel(entry.id);
+            const key = buildQueueKey(entry.preferences);
+            queues[key] = queues[key] || [];
+            queues[key].push(entry);
+
+            const groups = [];
+            let group = takeGroup(key);
+            while (group) {
+                groups.push(group);
+                group = queues[key].length > 0 ? takeGroup(key) : null;
+            }
+            if (queues[key].length === 0) {
+                delete queues[key];
+            }
+            return { key, previousKey, groups };
+        },
+
+        cancel,
+
+        getQueue(key) {
+            return queues[key] || [];
+        },
+
+        // 玩家目前的排隊狀態，不在佇列中則回傳 null
+        getStatus(id) {
+            const key = findKey(id);
+            if (!key) return null;
+            const queue = queues[key];
+            const entry = queue.find(e => e.id === id);
+            return {
+                position: queue.indexOf(entry) + 1,
+                queueSize: queue.length,
+                playersNeeded: entry.preferences.playerCount,
+                preferences: entry.preferences,
+                enqueuedAt: entry.enqueuedAt,
+            };
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_PREFERENCES,
+    resolveMatchPreferences,
+    buildQueueKey,
+    createMatchmaker,
+};
@@ -0,0 +1,456 @@
+// time-auction-server/lib/messages.js
+// 伺服器送出的系統訊息與錯誤都以 { code, params } 表示，由轉接層依每個連線選擇的語言轉成文字：
+//   createMessage(code, params)        -> { code, params }
+//   failure(code, params)              -> { success: false, code, params }，給 callback 的錯誤結果
+//   formatMessage(locale, message)     -> 該語言的文字；params 中的陣列 (例如玩家名稱) 以 formatList 串起
+//   formatList(locale, values)         -> 以該語言的連接詞串起多個名稱
+//   resolveLocale(requested)           -> 支援的語言代碼，不支援時使用預設語言
+// 前端可以直接顯示文字，或依 code 與 params 自行處理
+
+const DEFAULT_LOCALE = 'zh-TW';
+
+const CATALOGS = {
+    'zh-TW': {
+        // 遊戲流程
+        ROUND_READY: '第 {round} 回合：請所有玩家按住準備！',
+        WAITING_FOR_HOST: '等待房主開始遊戲…',
+        COUNTDOWN_STARTED: '所有玩家已按住！倒數：{seconds} 秒',
+        COUNTDOWN_INTERRUPTED: '有玩家斷開連接，倒數中斷。請所有玩家重新按住準備。',
+        COUNTDOWN_ENDED_NO_BIDDERS: '倒數結束，無人堅持競標。本回合無人獲勝。',
+        ROUND_STARTED: '競標開始！堅持住！',
+        PLAYER_ELIMINATED: '{name} 時間已用盡，已被淘汰！',
+        ROUND_NO_PARTICIPANTS: '本回合無人參與。',
+        ROUND_WON: '{name} 贏得了本回合！',
+        ROUND_TIE_NO_WINNER: '本回合 {names} 平手！依規則無人獲勝。',
+        ROUND_TIE_SPLIT: '本回合平手！{names} 平分代幣！',
+        ROUND_TIE_WINNERS: '本回合平手！贏家有 {names}！',
+        GAME_OVER_SOLE_SURVIVOR: '{name} 是唯一倖存者！遊戲結束。',
+        GAME_OVER_TEAM_SURVIVOR: '{team} 隊是唯一倖存的隊伍！遊戲結束。',
+        GAME_OVER_ALL_ELIMINATED: '所有玩家都被淘汰，遊戲結束。',
+        GAME_OVER_ROUNDS_COMPLETE: '所有回合已結束。',
+        GAME_OVER_NOT_ENOUGH_PLAYERS: '玩家不足，遊戲結束！',
+        GAME_OVER_ADMIN: '遊戲已由管理員結束。',
+        NOBODY: '無人',
+        REMATCH_STARTED: '再來一局！第 {gameNumber} 局開始。',
+        CANNOT_HOLD_ELIMINATED: '你已淘汰或時間用盡，無法按住！',
+        OPTED_OUT: '你已放棄本回合。',
+
+        // 房間與玩家
+        PLAYER_JOINED: '{name} 加入了房間。',
+        PLAYER_DISCONNECTED: '{name} 已斷線，等待重新連線中…',
+        PLAYER_RECONNECTED: '{name} 已重新連線。',
+        PLAYER_KICKED: '{name} 已被房主踢出房間。',
+        DEFAULT_SPECTATOR_NAME: '觀眾',
+        GUEST_NAME: '訪客-{tag}',
+        BOT_NAME: '電腦-{strategy}',
+        BOT_STRATEGY_RANDOM: '隨機',
+        BOT_STRATEGY_CONSERVATIVE: '保守',
+        BOT_STRATEGY_AGGRESSIVE: '積極',
+        BOT_STRATEGY_ADAPTIVE: '見機行事',
+        HOST_CHANGED: '{name} 成為新的房主。',
+        SETTINGS_UPDATED: '房主更新了設定：起始時間 {initialTime} 秒，共 {maxRounds} 回合。',
+        PLAYER_MUTED: '{name} 已被房主禁言。',
+        PLAYER_UNMUTED: '{name} 已被房主解除禁言。',
+        TEAM_CHANGED: '{name} 加入了 {team} 隊。',
+        READY_TIMEOUT: '準備時間到！{names} 沒有按住，跳過本回合。',
+        PLAYER_AFK: '{name} 似乎暫時離開了，之後的回合不再等待 (按住即可恢復)。',
+        PLAYER_AFK_SPECTATING: '{name} 連續多回合沒有按住，已移到觀眾席。',
+        PLAYER_BACK: '{name} 回來了！',
+        ROOM_CLOSING_IDLE: '房間閒置太久，將在 {seconds} 秒後關閉。',
+        ROOM_CLOSING_FINISHED: '遊戲已結束，房間將在 {seconds} 秒後關閉。',
+        ROOM_CLOSED_IDLE: '房間閒置太久，已關閉。',
+        ROOM_CLOSED_FINISHED: '遊戲已結束，房間已關閉。',
+
+        // 錯誤
+        ROOM_NOT_FOUND: '房間不存在！',
+        ROOM_FULL: '房間已滿！',
+        GAME_NOT_JOINABLE: '遊戲已開始或無法加入！',
+        GAME_ALREADY_STARTED: '遊戲已經開始了！',
+        GAME_NOT_OVER: '遊戲尚未結束！',
+        SETTINGS_LOCKED: '遊戲開始後無法修改設定！',
+        MAX_PLAYERS_BELOW_CURRENT: '人數上限不能低於目前房間人數！',
+        NAME_TAKEN: '此名稱已被使用！',
+        NAME_REQUIRED: '請輸入玩家名稱！',
+        ACCOUNT_ALREADY_IN_ROOM: '此帳號已在房間中！',
+        NOT_IN_ROOM: '你不在任何房間中！',
+        ALREADY_IN_ROOM: '你已經在房間中！',
+        ALREADY_PLAYING: '你已經是房間中的玩家，無法觀戰！',
+        HOST_ONLY: '只有房主可以執行此操作！',
+        MANAGED_ROOM_HOST_LOCKED: '快速配對與錦標賽的房間由系統管理，不能使用房主操作！',
+        KICK_ONLY_IN_LOBBY: '只能在大廳踢出玩家！',
+        INVALID_HOST_TARGET: '無法將房主轉移給該玩家！',
+        KICK_TARGET_NOT_FOUND: '找不到要踢出的玩家！',
+        SESSION_EXPIRED: '連線已失效，請重新加入房間。',
+        INVALID_BOT_STRATEGY: '電腦策略必須是 {options} 之一。',
+        INVALID_INITIAL_TIME: '無效的起始時間 (10-600 秒)。',
+        INVALID_MAX_ROUNDS: '無效的遊戲回合數 (1-50 回合)。',
+        INVALID_RULES: '無效的規則設定。',
+        UNKNOWN_PRESET: '未知的規則組合：{preset}',
+        UNKNOWN_RULE_FIELD: '未知的規則欄位：{field}',
+        INVALID_MAX_PLAYERS: '人數上限必須是 2-8 的整數。',
+        INVALID_COUNTDOWN_SECONDS: '倒數秒數必須是 1-30 的整數。',
+        INVALID_STATS_MODAL_INTERVAL: '統計顯示間隔必須是 0-50 的整數。',
+        INVALID_TIE_POLICY: '平手規則必須是 {options} 之一。',
+        INVALID_TIE_TOLERANCE: '平手容許值必須是 0-1000 毫秒。',
+        INVALID_BOOLEAN_RULE: '{field} 必須是布林值。',
+        INVALID_RANKING: '排名依據必須是 {options} 組成且不重複的陣列。',
+        INVALID_MIN_BID: '最低出價時間必須是 0-60 秒。',
+        INVALID_HIDDEN_INFO: '隱藏資訊模式必須是 {options} 之一。',
+        INVALID_TIME_BUCKET: '時間區間必須是 5-300 的整數秒。',
+        INVALID_TEAM_MODE: '組隊模式必須是 {options} 之一。',
+        INVALID_TEAM_SIZE: '每隊人數必須是 2-4 的整數。',
+        INVALID_READY_TIMEOUT: '準備期限必須是 0 (不限) 或 10-600 的整數秒。',
+        INVALID_AFK_ROUND_LIMIT: '掛機判定回合數必須是 0-20 的整數。',
+        INVALID_AFK_ACTION: '掛機處理方式必須是 {options} 之一。',
+        TEAMS_DO_NOT_FIT: '人數上限 {maxPlayers} 無法分成每隊 {teamSize} 人的兩隊以上。',
+        TEAM_MODE_OFF: '這個房間沒有使用組隊模式！',
+        TEAMS_LOCKED: '遊戲進行中無法換隊！',
+        INVALID_TEAM: '隊伍必須是 {options} 之一。',
+        TEAM_FULL: '{team} 隊已滿！',
+        NOT_ENOUGH_TEAMS: '至少要有兩隊有玩家才能開始遊戲！',
+        TOURNAMENT_TEAM_PRESET: '錦標賽不支援組隊的規則組合。',
+        INVALID_MATCH_PREFERENCES: '無效的配對設定。',
+        INVALID_MATCH_PLAYER_COUNT: '配對人數必須是 2-8 的整數。',
+        INVALID_RATING_RANGE: '積分範圍必須是正數。',
+        NOT_IN_MATCH_QUEUE: '你不在配對佇列中！',
+        INVALID_ACCOUNT_NAME: '帳號名稱必須是 1-20 個字。',
+        INVALID_SECRET: '密語必須是 4-64 個字元。',
+        INVALID_CREDENTIALS: '帳號名稱或密語錯誤！',
+        PLAYER_NOT_FOUND: '玩家不存在！',
+        CHAT_EMPTY: '訊息不能是空白的！',
+        CHAT_TOO_LONG: '訊息不能超過 {max} 個字！',
+        CHAT_MUTED: '你已被房主禁言！',
+        CHAT_RATE_LIMITED: '發言太頻繁了，請稍後再試！',
+        INVALID_REACTION: '表情必須是 {options} 之一。',
+        MUTE_TARGET_NOT_FOUND: '找不到要禁言的玩家！',
+        INVALID_TOURNAMENT_OPTIONS: '無效的錦標賽設定。',
+        INVALID_TOURNAMENT_NAME: '錦標賽名稱必須是 1-40 個字。',
+        INVALID_TOURNAMENT_FORMAT: '賽制必須是 {options} 之一。',
+        INVALID_TOURNAMENT_SIZE: '錦標賽人數上限必須是 2-64 的整數。',
+        INVALID_ADVANCE_COUNT: '每個對局晉級人數必須是 1-{max} 的整數。',
+        INVALID_SWISS_ROUNDS: '瑞士制輪數必須是 1-10 的整數。',
+        TOURNAMENT_NOT_FOUND: '錦標賽不存在！',
+        TOURNAMENT_FULL: '錦標賽報名人數已滿！',
+        TOURNAMENT_ALREADY_STARTED: '錦標賽已經開始了！',
+        TOURNAMENT_NOT_ENOUGH_PLAYERS: '至少需要 2 位玩家報名才能開始錦標賽！',
+        TOURNAMENT_ORGANIZER_ONLY: '只有主辦人可以執行此操作！',
+        ALREADY_REGISTERED: '你已經報名了這個錦標賽！',
+        NOT_REGISTERED: '你沒有報名這個錦標賽！',
+
+        // 輸入檢查與濫用防護
+        INVALID_INPUT: '{event} 的參數 {field} 格式錯誤！',
+        UNKNOWN_EVENT: '不支援的操作：{event}',
+        INVALID_NAME: '名稱需為 1 到 {max} 個字，且不能包含 < >！',
+        RATE_LIMITED: '操作太頻繁了，請稍後再試！',
+        TOO_MANY_ROOMS: '每個連線最多只能建立 {max} 個房間，請重新連線後再試！',
+        TOO_MANY_TOURNAMENTS: '每個連線同時最多只能主辦 {max} 場錦標賽！',
+        UNSUPPORTED_PROTOCOL: '不支援協定版本 {version}，伺服器支援的版本：{supported}',
+
+        // 房間存取
+        INVALID_ROOM_VISIBILITY: '房間類型只能是 {options}！',
+        INVALID_ROOM_PASSWORD: '房間密碼需為 {min} 到 {max} 個字！',
+        ROOM_PASSWORD_REQUIRED: '這個房間需要密碼！',
+        WRONG_ROOM_PASSWORD: '房間密碼錯誤！',
+        ROOM_INVITE_REQUIRED: '這是私人房間，需要邀請才能加入！',
+        INVALID_INVITE: '邀請已失效或不存在！',
+        ROOM_ACCESS_DENIED: '你已被房主禁止進入這個房間！',
+        ROOM_NOT_ALLOWED: '你不在這個房間的允許名單中！',
+        INVALID_ACCESS_LIST: '每份名單最多 {max} 筆！',
+        INVALID_INVITE_OPTIONS: '邀請的有效時間需為 1 分鐘到 {maxHours} 小時，使用次數需為正整數！',
+        TOO_MANY_INVITES: '每個房間最多同時有 {max} 個有效邀請！',
+        INVITE_NOT_FOUND: '找不到這個邀請！',
+
+        // 回放
+        REPLAY_NOT_FOUND: '找不到這個房間的回放！',
+        REPLAY_NOT_READY: '對局進行中，結束後才能觀看回放！',
+        INVALID_REPLAY_SPEED: '播放速度必須是 {min}-{max} 倍。',
+        INVALID_REPLAY_GAME: '局數必須是整數。',
+        NO_REPLAY_PLAYING: '目前沒有播放中的回放！',
+
+        // 道具與特殊回合
+        ITEM_REFUND_USED: '{name} 使用了退款，取回 {seconds} 秒 (上一回合花費的 {percent}%)。',
+        ITEM_SHIELD_USED: '{name} 買了一面護盾！',
+        SHIELD_BROKEN: '{name} 的護盾擋下了淘汰，取回 {seconds} 秒！',
+        SPECIAL_ROUND_SCHEDULED: '房主把第 {round} 回合設為特殊回合：{type}。',
+        SPECIAL_ROUND_CLEARED: '房主取消了第 {round} 回合的特殊設定。',
+        SPECIAL_ROUND_DOUBLE_TOKENS: '第 {round} 回合是雙倍代幣回合！',
+        SPECIAL_ROUND_BLIND: '第 {round} 回合是盲標回合，看不到其他人的時間！',
+        ITEMS_DISABLED: '這個房間沒有開啟道具！',
+        UNKNOWN_ITEM: '道具必須是 {options} 之一。',
+        ITEMS_ONLY_BETWEEN_ROUNDS: '只能在回合準備階段使用道具！',
+        ITEM_PLAYER_ELIMINATED: '已淘汰的玩家無法使用道具！',
+        ITEM_ALREADY_USED: '這個道具本回合已經用過了！',
+        NOT_ENOUGH_TOKENS: '代幣不足，需要 {cost} 枚！',
+        PEEK_NOT_NEEDED: '所有人的時間都是公開的，不需要偷看！',
+        INVALID_PEEK_TARGET: '只能偷看其他隊伍的玩家！',
+        NOTHING_TO_REFUND: '上一回合沒有花費時間，沒有可以退回的時間！',
+        SHIELD_ALREADY_ACTIVE: '你已經有一面護盾了！',
+        INVALID_SPECIAL_ROUND: '特殊回合必須是 {options} 之一。',
+        INVALID_SPECIAL_ROUND_NUMBER: '只能排定第 {min}-{max} 回合！',
+
+        // 管理 API
+        ADMIN_DISABLED: '伺服器沒有啟用管理功能。',
+        ADMIN_UNAUTHORIZED: '管理 token 錯誤或未提供。',
+        GAME_NOT_IN_PROGRESS: '這個房間沒有進行中的遊戲！',
+        INVALID_NOTICE: '公告內容需為 1 到 {max} 個字。',
+    },
+    en: {
+        ROUND_READY: 'Round {round}: everyone hold the button when ready!',
+        WAITING_FOR_HOST: 'Waiting for the host to start the game…',
+        COUNTDOWN_STARTED: 'Everyone is holding! Countdown: {seconds}s',
+        COUNTDOWN_INTERRUPTED: 'A player disconnected and the countdown was interrupted. Everyone hold again when ready.',
+        COUNTDOWN_ENDED_NO_BIDDERS: 'Countdown over and nobody kept bidding. No one wins this round.',
+        ROUND_STARTED: 'Bidding has started! Hold on!',
+        PLAYER_ELIMINATED: '{name} ran out of time and has been eliminated!',
+        ROUND_NO_PARTICIPANTS: 'Nobody took part in this round.',
+        ROUND_WON: '{name} won this round!',
+        ROUND_TIE_NO_WINNER: '{names} tied this round! By the rules, nobody wins.',
+        ROUND_TIE_SPLIT: 'This round is a tie! {names} split the token!',
+        ROUND_TIE_WINNERS: 'This round is a tie! The winners are {names}!',
+        GAME_OVER_SOLE_SURVIVOR: '{name} is the last one standing! Game over.',
+        GAME_OVER_TEAM_SURVIVOR: 'Team {team} is the last team standing! Game over.',
+        GAME_OVER_ALL_ELIMINATED: 'Every player has been eliminated. Game over.',
+        GAME_OVER_ROUNDS_COMPLETE: 'All rounds have been played.',
+        GAME_OVER_NOT_ENOUGH_PLAYERS: 'Not enough players left. Game over!',
+        GAME_OVER_ADMIN: 'The game was ended by an administrator.',
+        NOBODY: 'Nobody',
+        REMATCH_STARTED: 'Rematch! Game {gameNumber} is starting.',
+        CANNOT_HOLD_ELIMINATED: 'You are eliminated or out of time and cannot hold!',
+        OPTED_OUT: 'You sat out this round.',
+
+        PLAYER_JOINED: '{name} joined the room.',
+        PLAYER_DISCONNECTED: '{name} disconnected. Waiting for them to reconnect…',
+        PLAYER_RECONNECTED: '{name} reconnected.',
+        PLAYER_KICKED: '{name} was kicked by the host.',
+        DEFAULT_SPECTATOR_NAME: 'Spectator',
+        GUEST_NAME: 'Guest-{tag}',
+        BOT_NAME: 'Bot-{strategy}',
+        BOT_STRATEGY_RANDOM: 'Random',
+        BOT_STRATEGY_CONSERVATIVE: 'Cautious',
+        BOT_STRATEGY_AGGRESSIVE: 'Aggressive',
+        BOT_STRATEGY_ADAPTIVE: 'Adaptive',
+        HOST_CHANGED: '{name} is the new host.',
+        SETTINGS_UPDATED: 'The host updated the settings: {initialTime}s starting time, {maxRounds} rounds.',
+        PLAYER_MUTED: '{name} was muted by the host.',
+        PLAYER_UNMUTED: '{name} was unmuted by the host.',
+        TEAM_CHANGED: '{name} joined team {team}.',
+        READY_TIMEOUT: 'Time is up! {names} did not hold and will sit out this round.',
+        PLAYER_AFK: '{name} seems to be away; rounds will no longer wait for them (hold to come back).',
+        PLAYER_AFK_SPECTATING: '{name} missed too many rounds and was moved to the spectators.',
+        PLAYER_BACK: '{name} is back!',
+        ROOM_CLOSING_IDLE: 'This room has been idle too long and will close in {seconds} seconds.',
+        ROOM_CLOSING_FINISHED: 'The game is over; this room will close in {seconds} seconds.',
+        ROOM_CLOSED_IDLE: 'This room was closed after being idle too long.',
+        ROOM_CLOSED_FINISHED: 'The game is over and this room was closed.',
+
+        ROOM_NOT_FOUND: 'Room not found!',
+        ROOM_FULL: 'The room is full!',
+        GAME_NOT_JOINABLE: 'The game has already started or cannot be joined!',
+        GAME_ALREADY_STARTED: 'The game has already started!',
+        GAME_NOT_OVER: 'The game is not over yet!',
+        SETTINGS_LOCKED: 'Settings cannot be changed after the game has started!',
+        MAX_PLAYERS_BELOW_CURRENT: 'The player limit cannot be lower than the number of players in the room!',
+        NAME_TAKEN: 'That name is already taken!',
+        NAME_REQUIRED: 'Please enter a player name!',
+        ACCOUNT_ALREADY_IN_ROOM: 'This account is already in the room!',
+        NOT_IN_ROOM: 'You are not in a room!',
+        ALREADY_IN_ROOM: 'You are already in a room!',
+        ALREADY_PLAYING: 'You are playing in a room and cannot spectate!',
+        HOST_ONLY: 'Only the host can do that!',
+        MANAGED_ROOM_HOST_LOCKED: 'Matchmaking and tournament rooms are managed by the server; host actions are unavailable!',
+        KICK_ONLY_IN_LOBBY: 'Players can only be kicked in the lobby!',
+        INVALID_HOST_TARGET: 'The host role cannot be given to that player!',
+        KICK_TARGET_NOT_FOUND: 'Could not find the player to kick!',
+        SESSION_EXPIRED: 'Your session has expired. Please join the room again.',
+        INVALID_BOT_STRATEGY: 'Bot strategy must be one of {options}.',
+        INVALID_INITIAL_TIME: 'Invalid starting time (10-600 seconds).',
+        INVALID_MAX_ROUNDS: 'Invalid number of rounds (1-50).',
+        INVALID_RULES: 'Invalid rule settings.',
+        UNKNOWN_PRESET: 'Unknown rule preset: {preset}',
+        UNKNOWN_RULE_FIELD: 'Unknown rule field: {field}',
+        INVALID_MAX_PLAYERS: 'The player limit must be an integer from 2 to 8.',
+        INVALID_COUNTDOWN_SECONDS: 'The countdown must be an integer from 1 to 30 seconds.',
+        INVALID_STATS_MODAL_INTERVAL: 'The stats interval must be an integer from 0 to 50.',
+        INVALID_TIE_POLICY: 'The tie policy must be one of {options}.',
+        INVALID_TIE_TOLERANCE: 'The tie tolerance must be 0-1000 ms.',
+        INVALID_BOOLEAN_RULE: '{field} must be a boolean.',
+        INVALID_RANKING: 'The ranking must be an array of distinct values from {options}.',
+        INVALID_MIN_BID: 'The minimum bid must be 0-60 seconds.',
+        INVALID_HIDDEN_INFO: 'The hidden information mode must be one of {options}.',
+        INVALID_TIME_BUCKET: 'The time bucket must be an integer from 5 to 300 seconds.',
+        INVALID_TEAM_MODE: 'Team mode must be one of {options}.',
+        INVALID_TEAM_SIZE: 'Team size must be an integer from 2 to 4.',
+        INVALID_READY_TIMEOUT: 'Ready timeout must be 0 (no limit) or a whole number of seconds from 10 to 600.',
+        INVALID_AFK_ROUND_LIMIT: 'AFK round limit must be an integer from 0 to 20.',
+        INVALID_AFK_ACTION: 'AFK action must be one of {options}.',
+        TEAMS_DO_NOT_FIT: 'A limit of {maxPlayers} players cannot be split into two or more teams of {teamSize}.',
+        TEAM_MODE_OFF: 'This room is not using team mode!',
+        TEAMS_LOCKED: 'You cannot change teams while a game is in progress!',
+        INVALID_TEAM: 'Team must be one of {options}.',
+        TEAM_FULL: 'Team {team} is full!',
+        NOT_ENOUGH_TEAMS: 'At least two teams need players before the game can start!',
+        TOURNAMENT_TEAM_PRESET: 'Tournaments do not support team presets.',
+        INVALID_MATCH_PREFERENCES: 'Invalid matchmaking preferences.',
+        INVALID_MATCH_PLAYER_COUNT: 'The match size must be an integer from 2 to 8.',
+        INVALID_RATING_RANGE: 'The rating range must be a positive number.',
+        NOT_IN_MATCH_QUEUE: 'You are not in the matchmaking queue!',
+        INVALID_ACCOUNT_NAME: 'Account names must be 1-20 characters.',
+        INVALID_SECRET: 'Secrets must be 4-64 characters.',
+        INVALID_CREDENTIALS: 'Wrong account name or secret!',
+        PLAYER_NOT_FOUND: 'Player not found!',
+        CHAT_EMPTY: 'Messages cannot be empty!',
+        CHAT_TOO_LONG: 'Messages cannot be longer than {max} characters!',
+        CHAT_MUTED: 'You have been muted by the host!',
+        CHAT_RATE_LIMITED: 'You are sending messages too quickly. Please wait a moment!',
+        INVALID_REACTION: 'Reactions must be one of {options}.',
+        MUTE_TARGET_NOT_FOUND: 'Could not find the player to mute!',
+        INVALID_TOURNAMENT_OPTIONS: 'Invalid tournament settings.',
+        INVALID_TOURNAMENT_NAME: 'Tournament names must be 1-40 characters.',
+        INVALID_TOURNAMENT_FORMAT: 'The format must be one of {options}.',
+        INVALID_TOURNAMENT_SIZE: 'The tournament size must be an integer from 2 to 64.',
+        INVALID_ADVANCE_COUNT: 'The number of players advancing from each match must be an integer from 1 to {max}.',
+        INVALID_SWISS_ROUNDS: 'The number of Swiss rounds must be an integer from 1 to 10.',
+        TOURNAMENT_NOT_FOUND: 'Tournament not found!',
+        TOURNAMENT_FULL: 'The tournament is full!',
+        TOURNAMENT_ALREADY_STARTED: 'The tournament has already started!',
+        TOURNAMENT_NOT_ENOUGH_PLAYERS: 'At least 2 players must register before the tournament can start!',
+        TOURNAMENT_ORGANIZER_ONLY: 'Only the organizer can do that!',
+        ALREADY_REGISTERED: 'You are already registered for this tournament!',
+        NOT_REGISTERED: 'You are not registered for this tournament!',
+
+        INVALID_INPUT: 'Invalid value for {field} in {event}!',
+        UNKNOWN_EVENT: 'Unsupported action: {event}',
+        INVALID_NAME: 'Names must be 1 to {max} characters and cannot contain < or >!',
+        RATE_LIMITED: 'You are doing that too often. Please wait a moment!',
+        TOO_MANY_ROOMS: 'Each connection can create at most {max} rooms. Please reconnect and try again!',
+        TOO_MANY_TOURNAMENTS: 'Each connection can organize at most {max} tournaments at a time!',
+        UNSUPPORTED_PROTOCOL: 'Protocol version {version} is not supported. Supported versions: {supported}',
+
+        INVALID_ROOM_VISIBILITY: 'Room visibility must be {options}!',
+        INVALID_ROOM_PASSWORD: 'Room passwords must be {min} to {max} characters!',
+        ROOM_PASSWORD_REQUIRED: 'This room requires a password!',
+        WRONG_ROOM_PASSWORD: 'Wrong room password!',
+        ROOM_INVITE_REQUIRED: 'This room is private. You need an invite to join!',
+        INVALID_INVITE: 'This invite has expired or does not exist!',
+        ROOM_ACCESS_DENIED: 'The host has blocked you from this room!',
+        ROOM_NOT_ALLOWED: 'You are not on this room\'s allow list!',
+        INVALID_ACCESS_LIST: 'Each list can have at most {max} entries!',
+        INVALID_INVITE_OPTIONS: 'Invites must last between 1 minute and {maxHours} hours, and uses must be a positive integer!',
+        TOO_MANY_INVITES: 'A room can have at most {max} active invites!',
+        INVITE_NOT_FOUND: 'Invite not found!',
+
+        REPLAY_NOT_FOUND: 'No replay found for this room!',
+        REPLAY_NOT_READY: 'A game is in progress; the replay is available once it ends!',
+        INVALID_REPLAY_SPEED: 'Playback speed must be from {min}x to {max}x.',
+        INVALID_REPLAY_GAME: 'Game number must be an integer.',
+        NO_REPLAY_PLAYING: 'No replay is playing!',
+
+        ITEM_REFUND_USED: '{name} used a refund and got back {seconds}s ({percent}% of last round).',
+        ITEM_SHIELD_USED: '{name} bought a shield!',
+        SHIELD_BROKEN: '{name}\'s shield prevented an elimination and restored {seconds}s!',
+        SPECIAL_ROUND_SCHEDULED: 'The host made round {round} a special round: {type}.',
+        SPECIAL_ROUND_CLEARED: 'The host cleared the special round {round}.',
+        SPECIAL_ROUND_DOUBLE_TOKENS: 'Round {round} is a double-token round!',
+        SPECIAL_ROUND_BLIND: 'Round {round} is a blind round: you can\'t see anyone else\'s time!',
+        ITEMS_DISABLED: 'Items are not enabled in this room!',
+        UNKNOWN_ITEM: 'Item must be one of {options}.',
+        ITEMS_ONLY_BETWEEN_ROUNDS: 'Items can only be used while the round is getting ready!',
+        ITEM_PLAYER_ELIMINATED: 'Eliminated players cannot use items!',
+        ITEM_ALREADY_USED: 'You already used this item this round!',
+        NOT_ENOUGH_TOKENS: 'Not enough tokens, this costs {cost}!',
+        PEEK_NOT_NEEDED: 'Everyone\'s time is public, there is nothing to peek at!',
+        INVALID_PEEK_TARGET: 'You can only peek at players on other teams!',
+        NOTHING_TO_REFUND: 'You spent no time last round, there is nothing to refund!',
+        SHIELD_ALREADY_ACTIVE: 'You already have a shield!',
+        INVALID_SPECIAL_ROUND: 'Special round must be one of {options}.',
+        INVALID_SPECIAL_ROUND_NUMBER: 'Only rounds {min}-{max} can be scheduled!',
+
+        ADMIN_DISABLED: 'Admin routes are not enabled on this server.',
+        ADMIN_UNAUTHORIZED: 'Missing or invalid admin token.',
+        GAME_NOT_IN_PROGRESS: 'There is no game in progress in this room!',
+        INVALID_NOTICE: 'Notices must be 1 to {max} characters.',
+    },
+};
+
+// 陣列參數 (例如平手的玩家名稱) 的連接詞
+const LIST_SEPARATORS = {
+    'zh-TW': ' 和 ',
+    en: ' and ',
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+function createMessage(code, params = {}) {
+    return { code, params };
+}
+
+function failure(code, params = {}) {
+    return { success: false, code, params };
+}
+
+// 完全相符優先，其次比對語言部分 (en-US -> en、zh-Hant -> zh-TW)；不支援時回傳預設語言
+function resolveLocale(requested) {
+    if (typeof requested !== 'string' || !requested) {
+        return DEFAULT_LOCALE;
+    }
+    const exact = SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === requested.toLowerCase());
+    if (exact) {
+        return exact;
+    }
+    const language = requested.split('-')[0].toLowerCase();
+    return SUPPORTED_LOCALES.find(locale => locale.split('-')[0].toLowerCase() === language) || DEFAULT_LOCALE;
+}
+
+function formatList(locale, values) {
+    return values.join(LIST_SEPARATORS[resolveLocale(locale)]);
+}
+
+// 舊版保存的房間狀態裡訊息仍是文字，原樣回傳；未知的代碼回傳代碼本身
+function formatMessage(locale, message) {
+    if (typeof message === 'string') {
+        return message;
+    }
+    const catalog = CATALOGS[resolveLocale(locale)];
+    const template = catalog[message.code] || CATALOGS[DEFAULT_LOCALE][message.code] || message.code;
+    const params = message.params || {};
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+        const value = params[key];
+        if (value === undefined) return placeholder;
+        return Array.isArray(value) ? formatList(locale, value) : String(value);
+    });
+}
+
+// 最終贏家：平手或組隊時 names 為名稱陣列，無人獲勝時 code 為 'noWinner'
+// 舊版保存的房間狀態裡 names 仍是文字、無人時 name 為文字，原樣回傳
+function formatFinalWinner(locale, finalWinner) {
+    if (!finalWinner) {
+        return finalWinner;
+    }
+    if (Array.isArray(finalWinner.names)) {
+        return { ...finalWinner, names: formatList(locale, finalWinner.names) };
+    }
+    if (finalWinner.code === 'noWinner') {
+        return { ...finalWinner, name: formatMessage(locale, createMessage('NOBODY')) };
+    }
+    return finalWinner;
+}
+
+// 在帶有 code 的結果 (callback 回覆等) 補上該語言的 message 文字
+function localizeResult(locale, result) {
+    if (!result || typeof result !== 'object' || !result.code) {
+        return result;
+    }
+    return { ...result, message: formatMessage(locale, result) };
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    createMessage,
+    failure,
+    resolveLocale,
+    formatMessage,
+    formatFinalWinner,
+    formatList,
+    localizeResult,
+};
@@ -0,0 +1,82 @@
+// time-auction-server/lib/metrics.js
+// Prometheus 文字格式的指標：counter 累加、gauge 在輸出時才讀取目前的值、histogram 依上限分桶計數。
+// 只實作這個伺服器用到的部分，不需要額外的套件
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const keys = Object.keys(labels);
+    if (keys.length === 0) return '';
+    return `{${keys.map(key => `${key}="${escapeLabelValue(labels[key])}"`).join(',')}}`;
+}
+
+function formatHeader(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    return {
+        // inc(labels?, amount?)；相同標籤組合的數值累加在一起。沒有標籤的 counter 一開始就輸出 0
+        counter(name, help, { labelled = false } = {}) {
+            const values = labelled ? {} : { '': 0 };
+            const labelSets = labelled ? {} : { '': {} };
+            metrics.push(() => formatHeader(name, help, 'counter').concat(
+                Object.keys(values).map(key => `${name}${formatLabels(labelSets[key])} ${values[key]}`)
+            ));
+            return {
+                inc(labels = {}, amount = 1) {
+                    const key = formatLabels(labels);
+                    labelSets[key] = labels;
+                    values[key] = (values[key] || 0) + amount;
+                },
+            };
+        },
+
+        // collect() 回傳數值，或有標籤時回傳 [{ labels, value }]
+        gauge(name, help, collect) {
+            metrics.push(() => {
+                const collected = collect();
+                const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+                return formatHeader(name, help, 'gauge').concat(
+                    samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+                );
+            });
+        },
+
+        // buckets 為由小到大的上限；observe(value)
+        histogram(name, help, buckets) {
+            const counts = buckets.map(() => 0);
+            let sum = 0;
+            let count = 0;
+            metrics.push(() => formatHeader(name, help, 'histogram').concat(
+                buckets.map((bound, i) => `${name}_bucket${formatLabels({ le: bound })} ${counts[i]}`),
+                [
+                    `${name}_bucket${formatLabels({ le: '+Inf' })} ${count}`,
+                    `${name}_sum ${sum}`,
+                    `${name}_count ${count}`,
+                ]
+            ));
+            return {
+                observe(value) {
+                    buckets.forEach((bound, i) => {
+                        if (value <= bound) {
+                            counts[i] += 1;
+                        }
+                    });
+                    sum += value;
+                    count += 1;
+                },
+            };
+        },
+
+        render() {
+            return metrics.map(render => render().join('\n')).join('\n') + '\n';
+        },
+    };
+}
+
+module.exports = { createMetricsRegistry };
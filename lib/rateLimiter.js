@@ -0,0 +1,35 @@
+// time-auction-server/lib/rateLimiter.js
+// 滑動視窗的次數限制：每個 key (socket id、IP …) 在 windowMs 內最多 limit 次
+
+function createRateLimiter({ limit, windowMs, now = Date.now }) {
+    const hits = {};
+    return {
+        allow(key) {
+            const current = now();
+            const recent = (hits[key] || []).filter(t => current - t < windowMs);
+            if (recent.length >= limit) {
+                hits[key] = recent;
+                return false;
+            }
+            recent.push(current);
+            hits[key] = recent;
+            return true;
+        },
+
+        forget(key) {
+            delete hits[key];
+        },
+
+        // 移除視窗內已沒有紀錄的 key，避免不再出現的 key (例如離開的 IP) 一直佔用記憶體
+        prune() {
+            const current = now();
+            Object.keys(hits).forEach(key => {
+                if (hits[key].every(t => current - t >= windowMs)) {
+                    delete hits[key];
+                }
+            });
+        },
+    };
+}
+
+module.exports = { createRateLimiter };
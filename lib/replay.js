@@ -0,0 +1,148 @@
+// time-auction-server/lib/replay.js
+// 對局回放：每個房間依時間記錄直播送出的事件 (玩家狀態、系統訊息、倒數、回合結果 …) 與玩家的操作
+// (加入、按住、放手、離開)，可以匯出為 JSON Lines，或以可調整的速度重新播放給單一連線。
+// 紀錄只保存在記憶體中，房間關閉後再保留一段時間；訊息以 { code, params } 保存，播放時才依觀看者的語言格式化。
+// 紀錄包含所有玩家的完整資料，因此只在對局之間 (大廳、遊戲結束) 或房間關閉後提供，進行中的對局不會洩漏隱藏資訊
+
+const { createMessage } = require('./messages');
+
+const REPLAY_FORMAT_VERSION = 1;
+const MAX_REPLAY_ENTRIES = 20000;
+const MIN_REPLAY_SPEED = 0.25;
+const MAX_REPLAY_SPEED = 16;
+// 播放時長時間沒有事件的空檔 (例如在大廳等人) 最多等待的毫秒數
+const MAX_PLAYBACK_GAP_MS = 5000;
+
+function createReplay(roomId, now = Date.now()) {
+    return {
+        roomId: roomId,
+        startedAt: now,
+        entries: [],
+        truncated: false, // 超過 MAX_REPLAY_ENTRIES 之後不再記錄
+        closedAt: null,
+        visibility: null, // 房間關閉時的公開設定
+    };
+}
+
+// kind 為 event (直播送出的事件) 或 action (玩家的操作)；args 會複製一份，之後房間狀態改變也不影響紀錄
+function recordReplayEntry(replay, kind, event, args, gameNumber, now = Date.now()) {
+    if (replay.entries.length >= MAX_REPLAY_ENTRIES) {
+        replay.truncated = true;
+        return;
+    }
+    replay.entries.push({
+        t: now - replay.startedAt,
+        at: now,
+        gameNumber: gameNumber,
+        kind: kind,
+        event: event,
+        args: JSON.parse(JSON.stringify(args)),
+    });
+}
+
+function closeReplay(replay, visibility, now = Date.now()) {
+    replay.closedAt = now;
+    replay.visibility = visibility;
+}
+
+// game 為房間目前的狀態 (房間已關閉則為 undefined)；isMember 為房間內的玩家或觀眾，可以看私人房間的回放。
+// 回傳錯誤訊息或 null
+function checkReplayAccess(replay, game, { isMember = false } = {}) {
+    if (!replay) {
+        return createMessage('REPLAY_NOT_FOUND');
+    }
+    const visibility = game ? game.access.visibility : replay.visibility;
+    if (visibility !== 'public' && !isMember) {
+        return createMessage('REPLAY_NOT_FOUND');
+    }
+    if (game && game.status !== 'lobby' && game.status !== 'gameOver') {
+        return createMessage('REPLAY_NOT_READY');
+    }
+    return null;
+}
+
+// gameNumber 為 undefined 時回傳整個房間的紀錄
+function selectReplayEntries(replay, gameNumber) {
+    return gameNumber === undefined ? replay.entries : replay.entries.filter(e => e.gameNumber === gameNumber);
+}
+
+// 第一行為標頭 { type: 'header', … }，之後每行一筆紀錄
+function buildReplayLines(replay, entries) {
+    const header = {
+        type: 'header',
+        version: REPLAY_FORMAT_VERSION,
+        roomId: replay.roomId,
+        startedAt: replay.startedAt,
+        closedAt: replay.closedAt,
+        entryCount: entries.length,
+        truncated: replay.truncated,
+    };
+    return [header, ...entries].map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function validateReplaySpeed(speed) {
+    if (typeof speed !== 'number' || speed < MIN_REPLAY_SPEED || speed > MAX_REPLAY_SPEED) {
+        return createMessage('INVALID_REPLAY_SPEED', { min: MIN_REPLAY_SPEED, max: MAX_REPLAY_SPEED });
+    }
+    return null;
+}
+
+// 依紀錄的時間間隔除以速度，逐筆以 send(entry) 送出 kind 為 event 的紀錄，全部送完後呼叫 onEnd()。
+// setSpeed() 從下一筆開始生效；stop() 之後不再送出也不呼叫 onEnd()
+function createReplayPlayer(entries, { speed = 1, send, onEnd, setTimer = setTimeout, clearTimer = clearTimeout }) {
+    const events = entries.filter(e => e.kind === 'event');
+    let index = 0;
+    let currentSpeed = speed;
+    let timer = null;
+
+    // 結束也經過計時器，讓 onEnd() 一定在呼叫端拿到播放器之後才執行
+    function scheduleNext() {
+        const gap = index === 0 || index >= events.length ? 0 : events[index].t - events[index - 1].t;
+        timer = setTimer(() => {
+            if (index >= events.length) {
+                timer = null;
+                onEnd();
+                return;
+            }
+            send(events[index]);
+            index += 1;
+            scheduleNext();
+        }, Math.min(gap, MAX_PLAYBACK_GAP_MS) / currentSpeed);
+    }
+
+    scheduleNext();
+    return {
+        eventCount: events.length,
+        setSpeed(newSpeed) {
+            currentSpeed = newSpeed;
+        },
+        stop() {
+            if (timer !== null) {
+                clearTimer(timer);
+                timer = null;
+            }
+        },
+    };
+}
+
+// 移除房間關閉超過 retentionMs 的回放
+function pruneReplays(replays, retentionMs, now = Date.now()) {
+    Object.keys(replays).forEach(roomId => {
+        const replay = replays[roomId];
+        if (replay.closedAt !== null && now - replay.closedAt > retentionMs) {
+            delete replays[roomId];
+        }
+    });
+}
+
+module.exports = {
+    createReplay,
+    recordReplayEntry,
+    closeReplay,
+    checkReplayAccess,
+    selectReplayEntries,
+    buildReplayLines,
+    validateReplaySpeed,
+    createReplayPlayer,
+    pruneReplays,
+};
@@ -0,0 +1,239 @@
+// time-auction-server/lib/roomAccess.js
+// 房間的存取控制：不可猜測且不重複的房間代碼、公開 / 私人房間、加入密碼、有期限的邀請 token，
+// 以及房主設定的允許與封鎖名單 (玩家名稱或帳號)。
+// 存取設定放在房間狀態的 access 欄位，隨房間一起保存；密碼與邀請 token 只保存雜湊值
+
+const crypto = require('crypto');
+const { createMessage } = require('./messages');
+const { hashSecret, verifySecret } = require('./accounts');
+
+// 去掉容易看錯的 I、O、0、1；32^8 種組合，無法用猜的找到房間
+const ROOM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_ID_LENGTH = 8;
+const ROOM_VISIBILITIES = ['public', 'private'];
+const PASSWORD_MIN_LENGTH = 4;
+const PASSWORD_MAX_LENGTH = 64;
+const DEFAULT_INVITE_TTL_SECONDS = 60 * 60;
+const MAX_INVITE_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_INVITES_PER_ROOM = 20;
+const ACCESS_LIST_LIMIT = 50;
+
+// isTaken(id) 為 true 時重新產生
+function generateRoomId(isTaken) {
+    let id;
+    do {
+        id = '';
+        for (let i = 0; i < ROOM_ID_LENGTH; i++) {
+            id += ROOM_ID_ALPHABET[crypto.randomInt(ROOM_ID_ALPHABET.length)];
+        }
+    } while (isTaken(id));
+    return id;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 名稱比對不分大小寫
+function normalizeName(name) {
+    return name.normalize('NFC').trim().toLowerCase();
+}
+
+function validateVisibility(visibility) {
+    if (!ROOM_VISIBILITIES.includes(visibility)) {
+        return createMessage('INVALID_ROOM_VISIBILITY', { options: ROOM_VISIBILITIES.join(' / ') });
+    }
+    return null;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+        return createMessage('INVALID_ROOM_PASSWORD', { min: PASSWORD_MIN_LENGTH, max: PASSWORD_MAX_LENGTH });
+    }
+    return null;
+}
+
+function createEmptyList() {
+    return { names: [], accountIds: [] };
+}
+
+// 驗證並計算密碼的雜湊；回傳 Promise<{ error, passwordHash }>，password 為 undefined 時 passwordHash 為 null
+async function hashRoomPassword(password) {
+    if (password === undefined) {
+        return { error: null, passwordHash: null };
+    }
+    const error = validatePassword(password);
+    if (error) {
+        return { error, passwordHash: null };
+    }
+    return { error: null, passwordHash: await hashSecret(password) };
+}
+
+// 回傳 { error, access }；passwordHash 由 hashRoomPassword() 事先算好，沒有密碼時為 null
+function createRoomAccess({ visibility = 'public', passwordHash = null } = {}) {
+    const error = validateVisibility(visibility);
+    if (error) {
+        return { error, access: null };
+    }
+    return {
+        error: null,
+        access: {
+            visibility: visibility,
+            passwordHash: passwordHash,
+            allow: createEmptyList(),
+            deny: createEmptyList(),
+            invites: [],
+        },
+    };
+}
+
+// 房主修改設定；未提供的欄位維持原值，removePassword 為 true 時移除密碼。回傳 Promise<錯誤訊息或 null>
+async function updateRoomAccess(access, { visibility, password, removePassword }) {
+    const visibilityError = visibility !== undefined ? validateVisibility(visibility) : null;
+    if (visibilityError) {
+        return visibilityError;
+    }
+    const { error, passwordHash } = await hashRoomPassword(password);
+    if (error) {
+        return error;
+    }
+    if (visibility !== undefined) {
+        access.visibility = visibility;
+    }
+    if (removePassword) {
+        access.passwordHash = null;
+    } else if (password !== undefined) {
+        access.passwordHash = passwordHash;
+    }
+    return null;
+}
+
+// lists: { allow?, deny? }，每份名單為 { names, accountIds }，提供的名單整份取代。回傳錯誤訊息或 null
+function setAccessLists(access, lists) {
+    const resolved = {};
+    for (const key of ['allow', 'deny']) {
+        if (lists[key] === undefined) continue;
+        const names = lists[key].names || [];
+        const accountIds = lists[key].accountIds || [];
+        if (names.length + accountIds.length > ACCESS_LIST_LIMIT) {
+            return createMessage('INVALID_ACCESS_LIST', { max: ACCESS_LIST_LIMIT });
+        }
+        resolved[key] = {
+            names: [...new Set(names.map(normalizeName))],
+            accountIds: [...new Set(accountIds)],
+        };
+    }
+    Object.assign(access, resolved);
+    return null;
+}
+
+function isListed(list, { name, accountId }) {
+    return (name !== null && list.names.includes(normalizeName(name))) || (accountId !== null && list.accountIds.includes(accountId));
+}
+
+function isListEmpty(list) {
+    return list.names.length === 0 && list.accountIds.length === 0;
+}
+
+function removeExpiredInvites(access, now) {
+    access.invites = access.invites.filter(invite => invite.expiresAt > now && (invite.maxUses === null || invite.uses < invite.maxUses));
+}
+
+// 回傳 { error, invite }；token 只在這裡回傳一次，之後只保存雜湊值
+function createInvite(access, { ttlSeconds = DEFAULT_INVITE_TTL_SECONDS, maxUses = null } = {}, now = Date.now()) {
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < 60 || ttlSeconds > MAX_INVITE_TTL_SECONDS ||
+        (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1))) {
+        return { error: createMessage('INVALID_INVITE_OPTIONS', { maxHours: MAX_INVITE_TTL_SECONDS / 3600 }), invite: null };
+    }
+    removeExpiredInvites(access, now);
+    if (access.invites.length >= MAX_INVITES_PER_ROOM) {
+        return { error: createMessage('TOO_MANY_INVITES', { max: MAX_INVITES_PER_ROOM }), invite: null };
+    }
+
+    const token = crypto.randomBytes(18).toString('base64url');
+    const invite = {
+        id: crypto.randomBytes(4).toString('hex'),
+        tokenHash: hashToken(token),
+        expiresAt: now + ttlSeconds * 1000,
+        maxUses: maxUses,
+        uses: 0,
+    };
+    access.invites.push(invite);
+    return { error: null, invite: { id: invite.id, token: token, expiresAt: invite.expiresAt, maxUses: maxUses } };
+}
+
+function revokeInvite(access, inviteId) {
+    const before = access.invites.length;
+    access.invites = access.invites.filter(invite => invite.id !== inviteId);
+    return access.invites.length < before;
+}
+
+// 依序檢查封鎖名單、允許名單、邀請、私人房間與密碼；邀請可以代替密碼，也是進入私人房間的唯一方式。
+// candidate: { name, accountId, password, inviteToken }；回傳 Promise<{ error, invite }>，通過時 invite 為這次使用的邀請 (或 null)
+async function checkRoomAccess(access, candidate, now = Date.now()) {
+    if (isListed(access.deny, candidate)) {
+        return { error: createMessage('ROOM_ACCESS_DENIED'), invite: null };
+    }
+    if (!isListEmpty(access.allow) && !isListed(access.allow, candidate)) {
+        return { error: createMessage('ROOM_NOT_ALLOWED'), invite: null };
+    }
+
+    removeExpiredInvites(access, now);
+    if (candidate.inviteToken) {
+        const tokenHash = hashToken(candidate.inviteToken);
+        const invite = access.invites.find(i => i.tokenHash === tokenHash);
+        if (invite) {
+            return { error: null, invite };
+        }
+    }
+    // 帶了無效的邀請卻需要邀請或密碼時，回報邀請失效比較容易理解
+    const needsCredential = access.visibility === 'private' || access.passwordHash !== null;
+    if (candidate.inviteToken && needsCredential) {
+        return { error: createMessage('INVALID_INVITE'), invite: null };
+    }
+    if (access.visibility === 'private') {
+        return { error: createMessage('ROOM_INVITE_REQUIRED'), invite: null };
+    }
+    if (access.passwordHash !== null) {
+        if (!candidate.password) {
+            return { error: createMessage('ROOM_PASSWORD_REQUIRED'), invite: null };
+        }
+        if (!(await verifySecret(candidate.password, access.passwordHash))) {
+            return { error: createMessage('WRONG_ROOM_PASSWORD'), invite: null };
+        }
+    }
+    return { error: null, invite: null };
+}
+
+// 成功加入後才計入邀請的使用次數
+function redeemInvite(access, invite) {
+    if (invite) {
+        invite.uses += 1;
+        removeExpiredInvites(access, Date.now());
+    }
+}
+
+// 給房主與管理 API 看的設定，不含雜湊值
+function buildAccessView(access) {
+    return {
+        visibility: access.visibility,
+        hasPassword: access.passwordHash !== null,
+        allow: access.allow,
+        deny: access.deny,
+        invites: access.invites.map(({ id, expiresAt, maxUses, uses }) => ({ id, expiresAt, maxUses, uses })),
+    };
+}
+
+module.exports = {
+    ROOM_VISIBILITIES,
+    generateRoomId,
+    hashRoomPassword,
+    createRoomAccess,
+    updateRoomAccess,
+    setAccessLists,
+    createInvite,
+    revokeInvite,
+    checkRoomAccess,
+    redeemInvite,
+    buildAccessView,
+};
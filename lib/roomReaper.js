@@ -0,0 +1,50 @@
+// time-auction-server/lib/roomReaper.js
+// 定期清除閒置與已結束的房間：轉接層在房間有動靜 (狀態保存點、玩家送出事件) 時呼叫 touch()，
+// 定時呼叫 sweep() 取得該預告與該關閉的房間。一般房間閒置 idleTimeoutMs 後關閉，
+// 遊戲已結束 (gameOver) 的房間閒置 finishedTtlMs 後關閉；關閉前 warningMs 先預告一次
+
+function createRoomReaper({ idleTimeoutMs, finishedTtlMs, warningMs, now = Date.now }) {
+    const lastActivity = {}; // roomId -> 最後一次有動靜的時間
+    const warned = new Set();
+
+    function getTimeout(game) {
+        return game.status === 'gameOver' ? finishedTtlMs : idleTimeoutMs;
+    }
+
+    return {
+        touch(roomId) {
+            lastActivity[roomId] = now();
+            warned.delete(roomId);
+        },
+
+        forget(roomId) {
+            delete lastActivity[roomId];
+            warned.delete(roomId);
+        },
+
+        // games: roomId -> 房間狀態。回傳 { warn: [{ roomId, reason, closesAt }], close: [{ roomId, reason }] }，
+        // reason 為 idle 或 finished；沒有紀錄的房間 (例如剛還原) 從現在開始計算
+        sweep(games) {
+            const current = now();
+            const warn = [];
+            const close = [];
+            Object.keys(games).forEach(roomId => {
+                if (lastActivity[roomId] === undefined) {
+                    lastActivity[roomId] = current;
+                }
+                const game = games[roomId];
+                const reason = game.status === 'gameOver' ? 'finished' : 'idle';
+                const closesAt = lastActivity[roomId] + getTimeout(game);
+                if (current >= closesAt) {
+                    close.push({ roomId, reason });
+                } else if (current >= closesAt - warningMs && !warned.has(roomId)) {
+                    warned.add(roomId);
+                    warn.push({ roomId, reason, closesAt });
+                }
+            });
+            return { warn, close };
+        },
+    };
+}
+
+module.exports = { createRoomReaper };
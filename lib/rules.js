@@ -0,0 +1,156 @@
+// time-auction-server/lib/rules.js
+// 每個房間的遊戲規則：預設值、預設組合 (presets) 與驗證
+
+const { createMessage } = require('./messages');
+const { createLogger } = require('./logger');
+
+const TIE_POLICIES = ['allWin', 'split', 'noWinner'];
+const RANKING_CRITERIA = ['tokens', 'time'];
+const HIDDEN_INFO_MODES = ['off', 'hidden', 'bucketed'];
+const TEAM_MODES = ['off', 'teams', 'sharedTime'];
+const AFK_ACTIONS = ['skip', 'spectate'];
+
+const DEFAULT_RULES = {
+    maxPlayers: 4,              // 房間人數上限
+    countdownSeconds: 5,        // 所有人按住後的準備倒數秒數
+    statsModalInterval: 3,      // 每幾回合顯示一次回合統計，0 表示不顯示
+    tiePolicy: 'allWin',        // 平手處理：allWin 平手者各得一枚代幣、split 平分一枚代幣、noWinner 無人得分
+    tieToleranceMs: 0,          // 按住時間相差在此毫秒內視為平手；預設值可由環境變數 TIE_TOLERANCE_MS 設定
+    losersPayHeldTime: false,   // 落敗者是否也要扣除自己按住的時間
+    rankingCriteria: ['tokens', 'time'], // 最終排名依序比較的項目 (皆為越多越好)
+    minBidSeconds: 0,           // 按住少於此秒數視為未出價，不能贏得回合
+    hiddenInfo: 'off',          // 隱藏資訊模式：off 全部公開、hidden 隱藏對手時間、bucketed 只顯示對手時間的區間
+    timeBucketSeconds: 30,      // bucketed 模式下時間區間的大小
+    concealWinningDuration: false, // 是否隱藏回合贏家按住的秒數
+    teamMode: 'off',            // 組隊模式：off 各自為戰、teams 同隊不能同回合獲勝、sharedTime 同隊共用時間池 (見 lib/teams.js)
+    teamSize: 2,                // 組隊模式下每隊人數；人數上限必須能分成至少兩隊
+    items: false,               // 是否能在回合之間花代幣使用道具 (見 lib/items.js)
+    readyTimeoutSeconds: 0,     // 回合準備階段等所有人按住的期限，到期時沒按住的玩家跳過本回合；0 表示不限 (預設不啟用)
+    afkRoundLimit: 3,           // 有準備期限時，連續幾次在期限內沒按住就視為掛機；0 表示不處理
+    afkAction: 'skip',          // 掛機的處理：skip 之後的回合不再等待該玩家 (按住即恢復)、spectate 移到觀眾席
+};
+
+// 規則欄位的驗證方式；每個函數回傳錯誤訊息 { code, params }，通過則回傳 null
+const RULE_VALIDATORS = {
+    maxPlayers: v => (Number.isInteger(v) && v >= 2 && v <= 8 ? null : createMessage('INVALID_MAX_PLAYERS')),
+    countdownSeconds: v => (Number.isInteger(v) && v >= 1 && v <= 30 ? null : createMessage('INVALID_COUNTDOWN_SECONDS')),
+    statsModalInterval: v => (Number.isInteger(v) && v >= 0 && v <= 50 ? null : createMessage('INVALID_STATS_MODAL_INTERVAL')),
+    tiePolicy: v => (TIE_POLICIES.includes(v) ? null : createMessage('INVALID_TIE_POLICY', { options: TIE_POLICIES.join(' / ') })),
+    tieToleranceMs: v => (typeof v === 'number' && v >= 0 && v <= 1000 ? null : createMessage('INVALID_TIE_TOLERANCE')),
+    losersPayHeldTime: v => (typeof v === 'boolean' ? null : createMessage('INVALID_BOOLEAN_RULE', { field: 'losersPayHeldTime' })),
+    rankingCriteria: v => (
+        Array.isArray(v) && v.length >= 1 && v.length <= RANKING_CRITERIA.length
+            && v.every(c => RANKING_CRITERIA.includes(c)) && new Set(v).size === v.length
+            ? null
+            : createMessage('INVALID_RANKING', { options: RANKING_CRITERIA.join(' / ') })
+    ),
+    minBidSeconds: v => (typeof v === 'number' && v >= 0 && v <= 60 ? null : createMessage('INVALID_MIN_BID')),
+    hiddenInfo: v => (HIDDEN_INFO_MODES.includes(v) ? null : createMessage('INVALID_HIDDEN_INFO', { options: HIDDEN_INFO_MODES.join(' / ') })),
+    timeBucketSeconds: v => (Number.isInteger(v) && v >= 5 && v <= 300 ? null : createMessage('INVALID_TIME_BUCKET')),
+    concealWinningDuration: v => (typeof v === 'boolean' ? null : createMessage('INVALID_BOOLEAN_RULE', { field: 'concealWinningDuration' })),
+    teamMode: v => (TEAM_MODES.includes(v) ? null : createMessage('INVALID_TEAM_MODE', { options: TEAM_MODES.join(' / ') })),
+    teamSize: v => (Number.isInteger(v) && v >= 2 && v <= 4 ? null : createMessage('INVALID_TEAM_SIZE')),
+    items: v => (typeof v === 'boolean' ? null : createMessage('INVALID_BOOLEAN_RULE', { field: 'items' })),
+    readyTimeoutSeconds: v => (Number.isInteger(v) && (v === 0 || (v >= 10 && v <= 600)) ? null : createMessage('INVALID_READY_TIMEOUT')),
+    afkRoundLimit: v => (Number.isInteger(v) && v >= 0 && v <= 20 ? null : createMessage('INVALID_AFK_ROUND_LIMIT')),
+    afkAction: v => (AFK_ACTIONS.includes(v) ? null : createMessage('INVALID_AFK_ACTION', { options: AFK_ACTIONS.join(' / ') })),
+};
+
+// 環境變數設定的預設平手容許值也要通過驗證，不合法時警告並改用 0
+function resolveDefaultTieTolerance(value, logger = createLogger()) {
+    if (value === undefined || value === '') {
+        return 0;
+    }
+    const tolerance = Number(value);
+    if (RULE_VALIDATORS.tieToleranceMs(tolerance)) {
+        logger.warn('RULES', 'Ignoring an invalid TIE_TOLERANCE_MS, using 0', { value: value });
+        return 0;
+    }
+    return tolerance;
+}
+DEFAULT_RULES.tieToleranceMs = resolveDefaultTieTolerance(process.env.TIE_TOLERANCE_MS);
+
+const PRESETS = {
+    classic: {},
+    quick: {
+        countdownSeconds: 3,
+        statsModalInterval: 0,
+    },
+    hardcore: {
+        tiePolicy: 'noWinner',
+        losersPayHeldTime: true,
+        minBidSeconds: 1,
+    },
+    party: {
+        maxPlayers: 8,
+        countdownSeconds: 3,
+        tiePolicy: 'split',
+    },
+    bluff: {
+        hiddenInfo: 'hidden',
+        concealWinningDuration: true,
+    },
+    teams: {
+        teamMode: 'teams',
+    },
+    pool: { // 2 對 2，隊友共用時間池
+        teamMode: 'sharedTime',
+    },
+};
+
+// 接受 undefined (classic)、預設組合名稱，或 { preset, ...覆寫欄位 }
+// 回傳 { error, rules }：驗證失敗時 error 為錯誤訊息 { code, params }
+function resolveRules(input) {
+    if (input === undefined || input === null) {
+        input = {};
+    } else if (typeof input === 'string') {
+        input = { preset: input };
+    } else if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: createMessage('INVALID_RULES'), rules: null };
+    }
+
+    const { preset = 'classic', ...overrides } = input;
+    if (!Object.prototype.hasOwnProperty.call(PRESETS, preset)) {
+        return { error: createMessage('UNKNOWN_PRESET', { preset: preset }), rules: null };
+    }
+
+    for (const key of Object.keys(overrides)) {
+        if (!RULE_VALIDATORS[key]) {
+            return { error: createMessage('UNKNOWN_RULE_FIELD', { field: key }), rules: null };
+        }
+        const error = RULE_VALIDATORS[key](overrides[key]);
+        if (error) {
+            return { error, rules: null };
+        }
+    }
+
+    const rules = { ...DEFAULT_RULES, ...PRESETS[preset], ...overrides, preset };
+    rules.rankingCriteria = [...rules.rankingCriteria];
+    // 組隊時人數上限要剛好分成至少兩隊
+    if (rules.teamMode !== 'off' && (rules.maxPlayers % rules.teamSize !== 0 || rules.maxPlayers / rules.teamSize < 2)) {
+        return { error: createMessage('TEAMS_DO_NOT_FIT', { maxPlayers: rules.maxPlayers, teamSize: rules.teamSize }), rules: null };
+    }
+    return { error: null, rules };
+}
+
+// 依規則的排名依據排序玩家 (越前面名次越好)
+function compareByRanking(rules, a, b) {
+    for (const criterion of rules.rankingCriteria) {
+        if (b[criterion] !== a[criterion]) {
+            return b[criterion] - a[criterion];
+        }
+    }
+    return 0;
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    PRESETS,
+    TIE_POLICIES,
+    RANKING_CRITERIA,
+    AFK_ACTIONS,
+    HIDDEN_INFO_MODES,
+    TEAM_MODES,
+    resolveRules,
+    compareByRanking,
+};
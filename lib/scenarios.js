@@ -0,0 +1,428 @@
+// time-auction-server/lib/scenarios.js
+// 腳本對局：以固定的按住/放手時間表驗證計分規則，由 simulate.js --verify 執行
+// 預設倒數 5 秒：所有人在 0ms 按住，競標從 5000ms 開始
+
+function player(game, name) {
+    return game.players.find(p => p.name === name);
+}
+
+// 逐項比對玩家欄位，回傳不符合的說明
+function expectPlayers(game, expected) {
+    const failures = [];
+    Object.keys(expected).forEach(name => {
+        const p = player(game, name);
+        if (!p) {
+            failures.push(`找不到玩家 ${name}`);
+            return;
+        }
+        Object.keys(expected[name]).forEach(field => {
+            if (p[field] !== expected[name][field]) {
+                failures.push(`${name}.${field} 應為 ${expected[name][field]}，實際為 ${p[field]}`);
+            }
+        });
+    });
+    return failures;
+}
+
+function expectWinner(game, name) {
+    const winner = game.finalWinner;
+    if (!winner || winner.isTie || winner.name !== name) {
+        return [`最終贏家應為 ${name}，實際為 ${JSON.stringify(winner)}`];
+    }
+    return [];
+}
+
+const bothHold = [
+    { at: 0, player: 'A', action: 'hold' },
+    { at: 0, player: 'B', action: 'hold' },
+];
+
+// 組隊模式依加入順序分隊：A1、A2 為 A 隊，B1、B2 為 B 隊
+const teamPlayers = ['A1', 'B1', 'A2', 'B2'];
+const allTeamsHold = teamPlayers.map(name => ({ at: 0, player: name, action: 'hold' }));
+
+function countEliminations(game) {
+    return game.roundHistory.reduce((sum, record) => sum + record.eliminated.length, 0);
+}
+
+function expectTeamStandings(game, expected) {
+    const actual = game.teamStandings.map(t => `${t.teamId}:${t.placement}:${t.tokens}`).join(',');
+    return actual === expected ? [] : [`隊伍名次應為 ${expected}，實際為 ${actual}`];
+}
+
+const SCENARIOS = [
+    {
+        name: '按最久的玩家獲勝並只扣除自己的時間',
+        initialTime: 60,
+        maxRounds: 1,
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 7000, player: 'A', action: 'release' },
+            { at: 8000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 60 }, B: { tokens: 1, time: 57 } }),
+            ...expectWinner(game, 'B'),
+        ],
+    },
+    {
+        name: 'split 平手平分代幣',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: { tiePolicy: 'split' },
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 8000, player: 'A', action: 'release' },
+            { at: 8000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0.5, time: 57 }, B: { tokens: 0.5, time: 57 } }),
+            ...(game.finalWinner.isTie ? [] : ['最終結果應為平手']),
+        ],
+    },
+    {
+        name: 'noWinner 平手無人得分但仍扣時間',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: { tiePolicy: 'noWinner' },
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 8000, player: 'A', action: 'release' },
+            { at: 8000, player: 'B', action: 'release' },
+        ],
+        expect: game => expectPlayers(game, { A: { tokens: 0, time: 57 }, B: { tokens: 0, time: 57 } }),
+    },
+    {
+        name: '平手容許值內視為平手',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: { tieToleranceMs: 50 },
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 8000, player: 'A', action: 'release' },
+            { at: 8030, player: 'B', action: 'release' },
+        ],
+        expect: game => expectPlayers(game, { A: { tokens: 1, time: 57 }, B: { tokens: 1, time: 56.97 } }),
+    },
+    {
+        name: '未達最低出價時間不能獲勝',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: { minBidSeconds: 1 },
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 2000, player: 'B', action: 'release' },
+            { at: 5500, player: 'A', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 60 }, B: { tokens: 0, time: 60 } }),
+            ...(game.roundHistory[0].optedOut.some(p => p.name === 'B') ? [] : ['B 應記錄為放棄本回合']),
+        ],
+    },
+    {
+        name: 'losersPayHeldTime 落敗者也扣時間',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: { losersPayHeldTime: true },
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 7000, player: 'A', action: 'release' },
+            { at: 8000, player: 'B', action: 'release' },
+        ],
+        expect: game => expectPlayers(game, { A: { tokens: 0, time: 58 }, B: { tokens: 1, time: 57 } }),
+    },
+    {
+        name: '時間用盡被淘汰，剩下一人時遊戲結束',
+        initialTime: 10,
+        maxRounds: 3,
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 6000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { isEliminated: true, tokens: 0 }, B: { tokens: 1, time: 9 } }),
+            ...expectWinner(game, 'B'),
+            ...(game.standings.map(s => `${s.name}:${s.placement}`).join(',') === 'B:1,A:2' ? [] : [`名次不符：${JSON.stringify(game.standings)}`]),
+            ...(game.currentRound === 1 ? [] : [`應在第 1 回合後結束，實際為第 ${game.currentRound} 回合`]),
+        ],
+    },
+    {
+        // hardcore：落敗者也扣時間、至少按住 1 秒。C 按到時間用盡被淘汰，A、B 繼續第 2 回合直到打滿回合數
+        name: 'hardcore 規則下淘汰一人後遊戲繼續',
+        initialTime: 10,
+        maxRounds: 2,
+        rules: 'hardcore',
+        players: ['A', 'B', 'C'],
+        steps: [
+            ...bothHold,
+            { at: 0, player: 'C', action: 'hold' },
+            { at: 6000, player: 'A', action: 'release' },
+            { at: 7000, player: 'B', action: 'release' },
+            { at: 20000, player: 'A', action: 'hold' },
+            { at: 20000, player: 'B', action: 'hold' },
+            { at: 28000, player: 'A', action: 'release' },
+            { at: 29000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 6 }, B: { tokens: 2, time: 4 }, C: { isEliminated: true } }),
+            ...(countEliminations(game) > 0 ? [] : ['應有玩家被淘汰']),
+            ...(game.gameOverReason.code === 'GAME_OVER_ROUNDS_COMPLETE' ? [] : [`結束原因不符：${game.gameOverReason.code}`]),
+        ],
+    },
+    {
+        name: '競標中玩家離開導致人數不足時結束遊戲',
+        initialTime: 60,
+        maxRounds: 3,
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 6000, player: 'B', action: 'leave' },
+        ],
+        expect: game => [
+            ...(game.gameOverReason.code === 'GAME_OVER_NOT_ENOUGH_PLAYERS' ? [] : [`結束原因不符：${game.gameOverReason.code}`]),
+            ...(game.roundHistory[0] && game.roundHistory[0].interrupted ? [] : ['第 1 回合應標記為中斷']),
+        ],
+    },
+    {
+        // C 沒按住就離開、D 沒按住就斷線：剩下的人都按住了，2000ms 開始倒數，競標從 7000ms 開始
+        name: '準備階段沒按住的玩家離開或斷線後開始倒數',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: { readyTimeoutSeconds: 0 },
+        players: ['A', 'B', 'C', 'D'],
+        steps: [
+            ...bothHold,
+            { at: 1000, player: 'C', action: 'leave' },
+            { at: 2000, player: 'D', action: 'disconnect' },
+            { at: 9000, player: 'A', action: 'release' },
+            { at: 10000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 60 }, B: { tokens: 1, time: 57 }, D: { time: 60, isDisconnected: true } }),
+            ...expectWinner(game, 'B'),
+        ],
+    },
+    {
+        // B 在倒數中放手、按住的 C 在 3000ms 離開打斷倒數：第 1 回合重來，B 在 4000ms 按住後重新倒數，競標從 9000ms 開始
+        name: '倒數被打斷時重來同一回合',
+        initialTime: 60,
+        maxRounds: 1,
+        players: ['A', 'B', 'C'],
+        steps: [
+            ...bothHold,
+            { at: 0, player: 'C', action: 'hold' },
+            { at: 2000, player: 'B', action: 'release' },
+            { at: 3000, player: 'C', action: 'leave' },
+            { at: 4000, player: 'B', action: 'hold' },
+            { at: 11000, player: 'A', action: 'release' },
+            { at: 12000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 60 }, B: { tokens: 1, time: 57 } }),
+            ...(game.roundHistory.map(r => r.round).join() === '1' ? [] : [`回合紀錄應只有第 1 回合，實際為 ${game.roundHistory.map(r => r.round).join()}`]),
+        ],
+    },
+    {
+        // 第 1 回合在 7000ms 結束，兩人在下一回合開始 (10000ms) 前就按住：不會開始倒數，
+        // 第 2 回合重新按住後照常進行 (競標從 16000ms 開始)
+        name: '回合結束後提早按住不會卡住下一回合',
+        initialTime: 60,
+        maxRounds: 2,
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 6000, player: 'A', action: 'release' },
+            { at: 7000, player: 'B', action: 'release' },
+            { at: 8000, player: 'A', action: 'hold' },
+            { at: 8000, player: 'B', action: 'hold' },
+            { at: 11000, player: 'A', action: 'hold' },
+            { at: 11000, player: 'B', action: 'hold' },
+            { at: 18000, player: 'A', action: 'release' },
+            { at: 19000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 60 }, B: { tokens: 2, time: 55 } }),
+            ...(game.roundHistory.map(r => r.round).join() === '1,2' ? [] : [`回合紀錄不符：${game.roundHistory.map(r => r.round).join()}`]),
+        ],
+    },
+    {
+        name: '斷線視為放手',
+        initialTime: 60,
+        maxRounds: 1,
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 6500, player: 'B', action: 'disconnect' },
+            { at: 7000, player: 'A', action: 'release' },
+        ],
+        expect: game => expectPlayers(game, { A: { tokens: 1, time: 58 }, B: { tokens: 0, isDisconnected: true } }),
+    },
+    {
+        name: '組隊模式由按最久的隊員替隊伍得分',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: 'teams',
+        players: teamPlayers,
+        steps: [
+            ...allTeamsHold,
+            { at: 6000, player: 'B1', action: 'release' },
+            { at: 7000, player: 'B2', action: 'release' },
+            { at: 8000, player: 'A2', action: 'release' },
+            { at: 9000, player: 'A1', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A1: { tokens: 1, time: 56 }, A2: { tokens: 0, time: 60 }, B2: { tokens: 0, time: 60 } }),
+            ...expectTeamStandings(game, 'A:1:1,B:2:0'),
+            ...(game.finalWinner.isTeam && game.finalWinner.teamIds.join() === 'A' ? [] : [`最終贏家應為 A 隊，實際為 ${JSON.stringify(game.finalWinner)}`]),
+            ...(game.standings.filter(s => s.placement === 1).map(s => s.name).join() === 'A1,A2' ? [] : [`名次不符：${JSON.stringify(game.standings)}`]),
+        ],
+    },
+    {
+        name: '組隊模式隊友平手時只有一人獲勝',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: 'teams',
+        players: teamPlayers,
+        steps: [
+            ...allTeamsHold,
+            { at: 6000, player: 'B1', action: 'release' },
+            { at: 6000, player: 'B2', action: 'release' },
+            { at: 8000, player: 'A1', action: 'release' },
+            { at: 8000, player: 'A2', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A1: { tokens: 1, time: 57 }, A2: { tokens: 0, time: 60 } }),
+            ...(game.roundHistory[0].winners.map(w => w.name).join() === 'A1' ? [] : ['第 1 回合只有 A1 應該獲勝']),
+        ],
+    },
+    {
+        name: 'sharedTime 隊友共用時間池',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: 'pool',
+        players: teamPlayers,
+        steps: [
+            ...allTeamsHold,
+            { at: 5500, player: 'B1', action: 'release' },
+            { at: 5600, player: 'B2', action: 'release' },
+            { at: 6000, player: 'A2', action: 'release' },
+            { at: 9000, player: 'A1', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A1: { tokens: 1, time: 56 }, A2: { tokens: 0, time: 56 }, B1: { time: 60 }, B2: { time: 60 } }),
+            ...expectTeamStandings(game, 'A:1:1,B:2:0'),
+        ],
+    },    {
+        // 第 1 回合 6500ms 結束，第 2 回合從 9500ms 開始準備
+        name: '雙倍代幣回合與護盾擋下淘汰',
+        initialTime: 10,
+        maxRounds: 2,
+        rules: { items: true },
+        specialRounds: { 1: 'doubleTokens' },
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 6000, player: 'B', action: 'release' },
+            { at: 6500, player: 'A', action: 'release' },
+            { at: 10000, player: 'A', action: 'useItem', item: 'shield' },
+            { at: 10000, player: 'A', action: 'hold' },
+            { at: 10000, player: 'B', action: 'hold' },
+            { at: 16000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 5, isEliminated: false, hasShield: false }, B: { tokens: 1, time: 9 } }),
+            ...(game.roundHistory[1].shielded.map(p => p.name).join() === 'A' ? [] : ['第 2 回合應記錄 A 被護盾擋下淘汰']),
+            ...expectWinner(game, 'B'),
+        ],
+    },
+    {
+        // 第 1 回合 9000ms 結束，第 2 回合從 12000ms 開始準備
+        name: '退回上一回合花費時間的一半',
+        initialTime: 60,
+        maxRounds: 2,
+        rules: { items: true },
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 7000, player: 'B', action: 'release' },
+            { at: 9000, player: 'A', action: 'release' },
+            { at: 12500, player: 'A', action: 'useItem', item: 'refund' },
+            { at: 13000, player: 'A', action: 'hold' },
+            { at: 13000, player: 'B', action: 'hold' },
+            { at: 18500, player: 'A', action: 'release' },
+            { at: 19000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 58 }, B: { tokens: 1, time: 59 } }),
+            ...(game.itemHistory.map(e => `${e.name}:${e.item}:${e.time}`).join() === 'A:refund:2' ? [] : [`道具紀錄不符：${JSON.stringify(game.itemHistory)}`]),
+        ],
+    },
+    {
+        // 一般規則下時間是公開的，但第 2 回合是 blind 回合，A 可以在準備階段偷看 B 的時間
+        name: 'blind 回合可以偷看對手的時間',
+        initialTime: 60,
+        maxRounds: 2,
+        rules: { items: true },
+        specialRounds: { 2: 'blind' },
+        players: ['A', 'B'],
+        steps: [
+            ...bothHold,
+            { at: 7000, player: 'B', action: 'release' },
+            { at: 9000, player: 'A', action: 'release' },
+            { at: 12500, player: 'A', action: 'useItem', item: 'peek', target: 'B' },
+            { at: 13000, player: 'A', action: 'hold' },
+            { at: 13000, player: 'B', action: 'hold' },
+            { at: 18500, player: 'A', action: 'release' },
+            { at: 19000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 56 }, B: { tokens: 1, time: 59 } }),
+            ...(game.itemHistory.map(e => `${e.name}:${e.item}`).join() === 'A:peek' ? [] : [`道具紀錄不符：${JSON.stringify(game.itemHistory)}`]),
+        ],
+    },
+    {
+        // 準備期限 10 秒：B 一直沒按住，10000ms 時跳過 B 並視為掛機，第 2 回合不再等待 B
+        name: '準備期限到期時跳過沒按住的玩家並標記掛機',
+        initialTime: 60,
+        maxRounds: 2,
+        rules: { readyTimeoutSeconds: 10, afkRoundLimit: 1 },
+        players: ['A', 'B'],
+        steps: [
+            { at: 0, player: 'A', action: 'hold' },
+            { at: 17000, player: 'A', action: 'release' },
+            { at: 20000, player: 'A', action: 'hold' },
+            { at: 26000, player: 'A', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 2, time: 57 }, B: { isAfk: true, missedRounds: 1, time: 60 } }),
+            ...(game.roundHistory[0].optedOut.some(p => p.name === 'B') ? [] : ['B 應記錄為放棄第 1 回合']),
+        ],
+    },
+    {
+        // 10000ms 與 20000ms 的期限到期時沒有人按住：不開始空的回合，繼續等到 25000ms 兩人都按住
+        name: '準備期限到期時沒有人按住則繼續等待',
+        initialTime: 60,
+        maxRounds: 1,
+        rules: { readyTimeoutSeconds: 10, afkRoundLimit: 0 },
+        players: ['A', 'B'],
+        steps: [
+            { at: 25000, player: 'A', action: 'hold' },
+            { at: 25000, player: 'B', action: 'hold' },
+            { at: 32000, player: 'A', action: 'release' },
+            { at: 33000, player: 'B', action: 'release' },
+        ],
+        expect: game => [
+            ...expectPlayers(game, { A: { tokens: 0, time: 60 }, B: { tokens: 1, time: 57 } }),
+            ...(game.roundHistory.length === 1 ? [] : [`應只有 1 回合紀錄，實際為 ${game.roundHistory.length}`]),
+        ],
+    },
+];
+
+module.exports = { SCENARIOS };
@@ -0,0 +1,301 @@
+// time-auction-server/lib/simulation.js
+// 以手動時鐘驅動遊戲引擎，不需要連線也不用真的等待：
+//   runSimulation() 讓電腦玩家大量對戰，檢查規則不變量並統計各策略的表現
+//   runScenario()   照時間表執行真人操作的腳本對局，檢查結果是否符合預期
+
+const { createGameEngine, createManualClock } = require('./engine');
+const { resolveRules } = require('./rules');
+const { BOT_STRATEGIES } = require('./bots');
+const { DEFAULT_LOCALE, formatMessage } = require('./messages');
+const { createLogger } = require('./logger');
+const { isTeamGame, isSharedTimeGame } = require('./teams');
+
+// 允許的浮點誤差 (秒 / 代幣)
+const EPSILON = 0.011;
+
+// 可重現的亂數產生器 (mulberry32)
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// 建立一個不連線的房間；rules 與 createRoom 相同，可以是預設組合名稱或 { preset, ...覆寫欄位 }
+function createSimulatedGame({ id = 'SIM', initialTime = 60, maxRounds = 5, rules, random = Math.random, hostId = null }) {
+    const resolved = resolveRules(rules);
+    if (resolved.error) {
+        throw new Error(formatMessage(DEFAULT_LOCALE, resolved.error));
+    }
+    const clock = createManualClock();
+    const engine = createGameEngine({
+        id,
+        hostId,
+        initialTime,
+        maxRounds,
+        rules: resolved.rules,
+        clock,
+        random,
+        logger: createLogger({ level: 'silent' }),
+    });
+    return { engine, clock };
+}
+
+// 把時鐘推進到 targetMs，途中依時間先後處理所有到期的事件
+function advanceTo(engine, clock, targetMs) {
+    let next = engine.nextDeadline();
+    while (next !== null && next <= targetMs) {
+        clock.advanceTo(next);
+        engine.tick();
+        next = engine.nextDeadline();
+    }
+    clock.advanceTo(targetMs);
+    engine.tick();
+}
+
+// 一直推進到遊戲結束；沒有任何排程卻還沒結束代表遊戲卡住了，回傳 false
+function runUntilGameOver(engine, clock, maxSteps = 100000) {
+    for (let step = 0; engine.state.status !== 'gameOver'; step++) {
+        const next = engine.nextDeadline();
+        if (next === null || step >= maxSteps) {
+            return false;
+        }
+        clock.advanceTo(next);
+        engine.tick();
+    }
+    return true;
+}
+
+// 遊戲結束後應該成立的性質；回傳違反項目的說明
+function checkInvariants(game) {
+    const violations = [];
+    const rules = game.rules;
+
+    if (game.status === 'gameOver' && !game.finalWinner) {
+        violations.push('遊戲結束但沒有最終結果');
+    }
+    if (game.roundHistory.length !== game.currentRound) {
+        violations.push(`回合紀錄數 ${game.roundHistory.length} 與回合數 ${game.currentRound} 不符`);
+    }
+
+    game.players.forEach(p => {
+        if (p.time < 0 || p.time > game.initialTime) {
+            violations.push(`${p.name} 的剩餘時間 ${p.time} 超出範圍`);
+        }
+        // 剩餘時間的變化必須等於各回合紀錄的花費時間總和減去道具取回的時間 (共用時間池時為全隊)
+        const poolNames = isSharedTimeGame(game)
+            ? game.players.filter(other => other.teamId === p.teamId).map(other => other.name)
+            : [p.name];
+        const itemHistory = game.itemHistory || [];
+        const spent = game.roundHistory.reduce((sum, record) => {
+            return sum + record.timeSpent.filter(e => poolNames.includes(e.name)).reduce((total, e) => total + e.seconds, 0);
+        }, 0) - itemHistory.filter(e => poolNames.includes(e.name)).reduce((total, e) => total + e.time, 0);
+        if (Math.abs(game.initialTime - p.time - spent) > EPSILON) {
+            violations.push(`${p.name} 花費的時間 ${game.initialTime - p.time} 與回合紀錄 ${spent} 不符`);
+        }
+        // 代幣數必須等於回合紀錄中贏得的代幣 (雙倍代幣回合加倍) 加上道具花費的代幣
+        const earned = game.roundHistory.reduce((sum, record) => {
+            if (!record.winners.some(w => w.name === p.name)) return sum;
+            const multiplier = record.specialRound === 'doubleTokens' ? 2 : 1;
+            return sum + (rules.tiePolicy === 'split' ? Math.round(100 / record.winners.length) / 100 : 1) * multiplier;
+        }, 0) + itemHistory.filter(e => e.name === p.name).reduce((total, e) => total + e.tokens, 0);
+        if (Math.abs(p.tokens - earned) > EPSILON) {
+            violations.push(`${p.name} 的代幣 ${p.tokens} 與回合紀錄 ${earned} 不符`);
+        }
+    });
+
+    if (game.status === 'gameOver' && game.finalWinner) {
+        const winnerIds = game.finalWinner.players ? game.finalWinner.players.map(p => p.id) : [game.finalWinner.id].filter(id => id !== null);
+        winnerIds.forEach(id => {
+            const standing = game.standings.find(s => s.id === id);
+            if (!standing || standing.placement !== 1) {
+                violations.push(`最終贏家 ${id} 的名次不是第 1 名`);
+            }
+        });
+    }
+
+    const eliminatedBefore = new Set();
+    game.roundHistory.forEach(record => {
+        const durations = {};
+        record.holdDurations.forEach(e => {
+            durations[e.name] = e.duration;
+        });
+        record.winners.forEach(w => {
+            if (!record.participants.some(p => p.name === w.name)) {
+                violations.push(`第 ${record.round} 回合贏家 ${w.name} 沒有參與競標`);
+            }
+            if (durations[w.name] < rules.minBidSeconds) {
+                violations.push(`第 ${record.round} 回合贏家 ${w.name} 未達最低出價時間`);
+            }
+            if (eliminatedBefore.has(w.name)) {
+                violations.push(`第 ${record.round} 回合贏家 ${w.name} 已在先前被淘汰`);
+            }
+        });
+        if (record.winners.length > 1 && rules.tiePolicy === 'noWinner') {
+            violations.push(`第 ${record.round} 回合在 noWinner 規則下有多位贏家`);
+        }
+        if (isTeamGame(game)) {
+            const winningTeams = record.winners.map(w => game.players.find(p => p.name === w.name).teamId);
+            if (new Set(winningTeams).size !== winningTeams.length) {
+                violations.push(`第 ${record.round} 回合有同隊的玩家一起獲勝`);
+            }
+        }
+        const maxDuration = Math.max(0, ...record.winners.map(w => durations[w.name]));
+        record.holdDurations.forEach(e => {
+            // 被淘汰或被護盾擋下淘汰的玩家是耗盡時間退出，不參與比較
+            const isEliminated = record.eliminated.some(x => x.name === e.name) || (record.shielded || []).some(x => x.name === e.name);
+            if (!isEliminated && e.duration - maxDuration > rules.tieToleranceMs / 1000 + EPSILON && record.winners.length > 0) {
+                violations.push(`第 ${record.round} 回合 ${e.name} 按得比贏家久卻沒有獲勝`);
+            }
+        });
+        record.eliminated.forEach(x => eliminatedBefore.add(x.name));
+    });
+    return violations;
+}
+
+// options: { games, strategies, initialTime, maxRounds, rules, seed }
+// 每局依 strategies 的順序加入電腦玩家，回傳各策略的勝率與整體統計
+function runSimulation(options = {}) {
+    const {
+        games: gameCount = 1000,
+        strategies = BOT_STRATEGIES,
+        initialTime = 60,
+        maxRounds = 5,
+        rules,
+        seed = 1,
+    } = options;
+    const random = createSeededRandom(seed);
+
+    const report = {
+        games: gameCount,
+        completed: 0,
+        stalled: 0,
+        violations: [],
+        totalRounds: 0,
+        tiedRounds: 0,
+        emptyRounds: 0,
+        eliminations: 0,
+        simulatedMs: 0,
+        strategies: {},
+    };
+    strategies.forEach(strategy => {
+        report.strategies[strategy] = { seats: 0, wins: 0, tokens: 0, timeLeft: 0 };
+    });
+
+    for (let i = 0; i < gameCount; i++) {
+        const { engine, clock } = createSimulatedGame({ id: `SIM-${i + 1}`, initialTime, maxRounds, rules, random });
+        strategies.forEach(strategy => {
+            const result = engine.addBot(strategy);
+            if (!result.success) {
+                throw new Error(formatMessage(DEFAULT_LOCALE, result));
+            }
+        });
+        engine.start();
+
+        if (!runUntilGameOver(engine, clock)) {
+            report.stalled += 1;
+            report.violations.push({ game: engine.id, message: `遊戲卡在 ${engine.state.status} (第 ${engine.state.currentRound} 回合)` });
+            continue;
+        }
+        report.completed += 1;
+        report.simulatedMs += clock.now();
+
+        const game = engine.state;
+        checkInvariants(game).forEach(message => report.violations.push({ game: engine.id, message }));
+        report.totalRounds += game.roundHistory.length;
+        game.roundHistory.forEach(record => {
+            if (record.winners.length + record.tiedWithoutWinner.length > 1) report.tiedRounds += 1;
+            if (record.participants.length === 0) report.emptyRounds += 1;
+            report.eliminations += record.eliminated.length;
+        });
+
+        const winners = game.finalWinner.players || (game.finalWinner.id ? [game.finalWinner] : []);
+        game.players.forEach(p => {
+            const stats = report.strategies[p.botStrategy];
+            stats.seats += 1;
+            stats.tokens += p.tokens;
+            stats.timeLeft += p.time;
+            if (winners.some(w => w.id === p.id)) {
+                stats.wins += 1 / winners.length; // 平手的最終勝利平分
+            }
+        });
+    }
+
+    Object.values(report.strategies).forEach(stats => {
+        stats.winRate = stats.seats > 0 ? stats.wins / stats.seats : 0;
+        stats.averageTokens = stats.seats > 0 ? stats.tokens / stats.seats : 0;
+        stats.averageTimeLeft = stats.seats > 0 ? stats.timeLeft / stats.seats : 0;
+    });
+    report.averageRounds = report.completed > 0 ? report.totalRounds / report.completed : 0;
+    report.averageGameSeconds = report.completed > 0 ? report.simulatedMs / report.completed / 1000 : 0;
+    return report;
+}
+
+// scenario: { name, initialTime, maxRounds, rules, players: [名稱], steps: [{ at, player, action }], expect(game) }
+// action 為 hold / release / leave / disconnect / useItem (item、target)；at 為開始遊戲後的毫秒數。玩家 id 即名稱，第一位玩家是房主。
+// specialRounds 為開始前由房主排定的特殊回合 (回合 -> 類型)。
+// expect 回傳不符合預期的說明陣列
+function runScenario(scenario) {
+    const { engine, clock } = createSimulatedGame({
+        id: scenario.name,
+        initialTime: scenario.initialTime,
+        maxRounds: scenario.maxRounds,
+        rules: scenario.rules,
+        hostId: scenario.players[0],
+    });
+    scenario.players.forEach(name => engine.join(name, name));
+    Object.entries(scenario.specialRounds || {}).forEach(([round, type]) => {
+        engine.scheduleSpecialRound(Number(round), type);
+    });
+    engine.start();
+
+    [...scenario.steps].sort((a, b) => a.at - b.at).forEach(step => {
+        advanceTo(engine, clock, step.at);
+        switch (step.action) {
+            case 'hold':
+                engine.hold(step.player);
+                break;
+            case 'release':
+                engine.release(step.player);
+                break;
+            case 'leave':
+                engine.leave(step.player);
+                break;
+            case 'disconnect':
+                engine.markDisconnected(step.player);
+                break;
+            case 'useItem': {
+                const result = engine.useItem(step.player, step.item, step.target);
+                if (!result.success) {
+                    throw new Error(`Scenario item use failed: ${result.code}`);
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown scenario action: ${step.action}`);
+        }
+    });
+
+    const failures = [];
+    if (!runUntilGameOver(engine, clock)) {
+        failures.push(`遊戲沒有結束 (狀態 ${engine.state.status}，第 ${engine.state.currentRound} 回合)`);
+    } else {
+        failures.push(...checkInvariants(engine.state));
+    }
+    failures.push(...scenario.expect(engine.state));
+    return { name: scenario.name, passed: failures.length === 0, failures };
+}
+
+module.exports = {
+    createSeededRandom,
+    createSimulatedGame,
+    advanceTo,
+    runUntilGameOver,
+    checkInvariants,
+    runSimulation,
+    runScenario,
+};
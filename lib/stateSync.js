@@ -0,0 +1,146 @@
+// time-auction-server/lib/stateSync.js
+// 版本化的房間狀態協定。連線時 (或之後以 hello 事件) 宣告協定版本：
+//   1  舊版：每次變化都送出完整的 playerStatusUpdate，競標與倒數期間每秒送出 roundTimerUpdate / preRoundCountdownUpdate
+//   2  差異：每個房間的狀態有遞增的 revision，加入時收到完整的 stateSnapshot，之後只收到與上次內容不同的 stateDelta；
+//      計時改由狀態中的開始與結束時間 (epoch 毫秒) 在前端推算，不再每秒廣播
+// stateDelta 的 baseRevision 與前端目前的 revision 不同時代表漏接，前端應送出 requestSnapshot 取得完整狀態
+
+const { buildPlayersView } = require('./views');
+const { buildTeamsView } = require('./teams');
+const { createMessage } = require('./messages');
+
+const LEGACY_PROTOCOL_VERSION = 1;
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_PROTOCOL_VERSIONS = [LEGACY_PROTOCOL_VERSION, PROTOCOL_VERSION];
+
+// 未宣告版本的用戶端視為舊版；回傳 { error, version }
+function negotiateProtocol(requested) {
+    if (requested === undefined || requested === null || requested === '') {
+        return { error: null, version: LEGACY_PROTOCOL_VERSION };
+    }
+    const version = Number(requested);
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+        return {
+            error: createMessage('UNSUPPORTED_PROTOCOL', { version: String(requested), supported: SUPPORTED_PROTOCOL_VERSIONS.join(', ') }),
+            version: null,
+        };
+    }
+    return { error: null, version };
+}
+
+// 以 viewerId 的視角產生房間狀態；玩家以 id 為 key，順序另存在 playerOrder，讓差異只包含有變化的玩家與欄位
+function buildRoomState(game, viewerId) {
+    const players = {};
+    buildPlayersView(game, viewerId).forEach(p => {
+        players[p.id] = p;
+    });
+    return {
+        roomId: game.id,
+        gameStatus: game.status,
+        hostId: game.hostId,
+        currentRound: game.currentRound,
+        maxRounds: game.maxRounds,
+        initialTime: game.initialTime,
+        rules: game.rules,
+        spectatorCount: game.spectators.length,
+        playerOrder: game.players.map(p => p.id),
+        players: players,
+        teams: buildTeamsView(game),
+        specialRounds: game.specialRounds,
+        readyEndsAt: game.status === 'waiting' ? game.readyEndsAtWallClock : null,
+        preRoundEndsAt: game.status === 'preCountdown' ? game.preRoundEndsAtWallClock : null,
+        roundStartedAt: game.status === 'inRound' ? game.roundStartedAtWallClock : null,
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+// 比較兩份狀態，回傳操作列表：{ path, value } 設定欄位，{ path, remove: true } 移除欄位；
+// 物件逐層比較，陣列與其他值不同時整個取代
+function diffState(prev, next, path = [], ops = []) {
+    Object.keys(next).forEach(key => {
+        const keyPath = path.concat(key);
+        if (!Object.prototype.hasOwnProperty.call(prev, key)) {
+            ops.push({ path: keyPath, value: next[key] });
+        } else if (isPlainObject(prev[key]) && isPlainObject(next[key])) {
+            diffState(prev[key], next[key], keyPath, ops);
+        } else if (!isEqual(prev[key], next[key])) {
+            ops.push({ path: keyPath, value: next[key] });
+        }
+    });
+    Object.keys(prev).forEach(key => {
+        if (!Object.prototype.hasOwnProperty.call(next, key)) {
+            ops.push({ path: path.concat(key), remove: true });
+        }
+    });
+    return ops;
+}
+
+// 記錄每個房間的 revision 與每位觀看者最後收到的狀態
+function createStateTracker() {
+    // roomId -> { revision, viewers: socketId -> { revision, state } }
+    const rooms = {};
+
+    function getRoom(roomId) {
+        if (!rooms[roomId]) {
+            rooms[roomId] = { revision: 0, viewers: {} };
+        }
+        return rooms[roomId];
+    }
+
+    return {
+        // 記錄並回傳給單一觀看者的完整狀態
+        snapshot(roomId, socketId, state) {
+            const room = getRoom(roomId);
+            room.viewers[socketId] = { revision: room.revision, state };
+            return { roomId, revision: room.revision, state };
+        },
+
+        // states: [{ socketId, state }]；只有內容有變化時 revision 才遞增。回傳要送出的 [{ socketId, payload }]；
+        // 還沒收過完整狀態的觀看者 (剛加入、尚未呼叫 snapshot) 略過，由加入流程補送
+        publish(roomId, states) {
+            const room = getRoom(roomId);
+            const changes = states
+                .filter(({ socketId }) => room.viewers[socketId])
+                .map(({ socketId, state }) => ({ socketId, state, ops: diffState(room.viewers[socketId].state, state) }))
+                .filter(change => change.ops.length > 0);
+            if (changes.length === 0) {
+                return [];
+            }
+
+            room.revision += 1;
+            return changes.map(({ socketId, state, ops }) => {
+                const baseRevision = room.viewers[socketId].revision;
+                room.viewers[socketId] = { revision: room.revision, state };
+                return { socketId, payload: { roomId, revision: room.revision, baseRevision, ops } };
+            });
+        },
+
+        // 觀看者離開房間或斷線
+        forget(socketId) {
+            Object.values(rooms).forEach(room => {
+                delete room.viewers[socketId];
+            });
+        },
+
+        removeRoom(roomId) {
+            delete rooms[roomId];
+        },
+    };
+}
+
+module.exports = {
+    LEGACY_PROTOCOL_VERSION,
+    PROTOCOL_VERSION,
+    SUPPORTED_PROTOCOL_VERSIONS,
+    negotiateProtocol,
+    buildRoomState,
+    diffState,
+    createStateTracker,
+};
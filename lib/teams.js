@@ -0,0 +1,159 @@
+// time-auction-server/lib/teams.js
+// 組隊模式：玩家在房間內分成人數相同的隊伍 (teamSize 人一隊)，代幣與淘汰狀態以隊伍計算。
+//   teams       每人有自己的時間；同隊玩家在同一回合只有按最久的一人能贏，隊友之間不會一起得分
+//   sharedTime  同隊共用一個時間池，任何隊員花費的時間都從池中扣除 (每位隊員的 time 都是池的剩餘時間)
+// 隊伍全員淘汰時整隊淘汰；剩一隊未淘汰時遊戲結束
+
+const { compareByRanking } = require('./rules');
+
+const TEAM_IDS = ['A', 'B', 'C', 'D'];
+
+// 加入組隊模式之前保存的房間規則沒有 teamMode，視為 off
+function isTeamGame(game) {
+    return (game.rules.teamMode || 'off') !== 'off';
+}
+
+function isSharedTimeGame(game) {
+    return game.rules.teamMode === 'sharedTime';
+}
+
+// 依人數上限可用的隊伍代號
+function getTeamIds(rules) {
+    return TEAM_IDS.slice(0, Math.floor(rules.maxPlayers / rules.teamSize));
+}
+
+function getTeamMembers(game, teamId) {
+    return game.players.filter(p => p.teamId === teamId);
+}
+
+function getTeammates(game, player) {
+    return player.teamId ? game.players.filter(p => p.teamId === player.teamId && p.id !== player.id) : [];
+}
+
+// 還有未淘汰隊員的隊伍
+function getAliveTeamIds(game) {
+    return getTeamIds(game.rules).filter(teamId => getTeamMembers(game, teamId).some(p => !p.isEliminated));
+}
+
+// 新玩家加入人數最少的隊伍 (人數相同時取代號較前面的)；隊伍都滿了回傳 null
+function pickTeamForNewPlayer(game) {
+    const open = getTeamIds(game.rules)
+        .map(teamId => ({ teamId, size: getTeamMembers(game, teamId).length }))
+        .filter(team => team.size < game.rules.teamSize)
+        .sort((a, b) => a.size - b.size);
+    return open.length > 0 ? open[0].teamId : null;
+}
+
+// 規則變更後重新分隊：原本的隊伍仍存在且未超過人數就保留，其他玩家依序補進人數最少的隊伍
+function rebalanceTeams(game) {
+    const teamIds = getTeamIds(game.rules);
+    const kept = {};
+    game.players.forEach(p => {
+        if (!isTeamGame(game)) {
+            p.teamId = null;
+        } else if (teamIds.includes(p.teamId) && (kept[p.teamId] || 0) < game.rules.teamSize) {
+            kept[p.teamId] = (kept[p.teamId] || 0) + 1;
+        } else {
+            p.teamId = null;
+        }
+    });
+    if (isTeamGame(game)) {
+        game.players.filter(p => p.teamId === null).forEach(p => {
+            p.teamId = pickTeamForNewPlayer(game);
+        });
+    }
+}
+
+// 每隊只留下按最久的出價者 (同秒數時取座位較前面的)，讓隊友不會在同一回合一起獲勝
+function selectTeamBidders(bidders) {
+    const best = {};
+    bidders.forEach(p => {
+        if (!best[p.teamId] || p.roundHoldDuration > best[p.teamId].roundHoldDuration) {
+            best[p.teamId] = p;
+        }
+    });
+    return bidders.filter(p => best[p.teamId] === p);
+}
+
+// 同一個時間池的隊員一起更新剩餘時間
+function syncSharedTime(game, player) {
+    if (isSharedTimeGame(game)) {
+        getTeammates(game, player).forEach(p => {
+            p.time = player.time;
+        });
+    }
+}
+
+function compareTeams(game, a, b) {
+    if (a.isEliminated !== b.isEliminated) {
+        return a.isEliminated ? 1 : -1;
+    }
+    if (a.isEliminated && a.eliminatedInRound !== b.eliminatedInRound) {
+        return b.eliminatedInRound - a.eliminatedInRound;
+    }
+    return compareByRanking(game.rules, a, b);
+}
+
+// 一局結束時的隊伍名次；代幣為隊員合計，時間為隊員合計 (sharedTime 為時間池)，
+// 比較方式與個人名次相同：未淘汰的隊伍在前，淘汰的隊伍越晚淘汰名次越前
+// eliminatedRound: 玩家名稱 -> 淘汰的回合
+function buildTeamStandings(game, eliminatedRound) {
+    const teams = getTeamIds(game.rules)
+        .map(teamId => ({ teamId, members: getTeamMembers(game, teamId) }))
+        .filter(team => team.members.length > 0)
+        .map(({ teamId, members }) => {
+            const isEliminated = members.every(p => p.isEliminated);
+            return {
+                teamId: teamId,
+                players: members.map(p => ({ id: p.id, name: p.name })),
+                tokens: Math.round(members.reduce((sum, p) => sum + p.tokens, 0) * 100) / 100,
+                time: isSharedTimeGame(game)
+                    ? members[0].time
+                    : Math.round(members.reduce((sum, p) => sum + p.time, 0) * 1000) / 1000,
+                isEliminated: isEliminated,
+                eliminatedInRound: isEliminated ? Math.max(...members.map(p => eliminatedRound[p.name] || 0)) : null,
+            };
+        })
+        .sort((a, b) => compareTeams(game, a, b));
+
+    const standings = [];
+    teams.forEach((team, index) => {
+        const previous = teams[index - 1];
+        const placement = previous && compareTeams(game, previous, team) === 0
+            ? standings[index - 1].placement
+            : index + 1;
+        standings.push({ ...team, placement });
+    });
+    return standings;
+}
+
+// 給前端的隊伍摘要；時間不在這裡公開，由各玩家資料依隱藏資訊規則顯示
+function buildTeamsView(game) {
+    if (!isTeamGame(game)) {
+        return null;
+    }
+    return getTeamIds(game.rules).map(teamId => {
+        const members = getTeamMembers(game, teamId);
+        return {
+            id: teamId,
+            playerIds: members.map(p => p.id),
+            tokens: Math.round(members.reduce((sum, p) => sum + p.tokens, 0) * 100) / 100,
+            isEliminated: members.length > 0 && members.every(p => p.isEliminated),
+        };
+    });
+}
+
+module.exports = {
+    TEAM_IDS,
+    isTeamGame,
+    isSharedTimeGame,
+    getTeamIds,
+    getTeammates,
+    getAliveTeamIds,
+    pickTeamForNewPlayer,
+    rebalanceTeams,
+    selectTeamBidders,
+    syncSharedTime,
+    buildTeamStandings,
+    buildTeamsView,
+};
@@ -0,0 +1,364 @@
+// time-auction-server/lib/tournament.js
+// 錦標賽的賽程 (不涉及連線與房間)：報名、把玩家分進最多 4 人的對局、依各對局的最終名次晉級或累積積分
+//   singleElimination  每個對局的前 advancePerRoom 名晉級，其餘淘汰；剩下的玩家能放進同一個對局時即為決賽
+//   swiss              固定 swissRounds 輪，每輪把積分相近的玩家分在一起，名次換算成積分 (對局人數 - 名次)
+// 對局中沒有名次的玩家 (開始時不在線上、或房間在結束前解散) 視為棄權：不晉級、不得分
+
+const crypto = require('crypto');
+const { PRESETS } = require('./rules');
+const { createMessage } = require('./messages');
+const { validateInitialTime, validateMaxRounds } = require('./engine');
+
+const TOURNAMENT_FORMATS = ['singleElimination', 'swiss'];
+const TOURNAMENT_ROOM_SIZE = 4;
+
+const DEFAULT_TOURNAMENT_OPTIONS = {
+    name: null,
+    format: 'singleElimination',
+    maxPlayers: 16,
+    advancePerRoom: 2,   // singleElimination：每個對局晉級的人數
+    swissRounds: null,   // swiss：輪數，null 表示依報名人數決定
+    initialTime: 60,
+    maxRounds: 5,
+    preset: 'classic',
+};
+
+// 回傳 { error, options }：驗證失敗時 error 為錯誤訊息 { code, params }
+function resolveTournamentOptions(input) {
+    if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+        return { error: createMessage('INVALID_TOURNAMENT_OPTIONS'), options: null };
+    }
+    const options = { ...DEFAULT_TOURNAMENT_OPTIONS };
+    Object.keys(DEFAULT_TOURNAMENT_OPTIONS).forEach(key => {
+        if (input && input[key] !== undefined) {
+            options[key] = input[key];
+        }
+    });
+
+    if (options.name !== null && (typeof options.name !== 'string' || options.name.trim().length < 1 || options.name.trim().length > 40)) {
+        return { error: createMessage('INVALID_TOURNAMENT_NAME'), options: null };
+    }
+    if (!TOURNAMENT_FORMATS.includes(options.format)) {
+        return { error: createMessage('INVALID_TOURNAMENT_FORMAT', { options: TOURNAMENT_FORMATS.join(' / ') }), options: null };
+    }
+    if (!Number.isInteger(options.maxPlayers) || options.maxPlayers < 2 || options.maxPlayers > 64) {
+        return { error: createMessage('INVALID_TOURNAMENT_SIZE'), options: null };
+    }
+    if (!Number.isInteger(options.advancePerRoom) || options.advancePerRoom < 1 || options.advancePerRoom >= TOURNAMENT_ROOM_SIZE) {
+        return { error: createMessage('INVALID_ADVANCE_COUNT', { max: TOURNAMENT_ROOM_SIZE - 1 }), options: null };
+    }
+    if (options.swissRounds !== null && (!Number.isInteger(options.swissRounds) || options.swissRounds < 1 || options.swissRounds > 10)) {
+        return { error: createMessage('INVALID_SWISS_ROUNDS'), options: null };
+    }
+    const settingsError = validateInitialTime(options.initialTime) || validateMaxRounds(options.maxRounds);
+    if (settingsError) {
+        return { error: settingsError, options: null };
+    }
+    if (!Object.prototype.hasOwnProperty.call(PRESETS, options.preset)) {
+        return { error: createMessage('UNKNOWN_PRESET', { preset: options.preset }), options: null };
+    }
+    // 錦標賽以個人名次晉級，每個房間的人數也不固定，不能組隊
+    if (PRESETS[options.preset].teamMode) {
+        return { error: createMessage('TOURNAMENT_TEAM_PRESET'), options: null };
+    }
+    if (options.name !== null) {
+        options.name = options.name.trim();
+    }
+    return { error: null, options };
+}
+
+function createTournament(options, organizerId) {
+    return {
+        id: `T-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+        ...options,
+        organizerId: organizerId,
+        status: 'registration', // registration -> running -> finished
+        players: [],
+        stages: [],
+        champion: null,
+        createdAt: Date.now(),
+        finishedAt: null,
+    };
+}
+
+function findPlayer(tournament, name) {
+    return tournament.players.find(p => p.name === name) || null;
+}
+
+// entry: { name, socketId, accountId, rating }；回傳錯誤訊息 { code, params }，成功則回傳 null
+function registerPlayer(tournament, entry) {
+    if (tournament.status !== 'registration') {
+        return createMessage('TOURNAMENT_ALREADY_STARTED');
+    }
+    if (tournament.players.some(p => p.socketId === entry.socketId || (entry.accountId && p.accountId === entry.accountId))) {
+        return createMessage('ALREADY_REGISTERED');
+    }
+    if (tournament.players.length >= tournament.maxPlayers) {
+        return createMessage('TOURNAMENT_FULL');
+    }
+    if (findPlayer(tournament, entry.name)) {
+        return createMessage('NAME_TAKEN');
+    }
+    tournament.players.push({
+        name: entry.name,
+        socketId: entry.socketId,
+        accountId: entry.accountId,
+        rating: entry.rating,
+        seed: null,
+        points: 0,
+        isEliminated: false,
+        results: [], // 每一輪的 { stage, matchId, placement }，placement 為 null 表示棄權
+    });
+    return null;
+}
+
+// 只能在報名期間退出；回傳是否有退出
+function withdrawPlayer(tournament, name) {
+    if (tournament.status !== 'registration') {
+        return false;
+    }
+    const before = tournament.players.length;
+    tournament.players = tournament.players.filter(p => p.name !== name);
+    return tournament.players.length !== before;
+}
+
+// 每個對局的人數最多相差 1
+function groupSizes(count) {
+    const groupCount = Math.ceil(count / TOURNAMENT_ROOM_SIZE);
+    return Array.from({ length: groupCount }, (_, i) => Math.floor(count / groupCount) + (i < count % groupCount ? 1 : 0));
+}
+
+// 依序蛇形分配，讓排序在前的玩家分散到不同對局
+function distributeSnake(players) {
+    const sizes = groupSizes(players.length);
+    const groups = sizes.map(() => []);
+    let index = 0;
+    for (let lap = 0; index < players.length; lap++) {
+        const order = lap % 2 === 0 ? groups.map((_, i) => i) : groups.map((_, i) => groups.length - 1 - i);
+        order.forEach(g => {
+            if (index < players.length && groups[g].length < sizes[g]) {
+                groups[g].push(players[index++]);
+            }
+        });
+    }
+    return groups;
+}
+
+// 依序切成連續的對局，讓排序相近的玩家分在一起
+function distributeInOrder(players) {
+    let index = 0;
+    return groupSizes(players.length).map(size => {
+        const group = players.slice(index, index + size);
+        index += size;
+        return group;
+    });
+}
+
+function lastPlacement(player) {
+    const last = player.results[player.results.length - 1];
+    return last && last.placement !== null ? last.placement : Infinity;
+}
+
+function createNextStage(tournament) {
+    const number = tournament.stages.length + 1;
+    let groups;
+    if (tournament.format === 'swiss') {
+        const ordered = [...tournament.players].sort((a, b) => b.points - a.points || a.seed - b.seed);
+        groups = distributeInOrder(ordered);
+    } else {
+        const ordered = tournament.players
+            .filter(p => !p.isEliminated)
+            .sort((a, b) => lastPlacement(a) - lastPlacement(b) || a.seed - b.seed);
+        groups = distributeSnake(ordered);
+    }
+
+    const stage = {
+        number: number,
+        isFinal: tournament.format === 'swiss' ? number === tournament.swissRounds : groups.length === 1,
+        matches: groups.map((group, i) => ({
+            id: `${tournament.id}-${number}-${i + 1}`,
+            roomId: null,
+            playerNames: group.map(p => p.name),
+            status: 'pending', // pending -> playing -> finished
+            results: null,
+        })),
+    };
+    tournament.stages.push(stage);
+    return stage;
+}
+
+// 報名結束，依積分排種子並產生第一輪；回傳 { error, stage }
+function startTournament(tournament) {
+    if (tournament.status !== 'registration') {
+        return { error: createMessage('TOURNAMENT_ALREADY_STARTED'), stage: null };
+    }
+    if (tournament.players.length < 2) {
+        return { error: createMessage('TOURNAMENT_NOT_ENOUGH_PLAYERS'), stage: null };
+    }
+    tournament.players
+        .map((p, index) => ({ p, index }))
+        .sort((a, b) => b.p.rating - a.p.rating || a.index - b.index)
+        .forEach(({ p }, i) => {
+            p.seed = i + 1;
+        });
+    if (tournament.format === 'swiss' && tournament.swissRounds === null) {
+        tournament.swissRounds = Math.max(1, Math.ceil(Math.log2(tournament.players.length)));
+    }
+    tournament.status = 'running';
+    return { error: null, stage: createNextStage(tournament) };
+}
+
+function finishTournament(tournament, champion) {
+    tournament.status = 'finished';
+    tournament.champion = champion ? champion.name : null;
+    tournament.finishedAt = Date.now();
+}
+
+// 本輪所有對局結束後：淘汰賽淘汰未晉級者，瑞士制累積的積分已在記錄名次時加上；需要下一輪則產生下一輪
+function completeStage(tournament, stage) {
+    if (tournament.format === 'swiss') {
+        if (stage.isFinal) {
+            const [top] = buildTournamentStandings(tournament);
+            finishTournament(tournament, top);
+            return null;
+        }
+        return createNextStage(tournament);
+    }
+
+    const remaining = tournament.players.filter(p => !p.isEliminated);
+    if (stage.isFinal || remaining.length <= 1) {
+        const champion = stage.isFinal
+            ? findPlayer(tournament, (stage.matches[0].results.find(r => r.advanced) || {}).name)
+            : remaining[0];
+        finishTournament(tournament, champion);
+        return null;
+    }
+    return createNextStage(tournament);
+}
+
+// standings: 房間的最終名次 [{ name, placement }]；回傳 { stageComplete, nextStage }，找不到對局則回傳 null
+function recordMatchResult(tournament, matchId, standings) {
+    const stage = tournament.stages[tournament.stages.length - 1];
+    const match = stage ? stage.matches.find(m => m.id === matchId) : null;
+    if (!match || match.status === 'finished') {
+        return null;
+    }
+
+    const players = match.playerNames.map(name => findPlayer(tournament, name));
+    const results = players
+        .map(p => {
+            const standing = standings.find(s => s.name === p.name);
+            return { name: p.name, placement: standing ? standing.placement : null, seed: p.seed };
+        })
+        .sort((a, b) => (a.placement === null) - (b.placement === null) || a.placement - b.placement || a.seed - b.seed);
+
+    // 淘汰賽的決賽只取第一名；名次相同時以種子決定誰晉級
+    const advanceCount = stage.isFinal ? 1 : Math.min(tournament.advancePerRoom, results.length - 1);
+    results.forEach((result, i) => {
+        const player = findPlayer(tournament, result.name);
+        result.advanced = result.placement !== null && i < advanceCount;
+        result.points = result.placement !== null ? results.length - result.placement : 0;
+        delete result.seed;
+        player.results.push({ stage: stage.number, matchId: match.id, placement: result.placement });
+        if (tournament.format === 'swiss') {
+            player.points += result.points;
+        } else if (!result.advanced && !stage.isFinal) {
+            player.isEliminated = true;
+        }
+    });
+    match.results = results;
+    match.status = 'finished';
+
+    if (stage.matches.some(m => m.status !== 'finished')) {
+        return { stageComplete: false, nextStage: null };
+    }
+    return { stageComplete: true, nextStage: completeStage(tournament, stage) };
+}
+
+// 目前排名：瑞士制依積分，淘汰賽依存活到的輪次與最後一輪的名次
+function buildTournamentStandings(tournament) {
+    const reached = p => p.results.length;
+    return [...tournament.players].sort((a, b) => {
+        if (tournament.format === 'swiss') {
+            return b.points - a.points || a.seed - b.seed;
+        }
+        if (tournament.champion) {
+            if (a.name === tournament.champion) return -1;
+            if (b.name === tournament.champion) return 1;
+        }
+        return reached(b) - reached(a) || lastPlacement(a) - lastPlacement(b) || a.seed - b.seed;
+    });
+}
+
+// 對外公開的賽程狀態 (不含 socket id)
+function buildTournamentView(tournament) {
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        format: tournament.format,
+        status: tournament.status,
+        maxPlayers: tournament.maxPlayers,
+        advancePerRoom: tournament.advancePerRoom,
+        swissRounds: tournament.swissRounds,
+        settings: { initialTime: tournament.initialTime, maxRounds: tournament.maxRounds, preset: tournament.preset },
+        players: buildTournamentStandings(tournament).map((p, index) => ({
+            rank: index + 1,
+            name: p.name,
+            accountId: p.accountId,
+            seed: p.seed,
+            points: p.points,
+            isEliminated: p.isEliminated,
+            results: p.results,
+        })),
+        stages: tournament.stages,
+        champion: tournament.champion,
+        createdAt: tournament.createdAt,
+        finishedAt: tournament.finishedAt,
+    };
+}
+
+function buildTournamentSummary(tournament) {
+    return {
+        id: tournament.id,
+        name: tournament.name,
+        format: tournament.format,
+        status: tournament.status,
+        playerCount: tournament.players.length,
+        maxPlayers: tournament.maxPlayers,
+        currentStage: tournament.stages.length,
+        champion: tournament.champion,
+    };
+}
+
+// 移除結束超過 finishedTtlMs 的錦標賽，以及報名超過 registrationTtlMs 仍未開始 (被放著不管) 的錦標賽；
+// 進行中的錦標賽會隨著對局房間結束 (或被關閉) 推進到結束，不在這裡移除。回傳被移除的錦標賽
+function pruneTournaments(tournaments, { finishedTtlMs, registrationTtlMs }, now = Date.now()) {
+    const removed = [];
+    Object.keys(tournaments).forEach(id => {
+        const tournament = tournaments[id];
+        const expired = tournament.status === 'finished'
+            ? now - tournament.finishedAt > finishedTtlMs
+            : tournament.status === 'registration' && now - tournament.createdAt > registrationTtlMs;
+        if (expired) {
+            removed.push(tournament);
+            delete tournaments[id];
+        }
+    });
+    return removed;
+}
+
+module.exports = {
+    TOURNAMENT_FORMATS,
+    TOURNAMENT_ROOM_SIZE,
+    DEFAULT_TOURNAMENT_OPTIONS,
+    resolveTournamentOptions,
+    createTournament,
+    registerPlayer,
+    withdrawPlayer,
+    startTournament,
+    recordMatchResult,
+    buildTournamentStandings,
+    buildTournamentView,
+    buildTournamentSummary,
+    pruneTournaments,
+};
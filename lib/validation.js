@@ -0,0 +1,264 @@
+// time-auction-server/lib/validation.js
+// 所有 Socket.IO 事件的參數格式。轉接層在事件交給處理函數前呼叫 validateEventArgs()：
+// 參數依位置檢查型別與長度、名稱會先整理 (去掉控制字元與 < >、合併空白)，物件只保留列出的欄位；
+// 不通過時回傳錯誤訊息 { code, params }，通過則回傳整理後的參數
+
+const { createMessage } = require('./messages');
+
+const NAME_MAX_LENGTH = 20;
+const ID_MAX_LENGTH = 64;
+
+// 回傳 { error, name }
+function sanitizeName(value) {
+    if (typeof value !== 'string') {
+        return { error: createMessage('INVALID_NAME', { max: NAME_MAX_LENGTH }), name: null };
+    }
+    const name = value
+        .normalize('NFC')
+        .replace(/[\u0000-\u001f\u007f-\u009f<>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (name.length < 1 || name.length > NAME_MAX_LENGTH) {
+        return { error: createMessage('INVALID_NAME', { max: NAME_MAX_LENGTH }), name: null };
+    }
+    return { error: null, name };
+}
+
+// --- 欄位格式 ---
+// { type, optional, maxLength, fields, items, maxItems }：optional 的欄位可以是 undefined 或 null (一律當作 undefined)。
+// 這裡只檢查型別並擋下過大的資料；數值範圍與內容仍由各模組驗證，才能回傳較明確的錯誤
+
+const id = { type: 'string', maxLength: ID_MAX_LENGTH };
+const name = { type: 'name' };
+const optionalName = { type: 'name', optional: true };
+const optionalNumber = { type: 'number', optional: true };
+const optionalString = maxLength => ({ type: 'string', maxLength, optional: true });
+const rules = { type: 'rules', optional: true };
+const roomCredentials = {
+    type: 'object',
+    optional: true,
+    fields: { password: optionalString(64), inviteToken: optionalString(128) },
+};
+// 房主的允許或封鎖名單；總數上限由 roomAccess 檢查
+const accessList = {
+    type: 'object',
+    optional: true,
+    fields: {
+        names: { type: 'list', optional: true, maxItems: 100, items: name },
+        accountIds: { type: 'list', optional: true, maxItems: 100, items: id },
+    },
+};
+
+// 事件名稱 -> { args: 依位置的參數格式, callback: 是否回覆 callback }
+const EVENT_SCHEMAS = {
+    setLocale: { args: [{ type: 'string', maxLength: 35 }], callback: true },
+    hello: { args: [{ type: 'object', fields: { protocolVersion: { type: 'number' } } }], callback: true },
+    requestSnapshot: { args: [], callback: true },
+    login: {
+        args: [{ type: 'object', fields: { name: name, secret: { type: 'string', maxLength: 256 } } }],
+        callback: true,
+    },
+    loginAsGuest: { args: [optionalString(128)], callback: true },
+
+    createRoom: {
+        args: [{
+            type: 'object',
+            fields: {
+                playerName: optionalName,
+                initialTime: optionalNumber,
+                maxRounds: optionalNumber,
+                rules: rules,
+                visibility: optionalString(16),
+                password: optionalString(64),
+            },
+        }],
+        callback: true,
+    },
+    joinRoom: { args: [id, optionalName, roomCredentials], callback: true },
+    findMatch: {
+        args: [{
+            type: 'object',
+            optional: true,
+            fields: {
+                playerName: optionalName,
+                initialTime: optionalNumber,
+                maxRounds: optionalNumber,
+                playerCount: optionalNumber,
+                preset: optionalString(32),
+                ratingRange: optionalNumber,
+            },
+        }],
+        callback: true,
+    },
+    cancelMatch: { args: [], callback: true },
+
+    createTournament: {
+        args: [{
+            type: 'object',
+            optional: true,
+            fields: {
+                name: optionalString(200),
+                format: optionalString(32),
+                maxPlayers: optionalNumber,
+                advancePerRoom: optionalNumber,
+                swissRounds: optionalNumber,
+                initialTime: optionalNumber,
+                maxRounds: optionalNumber,
+                preset: optionalString(32),
+            },
+        }],
+        callback: true,
+    },
+    registerTournament: { args: [id, optionalName], callback: true },
+    withdrawTournament: { args: [id], callback: true },
+    startTournament: { args: [id], callback: true },
+    getTournament: { args: [id], callback: true },
+
+    updateRoomSettings: {
+        args: [{ type: 'object', fields: { initialTime: optionalNumber, maxRounds: optionalNumber, rules: rules } }],
+        callback: true,
+    },
+    kickPlayer: { args: [id], callback: true },
+    transferHost: { args: [id], callback: true },
+    chooseTeam: { args: [{ type: 'string', maxLength: 1 }], callback: true },
+    assignTeam: { args: [id, { type: 'string', maxLength: 1 }], callback: true },
+    useItem: { args: [{ type: 'object', fields: { item: { type: 'string', maxLength: 16 }, targetId: { ...id, optional: true } } }], callback: true },
+    scheduleSpecialRound: {
+        args: [{ type: 'object', fields: { round: { type: 'number' }, type: optionalString(16) } }],
+        callback: true,
+    },
+    addBot: { args: [{ type: 'object', optional: true, fields: { strategy: optionalString(32) } }], callback: true },
+    startGame: { args: [], callback: true },
+    mutePlayer: { args: [id], callback: true },
+    unmutePlayer: { args: [id], callback: true },
+
+    getRoomAccess: { args: [], callback: true },
+    updateRoomAccess: {
+        args: [{
+            type: 'object',
+            fields: { visibility: optionalString(16), password: optionalString(64), removePassword: { type: 'boolean', optional: true } },
+        }],
+        callback: true,
+    },
+    setAccessLists: { args: [{ type: 'object', fields: { allow: accessList, deny: accessList } }], callback: true },
+    createInvite: {
+        args: [{ type: 'object', optional: true, fields: { ttlSeconds: optionalNumber, maxUses: optionalNumber } }],
+        callback: true,
+    },
+    revokeInvite: { args: [id], callback: true },
+
+    // 聊天內容的長度由聊天室檢查，這裡只擋下明顯過大的資料
+    chatMessage: {
+        args: [{ type: 'object', fields: { text: { type: 'string', maxLength: 2000 }, toSpectators: { type: 'boolean', optional: true } } }],
+        callback: true,
+    },
+    reaction: { args: [{ type: 'string', maxLength: 16 }], callback: true },
+
+    getRoundHistory: { args: [], callback: true },
+    playReplay: {
+        args: [id, { type: 'object', optional: true, fields: { speed: optionalNumber, gameNumber: optionalNumber } }],
+        callback: true,
+    },
+    setReplaySpeed: { args: [{ type: 'number' }], callback: true },
+    stopReplay: { args: [], callback: true },
+    spectateRoom: { args: [id, optionalName, roomCredentials], callback: true },
+    requestRematch: { args: [{ type: 'object', optional: true, fields: { force: { type: 'boolean', optional: true } } }], callback: true },
+    leaveRoom: { args: [], callback: false },
+    resumeSession: { args: [{ type: 'string', maxLength: 128 }], callback: true },
+    playerHolding: { args: [], callback: false },
+    playerReleased: { args: [], callback: false },
+};
+
+function invalidField(eventName, field) {
+    return { error: createMessage('INVALID_INPUT', { event: eventName, field: field }), value: undefined };
+}
+
+// 回傳 { error, value }
+function validateValue(spec, value, eventName, field) {
+    if (value === undefined || value === null) {
+        return spec.optional ? { error: null, value: undefined } : invalidField(eventName, field);
+    }
+    switch (spec.type) {
+        case 'string':
+            return typeof value === 'string' && value.length <= spec.maxLength
+                ? { error: null, value }
+                : invalidField(eventName, field);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) ? { error: null, value } : invalidField(eventName, field);
+        case 'boolean':
+            return typeof value === 'boolean' ? { error: null, value } : invalidField(eventName, field);
+        case 'name': {
+            const { error, name: sanitized } = sanitizeName(value);
+            return { error, value: sanitized };
+        }
+        // 預設組合名稱或覆寫欄位的物件，內容由 resolveRules 驗證
+        case 'rules':
+            return typeof value === 'string' || (typeof value === 'object' && !Array.isArray(value))
+                ? { error: null, value }
+                : invalidField(eventName, field);
+        case 'list': {
+            if (!Array.isArray(value) || value.length > spec.maxItems) {
+                return invalidField(eventName, field);
+            }
+            const result = [];
+            for (const item of value) {
+                const checked = validateValue(spec.items, item, eventName, field);
+                if (checked.error) {
+                    return checked;
+                }
+                result.push(checked.value);
+            }
+            return { error: null, value: result };
+        }
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return invalidField(eventName, field);
+            }
+            const result = {};
+            for (const key of Object.keys(spec.fields)) {
+                const checked = validateValue(spec.fields[key], value[key], eventName, key);
+                if (checked.error) {
+                    return checked;
+                }
+                if (checked.value !== undefined) {
+                    result[key] = checked.value;
+                }
+            }
+            return { error: null, value: result };
+        }
+        default:
+            throw new Error(`Unknown schema type: ${spec.type}`);
+    }
+}
+
+// args 不含 callback；回傳 { error, args }，args 的長度與格式定義的參數數量相同
+function validateEventArgs(eventName, args) {
+    const schema = EVENT_SCHEMAS[eventName];
+    if (!schema) {
+        return { error: createMessage('UNKNOWN_EVENT', { event: eventName }), args: null };
+    }
+    if (args.length > schema.args.length) {
+        return { error: createMessage('INVALID_INPUT', { event: eventName, field: `#${schema.args.length + 1}` }), args: null };
+    }
+    const validated = [];
+    for (let i = 0; i < schema.args.length; i++) {
+        const checked = validateValue(schema.args[i], args[i], eventName, `#${i + 1}`);
+        if (checked.error) {
+            return { error: checked.error, args: null };
+        }
+        validated.push(checked.value);
+    }
+    return { error: null, args: validated };
+}
+
+function expectsCallback(eventName) {
+    return Boolean(EVENT_SCHEMAS[eventName] && EVENT_SCHEMAS[eventName].callback);
+}
+
+module.exports = {
+    NAME_MAX_LENGTH,
+    EVENT_SCHEMAS,
+    sanitizeName,
+    validateEventArgs,
+    expectsCallback,
+};
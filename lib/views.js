@@ -0,0 +1,140 @@
+// time-auction-server/lib/views.js
+// 依觀看者產生玩家資料：隱藏資訊模式下只讓玩家看到自己的剩餘時間
+// 盲標回合 (見 lib/items.js) 在該回合內比照隱藏資訊模式
+
+const { isBlindRound } = require('./items');
+const { formatFinalWinner } = require('./messages');
+
+// 只在伺服器內部使用的欄位，不送給前端
+const INTERNAL_PLAYER_FIELDS = ['holdStartedAt', 'releasedAt'];
+
+function stripInternalFields(player) {
+    const view = { ...player };
+    INTERNAL_PLAYER_FIELDS.forEach(field => {
+        delete view[field];
+    });
+    return view;
+}
+
+function bucketTime(time, bucketSize) {
+    const min = Math.floor(time / bucketSize) * bucketSize;
+    return { min, max: min + bucketSize };
+}
+
+function isHiddenInfoGame(game) {
+    return game.rules.hiddenInfo !== 'off';
+}
+
+// 組隊模式下隊友之間的資料互相公開
+function isTeammateOf(game, player, viewerId) {
+    const viewer = player.teamId ? game.players.find(p => p.id === viewerId) : null;
+    return Boolean(viewer) && viewer.teamId === player.teamId;
+}
+
+// viewerId 為 null 代表非玩家的觀看者，看到的對手資料全部隱藏
+function buildPlayerView(game, player, viewerId) {
+    const view = stripInternalFields(player);
+    const blind = isBlindRound(game);
+    if ((!isHiddenInfoGame(game) && !blind) || player.id === viewerId || game.status === 'gameOver' || isTeammateOf(game, player, viewerId)) {
+        return view;
+    }
+
+    if (game.rules.hiddenInfo === 'bucketed') {
+        view.timeBucket = bucketTime(player.time, game.rules.timeBucketSeconds);
+    }
+    view.time = null;
+
+    // 競標進行中不透露誰還按著、按了多久
+    if (game.status === 'inRound') {
+        view.isHoldingButton = null;
+        view.roundHoldDuration = null;
+    } else if (game.rules.concealWinningDuration || blind) {
+        view.roundHoldDuration = null;
+    }
+    return view;
+}
+
+function buildPlayersView(game, viewerId) {
+    return game.players.map(p => buildPlayerView(game, p, viewerId));
+}
+
+// 遊戲結束後公開所有人的資料
+function buildRevealedPlayersView(game) {
+    return game.players.map(stripInternalFields);
+}
+
+// 隱藏資訊模式下，回合紀錄只保留觀看者自己的按住與花費時間，避免推算出對手剩餘時間；
+// 盲標回合的按住時間在這一局結束前也只給本人看
+function buildRoundHistoryView(game, viewerId) {
+    if (game.status === 'gameOver') {
+        return game.roundHistory;
+    }
+    const hidden = isHiddenInfoGame(game);
+    if (!hidden && !game.roundHistory.some(record => record.specialRound === 'blind')) {
+        return game.roundHistory;
+    }
+    const viewer = game.players.find(p => p.id === viewerId);
+    const viewerName = viewer ? viewer.name : null;
+    const ownEntries = entries => entries.filter(e => e.name === viewerName);
+    return game.roundHistory.map(record => (hidden || record.specialRound === 'blind'
+        ? { ...record, holdDurations: ownEntries(record.holdDurations), timeSpent: ownEntries(record.timeSpent) }
+        : record));
+}
+
+// 公開 API 不透露連線 id 與帳號 id (可以拿來鎖定特定連線或冒用)，玩家只以名稱辨識
+const PRIVATE_IDENTIFIER_FIELDS = ['id', 'accountId', 'playerId', 'hostId'];
+
+function redactIdentifiers(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactIdentifiers);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).filter(key => !PRIVATE_IDENTIFIER_FIELDS.includes(key)).forEach(key => {
+            result[key] = redactIdentifiers(value[key]);
+        });
+        return result;
+    }
+    return value;
+}
+
+// 房間列表用的摘要，不含任何玩家的詳細資料
+function buildRoomSummary(game) {
+    const host = game.players.find(p => p.id === game.hostId);
+    return {
+        id: game.id,
+        status: game.status,
+        hostName: host ? host.name : null,
+        playerCount: game.players.length,
+        maxPlayers: game.rules.maxPlayers,
+        spectatorCount: game.spectators.length,
+        currentRound: game.currentRound,
+        maxRounds: game.maxRounds,
+        initialTime: game.initialTime,
+        rules: game.rules,
+        isPublic: game.access.visibility === 'public',
+        hasPassword: game.access.passwordHash !== null,
+        createdAt: game.createdAt,
+    };
+}
+
+// 單一房間的公開狀態，以非玩家觀看者的視角產生 (隱藏資訊模式下不透露任何人的時間)，並去掉玩家的 id；最終贏家依 locale 顯示
+function buildRoomDetail(game, locale) {
+    return {
+        ...buildRoomSummary(game),
+        players: redactIdentifiers(buildPlayersView(game, null)),
+        history: redactIdentifiers(buildRoundHistoryView(game, null)),
+        finalWinner: game.status === 'gameOver' ? redactIdentifiers(formatFinalWinner(locale, game.finalWinner)) : null,
+    };
+}
+
+module.exports = {
+    isHiddenInfoGame,
+    buildPlayerView,
+    buildPlayersView,
+    buildRevealedPlayersView,
+    buildRoundHistoryView,
+    buildRoomSummary,
+    buildRoomDetail,
+    redactIdentifiers,
+};
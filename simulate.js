@@ -0,0 +1,131 @@
+// time-auction-server/simulate.js
+// 模擬入口：讓電腦玩家大量對戰，檢查規則並統計各策略的表現
+//
+//   node simulate.js [--games 1000] [--players random,conservative,aggressive,adaptive]
+//                    [--rules classic|<JSON>] [--initial-time 60] [--rounds 5] [--seed 1]
+//   node simulate.js --verify   執行腳本對局，並以每個規則組合跑電腦對戰檢查不變量；有任何錯誤則以非零狀態結束
+
+const { PRESETS, resolveRules } = require('./lib/rules');
+const { BOT_STRATEGIES } = require('./lib/bots');
+const { runSimulation, runScenario } = require('./lib/simulation');
+const { SCENARIOS } = require('./lib/scenarios');
+
+function parseArgs(argv) {
+    const options = { verify: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        switch (arg) {
+            case '--verify':
+                options.verify = true;
+                break;
+            case '--games':
+                options.games = Number(value);
+                i++;
+                break;
+            case '--players':
+                options.strategies = value.split(',');
+                i++;
+                break;
+            case '--rules':
+                options.rules = value.trim().startsWith('{') ? JSON.parse(value) : value;
+                i++;
+                break;
+            case '--initial-time':
+                options.initialTime = Number(value);
+                i++;
+                break;
+            case '--rounds':
+                options.maxRounds = Number(value);
+                i++;
+                break;
+            case '--seed':
+                options.seed = Number(value);
+                i++;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    return options;
+}
+
+function formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+}
+
+function printReport(report) {
+    console.log(`Games: ${report.completed}/${report.games} completed, ${report.stalled} stalled`);
+    console.log(`Average rounds: ${report.averageRounds.toFixed(2)}, average game length: ${report.averageGameSeconds.toFixed(1)}s (simulated)`);
+    console.log(`Tied rounds: ${report.tiedRounds}, empty rounds: ${report.emptyRounds}, eliminations: ${report.eliminations}`);
+    console.table(Object.keys(report.strategies).map(strategy => {
+        const stats = report.strategies[strategy];
+        return {
+            strategy,
+            seats: stats.seats,
+            winRate: formatPercent(stats.winRate),
+            averageTokens: stats.averageTokens.toFixed(2),
+            averageTimeLeft: stats.averageTimeLeft.toFixed(1),
+        };
+    }));
+    report.violations.slice(0, 20).forEach(v => console.log(`[VIOLATION] ${v.game}: ${v.message}`));
+    if (report.violations.length > 20) {
+        console.log(`[VIOLATION] ... and ${report.violations.length - 20} more`);
+    }
+}
+
+// --verify 的電腦對戰設定：一般長度，以及時間少、回合多 (會出現沒人出價的回合) 的對局
+const VERIFY_SETTINGS = [
+    { initialTime: 60, maxRounds: 5 },
+    { initialTime: 10, maxRounds: 20 },
+];
+
+// 依規則組合的人數上限坐滿電腦玩家，輪流使用各種策略
+function fillSeats(preset) {
+    const { maxPlayers } = resolveRules(preset).rules;
+    return Array.from({ length: maxPlayers }, (_, i) => BOT_STRATEGIES[i % BOT_STRATEGIES.length]);
+}
+
+function verify(options) {
+    let failed = 0;
+
+    SCENARIOS.forEach(scenario => {
+        const result = runScenario(scenario);
+        console.log(`[SCENARIO] ${result.passed ? 'PASS' : 'FAIL'} ${result.name}`);
+        result.failures.forEach(message => console.log(`    ${message}`));
+        if (!result.passed) failed++;
+    });
+
+    Object.keys(PRESETS).forEach(preset => {
+        VERIFY_SETTINGS.forEach(settings => {
+            const report = runSimulation({ games: 200, strategies: fillSeats(preset), ...settings, ...options, rules: preset });
+            const ok = report.stalled === 0 && report.violations.length === 0;
+            console.log(`[SIMULATION] ${ok ? 'PASS' : 'FAIL'} ${preset} (${settings.initialTime}s, ${settings.maxRounds} rounds, ${fillSeats(preset).length} bots): `
+                + `${report.completed} games, ${report.averageRounds.toFixed(2)} rounds on average, ${report.emptyRounds} empty rounds, ${report.eliminations} eliminations`);
+            if (!ok) {
+                printReport(report);
+                failed++;
+            }
+        });
+    });
+
+    if (failed > 0) {
+        console.log(`${failed} check(s) failed.`);
+        process.exitCode = 1;
+    } else {
+        console.log('All checks passed.');
+    }
+}
+
+const { verify: verifyMode, ...options } = parseArgs(process.argv.slice(2));
+if (verifyMode) {
+    verify(options);
+} else {
+    const startedAt = Date.now();
+    const report = runSimulation(options);
+    printReport(report);
+    console.log(`Finished in ${Date.now() - startedAt}ms.`);
+    if (report.stalled > 0 || report.violations.length > 0) {
+        process.exitCode = 1;
+    }
+}